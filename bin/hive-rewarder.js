@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * hive-rewarder command line. See scripts/cli.js.
+ */
+
+const { main } = require('../scripts/cli');
+
+main(process.argv.slice(2))
+  .then((code) => { process.exitCode = code; })
+  .catch((err) => {
+    console.error('❌ hive-rewarder failed:', err);
+    process.exitCode = 1;
+  });
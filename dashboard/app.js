@@ -1,7 +1,9 @@
 /**
  * app.js — Frontend JS for hive-rewarder dashboard.
- * Reads JSON data files and renders the delegator dashboard.
- * No live backend required; reads JSON directly.
+ * Reads the pre-aggregated data bundles (data/<dir>/bundles/, written by
+ * scripts/bundles.js) and renders the delegator dashboard: manifest.json
+ * and latest.json up front, month and delegator files when a view needs
+ * them. No live backend required; reads JSON directly.
  */
 
 // Base path for data files (GitHub Pages deployment)
@@ -9,9 +11,17 @@ const DATA_BASE = window.location.hostname === 'localhost' || window.location.ho
   ? '../data'
   : '/hive-rewarder/data';
 
-async function loadJSON(filename) {
+// Account being viewed; its data files live in data/<data_dir>/ (see accounts.json)
+let currentAccount = { name: 'bayanihive', data_dir: '.' };
+
+// Bundles loaded by loadDashboard() ({ manifest, latest }), reused by the other views
+let dashboardData = null;
+
+async function loadJSON(filename, dataDir = currentAccount.data_dir) {
   try {
-    const url = `${DATA_BASE}/${filename}`;
+    const url = dataDir && dataDir !== '.'
+      ? `${DATA_BASE}/${dataDir}/${filename}`
+      : `${DATA_BASE}/${filename}`;
     console.log(`Loading: ${url}`);
     const res = await fetch(url);
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
@@ -22,24 +32,84 @@ async function loadJSON(filename) {
   }
 }
 
-function getMultiplier(totalDelegationHP) {
-  const totalHP = Number(totalDelegationHP) || 0;
-
-  let m;
-  if (totalHP < 10000) {
-    m = 3.0;
-  } else if (totalHP < 20000) {
-    m = 3 - ((totalHP - 10000) / 10000);
-  } else if (totalHP < 30000) {
-    m = 2 - ((totalHP - 20000) / 10000);
-  } else if (totalHP < 40000) {
-    m = 1 - ((totalHP - 30000) / 10000) * 0.5;
-  } else {
-    m = 0.5;
+// Month bundles (months/YYYY-MM.json), fetched once when a view first needs them
+const monthBundles = {};
+
+function loadMonthBundle(month) {
+  if (!(month in monthBundles)) {
+    const entry = dashboardData.manifest.months.find(m => m.month === month);
+    monthBundles[month] = entry ? loadJSON(`bundles/${entry.file}`) : Promise.resolve(null);
   }
+  return monthBundles[month];
+}
+
+// One payout_history.json entry: the latest from latest.json, others from their month
+async function loadPayoutDay(date) {
+  const summary = dashboardData.latest.payout_summary;
+  if (summary && summary.date === date) return summary;
+  const shard = await loadMonthBundle(date.slice(0, 7));
+  return shard ? shard.payouts.find(p => p.date === date) || null : null;
+}
+
+// Same schedule evaluation as the scripts (scripts/multiplier.js)
+function getMultiplier(totalDelegationHP, date, config) {
+  const schedules = config && config.multiplier ? config.multiplier.schedules : undefined;
+  return Multiplier.getMultiplier(totalDelegationHP, date, schedules);
+}
 
-  m = Math.max(0.5, m);
-  return Number(m.toFixed(3));
+// Mirrors getSBIConfig() defaults in scripts/config.js
+function getSBISettings(config) {
+  const raw = (config && config.sbi) || {};
+  const overrides = {};
+  for (const [name, override] of Object.entries(raw.overrides || {})) {
+    overrides[name.toLowerCase()] = override || {};
+  }
+  return {
+    account: raw.account || 'steembasicincome',
+    sponsor: raw.sponsor || 'vinzie1',
+    chunk: Number(raw.chunk) || 1,
+    overrides
+  };
+}
+
+// Mirrors getDelegatorPayoutMethod() in scripts/config.js: an explicit
+// payout preference wins over excluded_from_sbi
+function getPayoutMethod(config, excluded, name) {
+  const prefs = (config && config.payout_preferences) || {};
+  const key = name.toLowerCase();
+  const pref = Object.entries(prefs).find(([n]) => n.toLowerCase() === key);
+  if (pref && pref[1]) return { method: pref[1].method, threshold: pref[1].threshold, source: 'preference' };
+  if (excluded.has(key)) return { method: 'none', source: 'excluded' };
+  return { method: 'sbi', source: 'default' };
+}
+
+const PAYOUT_METHOD_BADGES = {
+  hive: 'Liquid HIVE',
+  hp: 'Power up',
+  none: 'Opted out'
+};
+
+function describeSBIOverride(override) {
+  const parts = [];
+  if (override.chunk) parts.push(`${Number(override.chunk).toFixed(3)} HIVE chunks`);
+  if (override.beneficiary) parts.push(`for @${override.beneficiary}`);
+  if (override.sponsor) parts.push(`sponsor @${override.sponsor}`);
+  return parts.join(', ');
+}
+
+// Tooltip text explaining each bonus rule applied on top of the global multiplier
+function describeRewardFactors(globalMultiplier, breakdown) {
+  const lines = [`Global multiplier: x${globalMultiplier}`];
+  for (const f of breakdown.factors) {
+    lines.push(`${f.rule} ×${f.factor}: ${f.detail}`);
+  }
+  lines.push(`Effective: x${breakdown.multiplier} → ${breakdown.adjusted_reward.toFixed(3)} HIVE`);
+  return lines.join('\n');
+}
+
+// Adjustment reasons are free text typed by an operator
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
 }
 
 function getRankClass(rank) {
@@ -52,31 +122,63 @@ function formatDate(dateStr) {
   return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
 }
 
+// Pick the account from ?account=<name> and fill the account switcher
+async function selectAccount() {
+  const registry = await loadJSON('accounts.json', '.');
+  const accounts = registry && Array.isArray(registry.accounts) && registry.accounts.length > 0
+    ? registry.accounts
+    : [currentAccount];
+
+  const requested = new URLSearchParams(window.location.search).get('account');
+  currentAccount = accounts.find(a => a.name === requested) || accounts[0];
+
+  const selectEl = document.getElementById('account-select');
+  if (selectEl && accounts.length > 1) {
+    selectEl.innerHTML = accounts
+      .map(a => `<option value="${a.name}"${a.name === currentAccount.name ? ' selected' : ''}>@${a.name}</option>`)
+      .join('');
+    selectEl.hidden = false;
+    selectEl.addEventListener('change', () => {
+      const params = new URLSearchParams(window.location.search);
+      params.set('account', selectEl.value);
+      window.location.search = params.toString();
+    });
+  }
+
+  document.querySelectorAll('.account-link').forEach(el => {
+    el.href = `https://peakd.com/@${currentAccount.name}`;
+    el.textContent = `@${currentAccount.name}`;
+  });
+  document.title = `hive-rewarder — @${currentAccount.name} Delegator Dashboard`;
+}
+
 async function loadDashboard() {
   const loadingEl = document.getElementById('loading');
   const dashboardEl = document.getElementById('dashboard');
   const statusBadge = document.getElementById('header-status');
 
   try {
-    const [payoutSummary, balances, sbiLog, payoutHistory, config] = await Promise.all([
-      loadJSON('payout_summary.json'),
-      loadJSON('delegator_balances.json'),
-      loadJSON('sbi_log.json'),
-      loadJSON('payout_history.json'),
-      loadJSON('config.json')
+    await selectAccount();
+
+    const [manifest, latest] = await Promise.all([
+      loadJSON('bundles/manifest.json'),
+      loadJSON('bundles/latest.json')
     ]);
 
-    if (!payoutSummary || !balances) {
+    if (!manifest || !latest || !latest.payout_summary || !latest.balances) {
       loadingEl.innerHTML = `
         <div class="loading-card">
           <div style="font-size: 2rem; margin-bottom: 1rem;">&#9888;</div>
           <p style="color: var(--accent);">Failed to load data files</p>
-          <p class="loading-sub">Make sure JSON data is available and deployed.</p>
+          <p class="loading-sub">Make sure the data bundles are exported (node scripts/bundles.js) and deployed.</p>
         </div>`;
       statusBadge.innerHTML = '<span class="pulse"></span><span>Offline</span>';
       return;
     }
 
+    dashboardData = { manifest, latest };
+    const { payout_summary: payoutSummary, balances, config } = latest;
+
     // Hide loading, show dashboard
     loadingEl.style.display = 'none';
     dashboardEl.style.display = 'block';
@@ -85,7 +187,7 @@ async function loadDashboard() {
     statusBadge.classList.add('live');
     statusBadge.innerHTML = '<span class="pulse"></span><span>Live</span>';
 
-    const multiplier = getMultiplier(payoutSummary.total_delegation_hp);
+    const multiplier = getMultiplier(payoutSummary.total_delegation_hp, payoutSummary.date, config);
     const totalHP = payoutSummary.total_delegation_hp;
     const curationHive = payoutSummary.total_curation_hive || 0;
 
@@ -93,6 +195,18 @@ async function loadDashboard() {
       (config && Array.isArray(config.excluded_from_sbi) ? config.excluded_from_sbi : [])
         .map(n => String(n).toLowerCase())
     );
+    const sbiSettings = getSBISettings(config);
+
+    // Per-delegator reward breakdown (bonus rules) for the summary date
+    const breakdownByName = {};
+    if (latest.accumulation) {
+      for (const r of latest.accumulation.delegators || []) breakdownByName[r.name] = r;
+    }
+
+    const sbiSettingsEl = document.getElementById('sbi-settings');
+    if (sbiSettingsEl) {
+      sbiSettingsEl.textContent = `@${sbiSettings.account} • sponsor @${sbiSettings.sponsor} • ${sbiSettings.chunk.toFixed(3)} HIVE chunks`;
+    }
 
     // Stat cards
     document.getElementById('stat-date').textContent = formatDate(payoutSummary.date);
@@ -115,23 +229,32 @@ async function loadDashboard() {
       const isRanked = d.base_reward > 0;
       if (isRanked) rank++;
 
-      const adjustedReward = parseFloat((d.base_reward * multiplier).toFixed(3));
+      const breakdown = breakdownByName[d.name];
+      const adjustedReward = breakdown
+        ? breakdown.adjusted_reward
+        : parseFloat((d.base_reward * multiplier).toFixed(3));
+      const factors = breakdown && Array.isArray(breakdown.factors) ? breakdown.factors : [];
       const bal = balances[d.name] || { balance: 0, total_sent: 0 };
       const share = totalHP > 0 ? ((d.hp / totalHP) * 100) : 0;
       const initial = d.name.charAt(0).toUpperCase();
 
-      const isExcluded = excludedFromSbi.has(d.name.toLowerCase());
+      const payoutMethod = getPayoutMethod(config, excludedFromSbi, d.name);
+      const isExcluded = payoutMethod.source === 'excluded';
+      const methodBadge = payoutMethod.source === 'preference' ? PAYOUT_METHOD_BADGES[payoutMethod.method] : null;
+      const sbiOverride = sbiSettings.overrides[d.name.toLowerCase()];
 
       const tr = document.createElement('tr');
       tr.dataset.name = d.name.toLowerCase();
-      if (isExcluded) tr.classList.add('row-excluded');
+      if (payoutMethod.method === 'none') tr.classList.add('row-excluded');
       tr.innerHTML = `
         <td><span class="rank ${isRanked ? getRankClass(rank) : 'rank--default'}">${isRanked ? rank : '—'}</span></td>
         <td>
           <div class="delegator-name">
             <div class="delegator-avatar">${initial}</div>
-            <a href="https://peakd.com/@${d.name}" target="_blank" class="delegator-link">@${d.name}</a>
+            <a href="#/@${d.name}" class="delegator-link">@${d.name}</a>
             ${isExcluded ? '<span class="badge badge--excluded">Excluded from SBI</span>' : ''}
+            ${methodBadge ? `<span class="badge badge--method"${payoutMethod.threshold ? ` title="Paid out at ${Number(payoutMethod.threshold).toFixed(3)} HIVE"` : ''}>${methodBadge}</span>` : ''}
+            ${payoutMethod.method === 'sbi' && sbiOverride ? `<span class="badge badge--override" title="${describeSBIOverride(sbiOverride)}">Custom SBI</span>` : ''}
           </div>
         </td>
         <td class="mono">${d.hp.toLocaleString()} HP</td>
@@ -142,7 +265,10 @@ async function loadDashboard() {
           </div>
         </td>
         <td class="mono">${d.base_reward > 0 ? d.base_reward.toFixed(3) : '—'}</td>
-        <td class="mono green">${adjustedReward > 0 ? adjustedReward.toFixed(3) : '—'}</td>
+        <td class="mono green"${factors.length > 0 ? ` title="${describeRewardFactors(multiplier, breakdown)}"` : ''}>
+          ${adjustedReward > 0 ? adjustedReward.toFixed(3) : '—'}
+          ${factors.length > 0 ? `<span class="badge badge--bonus">x${breakdown.multiplier}</span>` : ''}
+        </td>
         <td class="mono blue">${bal.balance.toFixed(3)}</td>
         <td class="mono">${bal.total_sent.toFixed(3)}</td>
       `;
@@ -168,7 +294,7 @@ async function loadDashboard() {
           <td>
             <div class="delegator-name">
               <div class="delegator-avatar">${initial}</div>
-              <a href="https://peakd.com/@${name}" target="_blank" class="delegator-link">@${name}</a>
+              <a href="#/@${name}" class="delegator-link">@${name}</a>
             </div>
           </td>
           <td class="mono">—</td>
@@ -200,18 +326,6 @@ async function loadDashboard() {
       });
     });
 
-    // Build chart data by date from payout history
-    const chartByDate = {};
-    if (payoutHistory && Array.isArray(payoutHistory)) {
-      for (const payout of payoutHistory) {
-        chartByDate[payout.date] = payout.delegators || [];
-      }
-    }
-    // Add today's data
-    if (payoutSummary && payoutSummary.delegators) {
-      chartByDate[payoutSummary.date] = payoutSummary.delegators;
-    }
-
     // Chart toolbar (defensive: do not crash dashboard if chart UI mismatches)
     const dateSelect = document.getElementById('chart-date-select');
     const filterInput = document.getElementById('chart-filter');
@@ -219,8 +333,10 @@ async function loadDashboard() {
     const chartMeta = document.getElementById('chart-meta');
     const chartContainer = document.getElementById('bar-chart');
 
-    const dates = Object.keys(chartByDate).sort().reverse();
-    const initialDate = dates[0] || payoutSummary.date;
+    // Payout days from the manifest; other days' delegators come from their month file
+    const dates = manifest.days.map(d => d.date).reverse();
+    if (!dates.includes(payoutSummary.date)) dates.unshift(payoutSummary.date);
+    const initialDate = dates[0];
 
     const canRenderChart = Boolean(dateSelect && filterInput && topSelect && chartMeta && chartContainer);
     if (!canRenderChart) {
@@ -237,12 +353,16 @@ async function loadDashboard() {
         dateSelect.appendChild(opt);
       }
 
-      function updateChart() {
+      let chartRequest = 0;
+      async function updateChart() {
+        const request = ++chartRequest;
         const date = dateSelect.value || initialDate;
         const q = (filterInput.value || '').toLowerCase().trim();
         const topVal = topSelect.value;
 
-        const raw = chartByDate[date] || [];
+        const payout = await loadPayoutDay(date);
+        if (request !== chartRequest) return; // a newer selection is loading
+        const raw = payout ? payout.delegators || [] : [];
         const filtered = q
           ? raw.filter(d => (d.name || '').toLowerCase().includes(q))
           : raw;
@@ -266,30 +386,14 @@ async function loadDashboard() {
       updateChart();
     }
 
-    // SBI Log
-    const sbiTbody = document.getElementById('sbi-tbody');
-    sbiTbody.innerHTML = '';
+    // Trend charts over every payout day (per-day totals from the manifest)
+    renderTrends(manifest.days, manifest.sbi_sent, config);
 
-    if (sbiLog && sbiLog.length > 0) {
-      const recent = [...sbiLog].reverse().slice(0, 20);
-      for (const entry of recent) {
-        const tr = document.createElement('tr');
-        tr.innerHTML = `
-          <td>${formatDate(entry.date)}</td>
-          <td>
-            <div class="delegator-name">
-              <div class="delegator-avatar">${entry.delegator.charAt(0).toUpperCase()}</div>
-              <a href="https://peakd.com/@${entry.delegator}" target="_blank" class="delegator-link">@${entry.delegator}</a>
-            </div>
-          </td>
-          <td class="mono green">${entry.sent.toFixed(3)} HIVE</td>
-          <td><span class="status-badge status-badge--sent">Sent</span></td>
-        `;
-        sbiTbody.appendChild(tr);
-      }
-    } else {
-      sbiTbody.innerHTML = '<tr><td colspan="4" style="text-align:center; color: var(--text-secondary); padding: 2rem;">No SBI transactions yet.</td></tr>';
-    }
+    // SBI log browser, loaded when the SBI tab is first opened
+    setupSBIBrowser();
+
+    window.addEventListener('hashchange', route);
+    route();
 
   } catch (err) {
     console.error('Dashboard error:', err);
@@ -302,6 +406,361 @@ async function loadDashboard() {
   }
 }
 
+// ─── SBI Log ───
+
+// Block explorer page for a transaction ID
+const TX_EXPLORER_URL = 'https://hivehub.dev/tx/';
+
+const SEND_STATUS_LABELS = { confirmed: 'Confirmed', pending: 'Pending', failed: 'Failed' };
+
+// SBI sends and adjustments to filter: the delegator's bundle when the filter
+// names one exactly, otherwise the month files overlapping the date range
+async function loadSBIEntries(filters) {
+  const { manifest } = dashboardData;
+  const name = filters.delegator.toLowerCase().replace(/^@/, '').trim();
+
+  let sources;
+  if (manifest.delegators.some(d => d.name === name)) {
+    sources = [await loadDelegatorBundle(name)];
+  } else {
+    const months = manifest.months.filter(m =>
+      (!filters.from || m.month >= filters.from.slice(0, 7)) && (!filters.to || m.month <= filters.to.slice(0, 7)));
+    sources = await Promise.all(months.map(m => loadMonthBundle(m.month)));
+  }
+
+  // Log order: months oldest first, a day's adjustments after its sends
+  const entries = [];
+  for (const source of sources) {
+    if (!source) continue;
+    for (const send of source.sends) {
+      if (send.method === 'sbi') entries.push({ ...send, type: 'send', order: entries.length });
+    }
+    for (const adjustment of source.adjustments) entries.push({ ...adjustment, type: 'adjustment', order: entries.length });
+  }
+  return entries;
+}
+
+function setupSBIBrowser() {
+  const delegatorInput = document.getElementById('sbi-delegator');
+  const delegatorList = document.getElementById('sbi-delegators');
+  const fromInput = document.getElementById('sbi-from');
+  const toInput = document.getElementById('sbi-to');
+  const statusSelect = document.getElementById('sbi-status');
+  const prevBtn = document.getElementById('sbi-prev');
+  const nextBtn = document.getElementById('sbi-next');
+  const tabBtn = document.querySelector('.tab-btn[data-tab="sbi"]');
+  if (!delegatorInput || !fromInput || !toInput || !statusSelect || !prevBtn || !nextBtn || !tabBtn) return;
+
+  delegatorList.innerHTML = dashboardData.manifest.delegators.map(d => `<option value="${d.name}">`).join('');
+
+  let filtered = [];
+  let page = 1;
+  let request = 0;
+
+  async function update() {
+    const current = ++request;
+    const filters = { delegator: delegatorInput.value, from: fromInput.value, to: toInput.value, status: statusSelect.value };
+    const entries = await loadSBIEntries(filters);
+    if (current !== request) return; // newer filters are loading
+
+    filtered = SBIBrowser.filterEntries(entries, filters);
+    page = 1;
+    renderSBIPage(filtered, page);
+    renderSBITotals(filtered);
+  }
+
+  for (const input of [delegatorInput, fromInput, toInput, statusSelect]) {
+    input.addEventListener(input === delegatorInput ? 'input' : 'change', update);
+  }
+  prevBtn.addEventListener('click', () => { page = renderSBIPage(filtered, page - 1); });
+  nextBtn.addEventListener('click', () => { page = renderSBIPage(filtered, page + 1); });
+
+  // Month files are only fetched once the tab is opened
+  let started = false;
+  tabBtn.addEventListener('click', () => {
+    if (started) return;
+    started = true;
+    update();
+  });
+}
+
+function describeSBISend(entry) {
+  const status = SBIBrowser.statusOf(entry);
+  const error = status === 'failed' && entry.error ? ` title="${escapeHTML(entry.error)}"` : '';
+  const dryRun = entry.dry_run ? ' <span class="status-badge status-badge--dry-run">Dry run</span>' : '';
+  const label = entry.status ? SEND_STATUS_LABELS[status] : 'Sent';
+  return `<span class="status-badge status-badge--${status === 'confirmed' ? 'sent' : status}"${error}>${label}</span>${dryRun}`;
+}
+
+// Render one page of entries; returns the page shown
+function renderSBIPage(entries, page) {
+  const tbody = document.getElementById('sbi-tbody');
+  const result = SBIBrowser.paginate(entries, page);
+
+  if (result.total === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; color: var(--text-secondary); padding: 2rem;">No SBI transactions match these filters.</td></tr>';
+  } else {
+    tbody.innerHTML = result.rows.map(entry => {
+      const delegatorCell = `
+          <td>
+            <div class="delegator-name">
+              <div class="delegator-avatar">${entry.delegator.charAt(0).toUpperCase()}</div>
+              <a href="#/@${entry.delegator}" class="delegator-link">@${entry.delegator}</a>
+            </div>
+          </td>`;
+
+      if (entry.type === 'adjustment') {
+        const by = entry.source === 'recompute' ? 'recompute' : `@${entry.operator || 'unknown'}`;
+        return `
+          <tr class="row-adjustment">
+            <td>${formatDate(entry.date)}</td>
+            ${delegatorCell}
+            <td class="mono ${entry.amount < 0 ? 'red' : 'green'}">${entry.amount > 0 ? '+' : ''}${entry.amount.toFixed(3)} HIVE</td>
+            <td>
+              <span class="status-badge status-badge--adjustment" title="${escapeHTML(entry.reason || '')} (by ${escapeHTML(by)})">Adjustment</span>
+              <div class="adjustment-note">${escapeHTML(entry.reason || '')} · ${escapeHTML(by)}</div>
+            </td>
+            <td>—</td>
+          </tr>`;
+      }
+
+      const tx = entry.tx_id
+        ? `<a class="tx-link" href="${TX_EXPLORER_URL}${encodeURIComponent(entry.tx_id)}" target="_blank" rel="noopener" title="${escapeHTML(entry.tx_id)}">${escapeHTML(entry.tx_id.slice(0, 10))}…</a>`
+        : '—';
+      return `
+          <tr>
+            <td>${formatDate(entry.date)}</td>
+            ${delegatorCell}
+            <td class="mono ${SBIBrowser.statusOf(entry) === 'confirmed' ? 'green' : ''}">${entry.sent.toFixed(3)} HIVE</td>
+            <td>${describeSBISend(entry)}</td>
+            <td>${tx}</td>
+          </tr>`;
+    }).join('');
+  }
+
+  const totals = SBIBrowser.totalsByDelegator(entries);
+  const sum = key => totals.reduce((acc, t) => acc + t[key], 0);
+  document.getElementById('sbi-meta').textContent =
+    `${result.total} entries • ${sum('confirmed').toFixed(3)} HIVE confirmed • ${sum('pending').toFixed(3)} HIVE pending • ${sum('failed')} failed`;
+  document.getElementById('sbi-page').textContent = `Page ${result.page} of ${result.pages}`;
+  document.getElementById('sbi-prev').disabled = result.page <= 1;
+  document.getElementById('sbi-next').disabled = result.page >= result.pages;
+  return result.page;
+}
+
+function renderSBITotals(entries) {
+  const tbody = document.getElementById('sbi-totals');
+  const totals = SBIBrowser.totalsByDelegator(entries);
+
+  if (totals.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" style="text-align:center; color: var(--text-secondary); padding: 2rem;">No delegators in this selection.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = totals.map(t => `
+    <tr>
+      <td><a href="#/@${t.delegator}" class="delegator-link">@${t.delegator}</a></td>
+      <td class="mono">${t.sends}</td>
+      <td class="mono green">${t.confirmed.toFixed(3)}</td>
+      <td class="mono ${t.pending > 0 ? 'orange' : ''}">${t.pending > 0 ? t.pending.toFixed(3) : '—'}</td>
+      <td class="mono ${t.failed > 0 ? 'red' : ''}">${t.failed || '—'}</td>
+      <td class="mono">${t.adjusted !== 0 ? `${t.adjusted > 0 ? '+' : ''}${t.adjusted.toFixed(3)}` : '—'}</td>
+    </tr>`).join('');
+}
+
+// ─── Delegator History (#/@name) ───
+
+// One delegator's bundle (delegators/<name>.json), fetched on first visit
+const delegatorBundles = {};
+
+function loadDelegatorBundle(name) {
+  if (!(name in delegatorBundles)) {
+    const entry = dashboardData.manifest.delegators.find(d => d.name === name);
+    delegatorBundles[name] = entry ? loadJSON(`bundles/${entry.file}`) : Promise.resolve(null);
+  }
+  return delegatorBundles[name];
+}
+
+// Show the history view for #/@name, the dashboard otherwise
+async function route() {
+  const name = DelegatorHistory.parseRoute(window.location.hash);
+  const dashboardEl = document.getElementById('dashboard');
+  const historyEl = document.getElementById('delegator-view');
+  const tabsEl = document.querySelector('.header-tabs');
+
+  dashboardEl.style.display = name ? 'none' : 'block';
+  if (tabsEl) tabsEl.style.display = name ? 'none' : '';
+  historyEl.hidden = !name;
+  if (!name) {
+    document.title = `hive-rewarder — @${currentAccount.name} Delegator Dashboard`;
+    return;
+  }
+
+  document.title = `@${name} — hive-rewarder`;
+  window.scrollTo(0, 0);
+  await renderDelegatorHistory(name);
+}
+
+const SEND_METHOD_LABELS = { sbi: 'SBI', hive: 'HIVE', hp: 'HP' };
+
+function describeSend(send) {
+  const status = send.status && send.status !== 'confirmed' ? ` (${send.status})` : '';
+  const dryRun = send.dry_run ? ' (dry run)' : '';
+  const cls = send.status === 'failed' ? ' history-chip--failed' : send.status === 'pending' ? ' history-chip--pending' : '';
+  const title = send.tx_id ? ` title="Transaction ${send.tx_id}"` : '';
+  return `<span class="history-chip history-chip--send${cls}"${title}>−${send.sent.toFixed(3)} ${SEND_METHOD_LABELS[send.method] || 'SBI'}${status}${dryRun}</span>`;
+}
+
+function describeAdjustment(adjustment) {
+  const by = adjustment.source === 'recompute' ? 'recompute' : `@${adjustment.operator || 'unknown'}`;
+  return `<span class="history-chip history-chip--adjustment" title="${escapeHTML(adjustment.reason || '')} (by ${escapeHTML(by)})">${adjustment.amount > 0 ? '+' : ''}${adjustment.amount.toFixed(3)} adjustment</span>`;
+}
+
+function describeDelegation(day) {
+  if (day.delegation.length === 0) return day.hp !== null ? `${day.hp.toLocaleString()} HP` : '—';
+  return day.delegation.map(e => {
+    const change = e.change >= 0 ? `+${e.change.toLocaleString()}` : e.change.toLocaleString();
+    return `<span class="history-chip ${e.change >= 0 ? 'history-chip--up' : 'history-chip--down'}">${change} HP</span> → ${e.hp.toLocaleString()} HP`;
+  }).join('<br>');
+}
+
+async function renderDelegatorHistory(name) {
+  const { manifest, latest } = dashboardData;
+  const bundle = await loadDelegatorBundle(name) || { payouts: [], accumulations: [], sends: [], adjustments: [], delegations: [] };
+  const balance = latest.balances[name] || null;
+
+  // The bundle holds only this delegator's rows; reshape them as the raw logs
+  const timeline = DelegatorHistory.buildTimeline({
+    name,
+    payoutHistory: bundle.payouts.map(({ date, total_delegation_hp, ...d }) => ({ date, total_delegation_hp, delegators: [{ name, ...d }] })),
+    accumulationLog: bundle.accumulations.map(({ date, ...r }) => ({ date, delegators: [{ name, ...r }] })),
+    sends: bundle.sends,
+    adjustments: bundle.adjustments,
+    delegationHistory: { [name]: bundle.delegations },
+    balance,
+    lastAccumulatedDate: manifest.last_accumulated_date,
+    getMultiplier: (totalHP, date) => getMultiplier(totalHP, date, latest.config)
+  });
+  const months = DelegatorHistory.summarizeByMonth(timeline);
+  setupRecordExport(name, timeline);
+
+  document.getElementById('history-avatar').textContent = name.charAt(0).toUpperCase();
+  document.getElementById('history-name').textContent = `@${name}`;
+  document.getElementById('history-profile').href = `https://peakd.com/@${name}`;
+
+  const events = bundle.delegations;
+  const currentHP = events.length > 0 ? events[events.length - 1].hp : 0;
+  const earned = timeline.reduce((sum, day) => sum + day.reward, 0);
+  document.getElementById('history-delegation').textContent = `${Number(currentHP).toLocaleString()} HP`;
+  document.getElementById('history-earned').textContent = `${earned.toFixed(3)} HIVE`;
+  document.getElementById('history-balance').textContent = `${(balance ? balance.balance : 0).toFixed(3)} HIVE`;
+  document.getElementById('history-sent').textContent = `${(balance ? balance.total_sent : 0).toFixed(3)} HIVE`;
+
+  const monthsTbody = document.getElementById('history-months');
+  const tbody = document.getElementById('history-tbody');
+  const monthSelect = document.getElementById('history-month');
+
+  if (timeline.length === 0) {
+    monthsTbody.innerHTML = '<tr><td colspan="6" style="text-align:center; color: var(--text-secondary); padding: 2rem;">No history yet.</td></tr>';
+    tbody.innerHTML = `<tr><td colspan="7" style="text-align:center; color: var(--text-secondary); padding: 2rem;">No payouts, sends or delegations found for @${escapeHTML(name)}.</td></tr>`;
+    monthSelect.innerHTML = '';
+    return;
+  }
+
+  monthsTbody.innerHTML = months.map(m => `
+    <tr>
+      <td>${formatMonth(m.month)}</td>
+      <td class="mono">${m.days}</td>
+      <td class="mono">${m.base_reward.toFixed(3)}</td>
+      <td class="mono green">${m.reward.toFixed(3)}</td>
+      <td class="mono">${m.sent.toFixed(3)}</td>
+      <td class="mono ${m.adjusted < 0 ? 'red' : m.adjusted > 0 ? 'purple' : ''}">${m.adjusted !== 0 ? `${m.adjusted > 0 ? '+' : ''}${m.adjusted.toFixed(3)}` : '—'}</td>
+    </tr>`).join('');
+
+  // Latest month first; "All time" shows every day
+  monthSelect.innerHTML = ['<option value="">All time</option>', ...months.map(m => `<option value="${m.month}">${formatMonth(m.month)}</option>`)].join('');
+  monthSelect.value = months[0].month;
+  monthSelect.onchange = () => renderHistoryDays(timeline, monthSelect.value);
+  renderHistoryDays(timeline, monthSelect.value);
+}
+
+function renderHistoryDays(timeline, month) {
+  const tbody = document.getElementById('history-tbody');
+  const days = timeline.filter(day => !month || day.date.startsWith(month)).reverse();
+
+  tbody.innerHTML = days.map(day => {
+    const hasReward = day.hp !== null || day.base_reward > 0;
+    const factors = day.factors && day.factors.length > 0
+      ? ` title="${escapeHTML(day.factors.map(f => `${f.rule} ×${f.factor}: ${f.detail}`).join('\n'))}"`
+      : '';
+    const badges = [
+      day.pending ? '<span class="badge badge--pending" title="Not accumulated yet">Pending</span>' : '',
+      day.estimated ? '<span class="history-estimate" title="No accumulation record: base reward × global multiplier">≈</span>' : ''
+    ].join('');
+    const activity = [...day.sends.map(describeSend), ...day.adjustments.map(describeAdjustment)].join(' ') || '—';
+
+    return `
+      <tr>
+        <td>${formatDate(day.date)}</td>
+        <td class="mono">${describeDelegation(day)}</td>
+        <td class="mono">${hasReward ? day.base_reward.toFixed(3) : '—'}</td>
+        <td class="mono"${factors}>${day.multiplier !== null ? `x${day.multiplier}` : '—'}</td>
+        <td class="mono green">${hasReward ? `${day.reward.toFixed(3)} ${badges}` : '—'}</td>
+        <td>${activity}</td>
+        <td class="mono blue">${day.balance.toFixed(3)}</td>
+      </tr>`;
+  }).join('');
+}
+
+// Download buttons for the delegator's records (scripts/reward_export.js)
+function setupRecordExport(name, timeline) {
+  const fromInput = document.getElementById('export-from');
+  const toInput = document.getElementById('export-to');
+  const meta = document.getElementById('export-meta');
+
+  const first = timeline.length > 0 ? timeline[0].date : '';
+  const last = timeline.length > 0 ? timeline[timeline.length - 1].date : '';
+  fromInput.value = fromInput.min = toInput.min = first;
+  toInput.value = fromInput.max = toInput.max = last;
+
+  const range = () => ({ from: fromInput.value || null, to: toInput.value || null });
+  const rows = () => RewardExport.buildRows(name, timeline, range());
+  const fileName = (ext) => {
+    const { from, to } = range();
+    return `${currentAccount.name}-${name}-${from || 'start'}-${to || 'latest'}.${ext}`;
+  };
+
+  const describe = () => {
+    const totals = RewardExport.summarize(rows());
+    meta.textContent = `${totals.rows} rows • ${totals.reward_hive.toFixed(3)} HIVE earned • ${totals.sent_hive.toFixed(3)} HIVE sent`;
+  };
+  fromInput.onchange = describe;
+  toInput.onchange = describe;
+
+  document.getElementById('export-csv').onclick = () =>
+    downloadFile(fileName('csv'), RewardExport.toCSV(rows()), 'text/csv');
+  document.getElementById('export-json').onclick = () =>
+    downloadFile(fileName('json'), RewardExport.toJSON(rows(), { delegator: name, ...range() }), 'application/json');
+
+  describe();
+}
+
+function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function formatMonth(month) {
+  const d = new Date(`${month}-01T00:00:00`);
+  return d.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+}
+
 function renderChartForDate(delegators) {
   const container = document.getElementById('bar-chart');
   container.innerHTML = '';
@@ -327,7 +786,7 @@ function renderChartForDate(delegators) {
     row.innerHTML = `
       <div class="hbar-rank mono">${i + 1}</div>
       <div class="hbar-name">
-        <a href="https://peakd.com/@${d.name}" target="_blank" class="delegator-link">@${d.name}</a>
+        <a href="#/@${d.name}" class="delegator-link">@${d.name}</a>
         <div class="hbar-sub mono">${(d.hp || 0).toLocaleString()} HP</div>
       </div>
       <div class="hbar-track">
@@ -342,6 +801,63 @@ function renderChartForDate(delegators) {
   container.appendChild(list);
 }
 
+// ─── Trends ───
+
+const TREND_CHARTS = [
+  { id: 'trend-delegation', key: 'delegation_hp', label: 'Delegation', color: 'var(--green)', format: v => `${Math.round(v).toLocaleString()} HP` },
+  { id: 'trend-curation', key: 'curation_hive', label: 'Curation', color: 'var(--purple)', format: v => `${v.toFixed(3)} HIVE` },
+  { id: 'trend-multiplier', key: 'multiplier', label: 'Multiplier', color: 'var(--orange)', format: v => `x${v}` },
+  { id: 'trend-sbi', key: 'sbi_units', label: 'SBI units', color: 'var(--blue)', format: v => v.toLocaleString(), type: 'bar' }
+];
+
+function renderTrends(days, sbiSent, config) {
+  const rangeSelect = document.getElementById('trend-range');
+  const fromInput = document.getElementById('trend-from');
+  const toInput = document.getElementById('trend-to');
+  const meta = document.getElementById('trend-meta');
+  if (!rangeSelect || !fromInput || !toInput || !meta) return;
+
+  // The manifest totals confirmed SBI sends per date; one send per date stands in for the log
+  const sends = Object.entries(sbiSent || {}).map(([date, sent]) => ({ date, sent }));
+  const series = TrendCharts.buildSeries(days, sends, (totalHP, date) => getMultiplier(totalHP, date, config));
+  if (series.length > 0) {
+    fromInput.min = toInput.min = series[0].date;
+    fromInput.max = toInput.max = series[series.length - 1].date;
+  }
+
+  function update() {
+    const custom = rangeSelect.value === 'custom';
+    const points = custom
+      ? TrendCharts.selectRange(series, { from: fromInput.value || null, to: toInput.value || null })
+      : TrendCharts.selectRange(series, { preset: rangeSelect.value });
+
+    if (!custom && points.length > 0) {
+      fromInput.value = points[0].date;
+      toInput.value = points[points.length - 1].date;
+    }
+
+    meta.textContent = points.length > 0
+      ? `${formatDate(points[0].date)} – ${formatDate(points[points.length - 1].date)} • ${points.length} days`
+      : 'No payout days in this range';
+
+    for (const chart of TREND_CHARTS) {
+      const container = document.getElementById(chart.id);
+      if (container) TrendCharts.renderTimeSeries(container, points, chart);
+    }
+  }
+
+  rangeSelect.addEventListener('change', update);
+  // Editing a date switches to a custom range
+  for (const input of [fromInput, toInput]) {
+    input.addEventListener('change', () => {
+      rangeSelect.value = 'custom';
+      update();
+    });
+  }
+
+  update();
+}
+
 // Initialize dashboard
 // Tab switching logic (always runs, even if dashboard loading fails)
 document.addEventListener('DOMContentLoaded', () => {
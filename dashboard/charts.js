@@ -0,0 +1,215 @@
+/**
+ * charts.js
+ * Time-series charts for the dashboard's Trends tab, drawn as inline SVG
+ * (no chart library or CDN, so the Pages site stays self-contained).
+ * Shared by the dashboard (<script src="charts.js"> → window.TrendCharts)
+ * and the tests (require); only renderTimeSeries touches the DOM.
+ *
+ * One point per payout_history.json entry:
+ *   { date, delegation_hp, curation_hive, multiplier, sbi_units }
+ * curation_hive is null for days recorded before curation totals were
+ * stored. sbi_units counts confirmed SBI sends of the day at one unit
+ * per HIVE.
+ *
+ * Keep this file dependency-free: it runs unmodified in the browser.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TrendCharts = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const RANGE_PRESETS = { '30d': 30, '90d': 90, '1y': 365, all: null };
+
+  /**
+   * Build the daily series. getMultiplier(totalDelegationHP, date) is the
+   * global multiplier (scripts/multiplier.js with the account's config).
+   */
+  function buildSeries(payoutHistory, sbiLog, getMultiplier) {
+    const units = {};
+    for (const send of sbiLog || []) {
+      if (send.status && send.status !== 'confirmed') continue;
+      units[send.date] = (units[send.date] || 0) + (Number(send.sent) || 0);
+    }
+
+    return (payoutHistory || [])
+      .filter(p => p && p.date)
+      .map(p => ({
+        date: p.date,
+        delegation_hp: Number(p.total_delegation_hp) || 0,
+        curation_hive: typeof p.total_curation_hive === 'number' ? p.total_curation_hive : null,
+        multiplier: getMultiplier(p.total_delegation_hp, p.date),
+        sbi_units: parseFloat((units[p.date] || 0).toFixed(3)),
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Points within a range: { preset: '30d' | '90d' | '1y' | 'all' } counts
+   * back from the latest point; { from, to } (YYYY-MM-DD, either optional)
+   * is inclusive.
+   */
+  function selectRange(series, range = {}) {
+    if (series.length === 0) return [];
+    let { from = null, to = null } = range;
+
+    const days = RANGE_PRESETS[range.preset];
+    if (days) {
+      const last = new Date(`${series[series.length - 1].date}T00:00:00Z`).getTime();
+      from = new Date(last - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+      to = null;
+    }
+
+    return series.filter(p => (!from || p.date >= from) && (!to || p.date <= to));
+  }
+
+  /**
+   * Up to about `count` round tick values covering [min, max].
+   */
+  function niceTicks(min, max, count = 4) {
+    if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
+    if (min === max) {
+      const pad = Math.abs(min) * 0.1 || 1;
+      min -= pad;
+      max += pad;
+    }
+
+    const rough = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+
+    const first = Math.floor(min / step);
+    const last = Math.ceil(max / step);
+    const ticks = [];
+    for (let i = first; i <= last; i++) ticks.push(parseFloat((i * step).toFixed(10)));
+    return ticks;
+  }
+
+  function svg(name, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, name);
+    for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+    return el;
+  }
+
+  /**
+   * Draw points[key] over time into container as a line (or bar) chart
+   * with a hover tooltip. options: { key, label, format, color, type }.
+   */
+  function renderTimeSeries(container, points, options) {
+    const { key, label, format = v => String(v), color = 'var(--blue)', type = 'line' } = options;
+    container.innerHTML = '';
+
+    const values = points.filter(p => p[key] !== null && p[key] !== undefined);
+    if (values.length === 0) {
+      container.innerHTML = '<p class="trend-empty">No data in this range.</p>';
+      return;
+    }
+
+    const width = 560;
+    const height = 200;
+    const pad = { top: 12, right: 12, bottom: 24, left: 72 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+
+    const numbers = values.map(p => p[key]);
+    const ticks = niceTicks(type === 'bar' ? 0 : Math.min(...numbers), Math.max(...numbers));
+    const yMin = ticks[0];
+    const yMax = ticks[ticks.length - 1];
+    const x = i => pad.left + (points.length === 1 ? plotW / 2 : (i / (points.length - 1)) * plotW);
+    const y = v => pad.top + plotH - ((v - yMin) / (yMax - yMin || 1)) * plotH;
+
+    const chart = svg('svg', { viewBox: `0 0 ${width} ${height}`, class: 'trend-svg', role: 'img', 'aria-label': label });
+
+    for (const tick of ticks) {
+      chart.appendChild(svg('line', { x1: pad.left, x2: width - pad.right, y1: y(tick), y2: y(tick), class: 'trend-grid' }));
+      const text = svg('text', { x: pad.left - 6, y: y(tick) + 3, class: 'trend-axis', 'text-anchor': 'end' });
+      text.textContent = format(tick);
+      chart.appendChild(text);
+    }
+
+    // First, middle and last date on the x axis
+    const labelIndexes = [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])];
+    for (const i of labelIndexes) {
+      const anchor = i === 0 ? 'start' : i === points.length - 1 ? 'end' : 'middle';
+      const text = svg('text', { x: x(i), y: height - 6, class: 'trend-axis', 'text-anchor': points.length === 1 ? 'middle' : anchor });
+      text.textContent = points[i].date;
+      chart.appendChild(text);
+    }
+
+    if (type === 'bar') {
+      const barW = Math.max(1, (plotW / points.length) * 0.7);
+      points.forEach((p, i) => {
+        if (!p[key]) return;
+        chart.appendChild(svg('rect', { x: x(i) - barW / 2, y: y(p[key]), width: barW, height: y(yMin) - y(p[key]), fill: color, class: 'trend-bar' }));
+      });
+    } else {
+      // Gaps (null values) break the line
+      let path = '';
+      let drawing = false;
+      points.forEach((p, i) => {
+        if (p[key] === null || p[key] === undefined) {
+          drawing = false;
+          return;
+        }
+        path += `${drawing ? 'L' : 'M'}${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`;
+        drawing = true;
+      });
+      chart.appendChild(svg('path', { d: path, stroke: color, class: 'trend-line' }));
+    }
+
+    const guide = svg('line', { y1: pad.top, y2: pad.top + plotH, class: 'trend-guide', visibility: 'hidden' });
+    const dot = svg('circle', { r: 4, fill: color, visibility: 'hidden' });
+    chart.appendChild(guide);
+    chart.appendChild(dot);
+
+    const tooltip = document.createElement('div');
+    tooltip.className = 'trend-tooltip';
+    tooltip.hidden = true;
+
+    const hide = () => {
+      guide.setAttribute('visibility', 'hidden');
+      dot.setAttribute('visibility', 'hidden');
+      tooltip.hidden = true;
+    };
+
+    chart.addEventListener('mousemove', (event) => {
+      const box = chart.getBoundingClientRect();
+      const px = ((event.clientX - box.left) / box.width) * width;
+      const i = points.length === 1 ? 0 : Math.round(((px - pad.left) / plotW) * (points.length - 1));
+      const p = points[Math.min(points.length - 1, Math.max(0, i))];
+      const index = points.indexOf(p);
+      if (p[key] === null || p[key] === undefined) return hide();
+
+      guide.setAttribute('x1', x(index));
+      guide.setAttribute('x2', x(index));
+      guide.setAttribute('visibility', 'visible');
+      dot.setAttribute('cx', x(index));
+      dot.setAttribute('cy', y(p[key]));
+      dot.setAttribute('visibility', 'visible');
+
+      tooltip.innerHTML = `<strong>${p.date}</strong><br>${label}: ${format(p[key])}`;
+      tooltip.hidden = false;
+      const left = (x(index) / width) * box.width;
+      tooltip.style.left = `${Math.min(Math.max(left, 60), box.width - 60)}px`;
+      tooltip.style.top = `${(y(p[key]) / height) * box.height}px`;
+    });
+    chart.addEventListener('mouseleave', hide);
+
+    container.appendChild(chart);
+    container.appendChild(tooltip);
+  }
+
+  return {
+    RANGE_PRESETS,
+    buildSeries,
+    selectRange,
+    niceTicks,
+    renderTimeSeries,
+  };
+}));
@@ -0,0 +1,104 @@
+/**
+ * sbi_browser.js
+ * Filtering, pagination and per-delegator totals for the dashboard's SBI
+ * tab. Shared by the dashboard (<script src="sbi_browser.js"> →
+ * window.SBIBrowser) and the tests (require).
+ *
+ * Entries are SBI sends (sbi_log.json) and balance adjustments
+ * (adjustments.json), tagged { type: 'send' | 'adjustment', order } where
+ * order is the position in the log, oldest first. Sends without a status
+ * were recorded before statuses were tracked and count as confirmed.
+ *
+ * Keep this file dependency-free: it runs unmodified in the browser.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SBIBrowser = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PAGE_SIZE = 25;
+
+  function round(value) {
+    return parseFloat(value.toFixed(3));
+  }
+
+  /**
+   * 'confirmed', 'pending' or 'failed'.
+   */
+  function statusOf(send) {
+    return send.status || 'confirmed';
+  }
+
+  /**
+   * Entries matching filters, newest first (log order within a day):
+   *   { delegator, from, to, status }
+   * delegator matches part of the name; status is a send status or
+   * 'adjustment'. Empty filters match everything.
+   */
+  function filterEntries(entries, filters = {}) {
+    const query = String(filters.delegator || '').toLowerCase().replace(/^@/, '').trim();
+    const { from, to, status } = filters;
+
+    return entries
+      .filter(e => !query || e.delegator.includes(query))
+      .filter(e => (!from || e.date >= from) && (!to || e.date <= to))
+      .filter(e => {
+        if (!status) return true;
+        if (status === 'adjustment') return e.type === 'adjustment';
+        return e.type === 'send' && statusOf(e) === status;
+      })
+      .sort((a, b) => b.date.localeCompare(a.date) || b.order - a.order);
+  }
+
+  /**
+   * One page (1-based, clamped) of entries:
+   *   { page, pages, total, rows }
+   */
+  function paginate(entries, page = 1, pageSize = PAGE_SIZE) {
+    const pages = Math.max(1, Math.ceil(entries.length / pageSize));
+    const current = Math.min(Math.max(1, Math.floor(page) || 1), pages);
+    return {
+      page: current,
+      pages,
+      total: entries.length,
+      rows: entries.slice((current - 1) * pageSize, current * pageSize),
+    };
+  }
+
+  /**
+   * Per-delegator totals, largest confirmed amount first:
+   *   { delegator, sends, confirmed, pending, failed, adjusted }
+   * confirmed/pending are HIVE, failed is a count of sends.
+   */
+  function totalsByDelegator(entries) {
+    const totals = {};
+    for (const e of entries) {
+      const t = totals[e.delegator] || (totals[e.delegator] = { delegator: e.delegator, sends: 0, confirmed: 0, pending: 0, failed: 0, adjusted: 0 });
+      if (e.type === 'adjustment') {
+        t.adjusted += e.amount;
+        continue;
+      }
+      t.sends++;
+      const status = statusOf(e);
+      if (status === 'failed') t.failed++;
+      else t[status] += e.sent;
+    }
+
+    return Object.values(totals)
+      .map(t => ({ ...t, confirmed: round(t.confirmed), pending: round(t.pending), adjusted: round(t.adjusted) }))
+      .sort((a, b) => b.confirmed - a.confirmed || a.delegator.localeCompare(b.delegator));
+  }
+
+  return {
+    PAGE_SIZE,
+    statusOf,
+    filterEntries,
+    paginate,
+    totalsByDelegator,
+  };
+}));
@@ -2,49 +2,62 @@
  * accumulator.js
  * Core accumulation logic for hive-rewarder.
  *
- * 1. Reads payout_summary.json (output from Hive Vote Tool).
- * 2. Applies a global multiplier based on total delegation HP:
- *    - < 10,000 HP → x3
- *    - >= 10,000 HP → x1
- * 3. Updates individual delegator balances in delegator_balances.json.
- * 4. When a delegator's balance >= 1 HIVE, triggers SBI payout (1-HIVE chunks).
- * 5. Logs all SBI transactions to sbi_log.json.
+ * 1. Reads every ledger payout newer than the last accumulated date
+ *    (falls back to payout_summary.json), oldest first.
+ * 2. Applies each day's own global multiplier based on that day's total
+ *    delegation HP, using the schedule in effect on that date
+ *    (multiplier.schedules in config.json, see multiplier.js).
+ * 3. Layers per-delegator bonus rules (tenure, minimum HP, caps) on top
+ *    (bonus_rules in config.json, see rules.js) and records every factor
+ *    applied per day in the ledger's rewards table.
+ * 4. Updates individual delegator balances in the ledger (see ledger.js).
+ *    Balances also carry journaled adjustments (see adjust.js), which the
+ *    totals report separately.
+ * 5. When a delegator's balance reaches their payout threshold, pays it out
+ *    by their payout method (SBI by default, see send_sbi.js).
+ * 6. Exports the ledger to the dashboard JSON files, also when payouts
+ *    fail part-way.
  */
 
-const { fetchRewards } = require('./fetch_rewards');
-const { processSBIPayouts } = require('./send_sbi');
-const { loadJSON, saveJSON, getMultiplier, formatHIVE, getTodayUTC, log } = require('./utils');
+const { fetchPendingPayouts } = require('./fetch_rewards');
+const { processPayouts } = require('./send_sbi');
+const { loadJSON, getMultiplier, formatHIVE, getTodayUTC, log } = require('./utils');
+const { getSBIConfig, getPayoutConfig, getMultiplierSchedules, getBonusRules } = require('./config');
+const { getPayoutWindowEnd, applyRules } = require('./rules');
+const ledger = require('./ledger');
 
-async function accumulate() {
-  log('🚀 Starting reward accumulation...');
+/**
+ * Apply one payout day to the balances map (mutates balances).
+ * Per-delegator bonus rules (see rules.js) are layered onto the global
+ * multiplier; tenure counts to the end of the day's window (payoutConfig
+ * for days recorded without one). Returns the day's reward breakdown (accumulation_log.json
+ * entry shape).
+ */
+function accumulateDay(balances, payout, today, rules = [], delegationHistory = {}, payoutConfig = null) {
+  const { date, total_delegation_hp, delegators } = payout;
 
-  // Step 1: Fetch and validate payout summary
-  const payoutSummary = fetchRewards();
-  const { date, total_delegation_hp, delegators } = payoutSummary;
+  const multiplier = getMultiplier(total_delegation_hp, date);
+  const windowEnd = rules.length > 0 ? getPayoutWindowEnd(payout, payoutConfig) : null;
 
-  // Step 2: Calculate global multiplier
-  const multiplier = getMultiplier(total_delegation_hp);
+  log(`\n${'═'.repeat(60)}`);
+  log(`📅 ACCUMULATING: ${date}`);
+  log(`${'═'.repeat(60)}`);
   log(`📊 Total Delegation: ${total_delegation_hp} HP`);
   log(`✖️  Global Multiplier: x${multiplier}`);
 
-  // Step 3: Load existing balances
-  const balances = loadJSON('delegator_balances.json', {});
-  const today = getTodayUTC();
-
-  // Guard: skip if we already accumulated this payout date
-  const meta = balances._meta || {};
-  if (meta.last_accumulated_date === date) {
-    log(`⚠️ Already accumulated rewards for ${date}. Skipping to prevent double-counting.`);
-    return;
-  }
-
-  // Step 4: Apply multiplier and accumulate balances
   log('\n📋 Processing delegator rewards:');
   log('─'.repeat(60));
 
+  const rewards = [];
+
   for (const delegator of delegators) {
     const { name, base_reward } = delegator;
-    const adjustedReward = formatHIVE(base_reward * multiplier);
+    const { multiplier: effective, adjusted_reward: adjustedReward, factors } = applyRules(rules, {
+      delegator,
+      windowEnd,
+      globalMultiplier: multiplier,
+      delegationHistory
+    });
 
     // Initialize delegator entry if it doesn't exist
     if (!balances[name]) {
@@ -59,45 +72,130 @@ async function accumulate() {
     balances[name].balance = formatHIVE(previousBalance + adjustedReward);
     balances[name].last_updated = today;
 
-    log(`  @${name}: base=${base_reward} × ${multiplier} = +${adjustedReward} HIVE → balance: ${balances[name].balance} HIVE`);
+    const factorNote = factors.length > 0 ? ` [${factors.map(f => `${f.rule} ×${f.factor}`).join(', ')}]` : '';
+    log(`  @${name}: base=${base_reward} × ${effective} = +${adjustedReward} HIVE → balance: ${balances[name].balance} HIVE${factorNote}`);
+
+    rewards.push({
+      name,
+      base_reward,
+      multiplier: effective,
+      adjusted_reward: adjustedReward,
+      factors
+    });
   }
 
   log('─'.repeat(60));
 
-  // Step 5: Save updated balances before SBI processing
-  balances._meta = { last_accumulated_date: date };
-  saveJSON('delegator_balances.json', balances);
+  return {
+    date,
+    total_delegation_hp,
+    multiplier,
+    accumulated_at: new Date().toISOString(),
+    delegators: rewards
+  };
+}
+
+/**
+ * Accumulate every pending payout day (only those up to `until`,
+ * YYYY-MM-DD, when given) and pay out balances. Returns a summary of the
+ * run.
+ */
+async function accumulate({ until } = {}) {
+  log('🚀 Starting reward accumulation...');
 
-  // Step 6: Process SBI payouts (sends 1-HIVE chunks where balance >= 1)
-  log('\n💸 Checking SBI payout eligibility...');
-  await processSBIPayouts();
+  // Validate config before touching balances (throws on bad config)
+  getSBIConfig();
+  getMultiplierSchedules();
+  const rules = getBonusRules();
 
-  // Step 7: Summary
-  const updatedBalances = loadJSON('delegator_balances.json', {});
+  // Step 1: Load existing balances
+  const db = ledger.openLedger();
+  const balances = ledger.loadBalances(db);
+  const today = getTodayUTC();
+  const lastAccumulatedDate = ledger.getMeta(db, 'last_accumulated_date');
+
+  // Step 2: Collect every payout day newer than the last accumulated date.
+  // The date guard prevents double-counting on reruns.
+  const pending = fetchPendingPayouts(lastAccumulatedDate, db, { until });
+
+  if (pending.length === 0) {
+    log(`⚠️ Already accumulated rewards up to ${lastAccumulatedDate}. Skipping to prevent double-counting.`);
+    ledger.exportJSON(db);
+    return { days: [], payouts: null, last_accumulated_date: lastAccumulatedDate };
+  }
+
+  // Step 3: Apply each day's multiplier and bonus rules in order. Each day's
+  // rewards, balances and date marker are committed in one transaction so
+  // a crash mid-replay resumes from the next unprocessed date.
+  const delegationHistory = rules.length > 0 ? loadJSON('delegation_history.json', {}) : {};
+  const payoutConfig = rules.length > 0 ? getPayoutConfig() : null;
+  if (rules.length > 0) log(`🎯 Bonus rules active: ${rules.map(r => r.type).join(', ')}`);
+
+  const processed = [];
+  for (const payout of pending) {
+    const entry = accumulateDay(balances, payout, today, rules, delegationHistory, payoutConfig);
+    processed.push({ date: payout.date, multiplier: entry.multiplier, delegators: payout.delegators.length });
+
+    db.transaction(() => {
+      ledger.saveAccumulation(db, entry);
+      ledger.saveBalances(db, balances);
+      ledger.setMeta(db, 'last_accumulated_date', payout.date);
+    })();
+  }
+
+  // Step 4: Process payouts (SBI chunks, liquid HIVE or HP per delegator)
+  log('\n💸 Checking payout eligibility...');
+  let payouts;
+  try {
+    payouts = await processPayouts();
+  } finally {
+    // Step 5: Export the ledger for the dashboard. Also when payouts fail
+    // part-way: the sends made so far must reach the committed JSON.
+    ledger.exportJSON(db);
+  }
+
+  // Step 6: Summary
+  const updatedBalances = ledger.loadBalances(db);
   log('\n🎉 Accumulation complete!');
   log('─'.repeat(60));
-  log(`📅 Date: ${date}`);
-  log(`📊 Total Delegation: ${total_delegation_hp} HP`);
-  log(`✖️  Multiplier: x${multiplier}`);
-  log(`👥 Delegators processed: ${delegators.length}`);
+  for (const { date, multiplier, delegators } of processed) {
+    log(`📅 ${date}: x${multiplier} (${delegators} delegators)`);
+  }
+  log(`📆 Days accumulated: ${processed.length}`);
 
   let totalBalance = 0;
   let totalSent = 0;
-  for (const [name, data] of Object.entries(updatedBalances)) {
+  for (const data of Object.values(updatedBalances)) {
     totalBalance += data.balance;
     totalSent += data.total_sent;
   }
+  // Balances already include manual and recompute adjustments (see adjust.js)
+  const { adjustments } = ledger.getLedgerSummary(db);
   log(`💰 Total outstanding balance: ${formatHIVE(totalBalance)} HIVE`);
-  log(`📤 Total SBI sent (all time): ${formatHIVE(totalSent)} HIVE`);
+  log(`📤 Total paid out (all time): ${formatHIVE(totalSent)} HIVE`);
+  if (adjustments.count > 0) {
+    log(`🛠️ Net adjustments (all time): ${adjustments.total > 0 ? '+' : ''}${formatHIVE(adjustments.total)} HIVE in ${adjustments.count} entr${adjustments.count === 1 ? 'y' : 'ies'}`);
+  }
   log('─'.repeat(60));
+
+  return {
+    days: processed,
+    payouts,
+    last_accumulated_date: ledger.getMeta(db, 'last_accumulated_date'),
+    total_balance: formatHIVE(totalBalance),
+    total_sent: formatHIVE(totalSent),
+    total_adjusted: formatHIVE(adjustments.total),
+  };
 }
 
 // Run if executed directly
 if (require.main === module) {
-  accumulate().catch((err) => {
-    console.error('Unhandled error in accumulator:', err);
-    process.exit(1);
-  });
+  accumulate()
+    .catch((err) => {
+      console.error('Unhandled error in accumulator:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => ledger.closeLedger());
 }
 
-module.exports = { accumulate };
+module.exports = { accumulate, accumulateDay };
@@ -0,0 +1,76 @@
+/**
+ * adjust.js
+ * Credits or debits a delegator's balance by hand, with a reason and the
+ * name of the operator making the change.
+ *
+ * Every adjustment is appended to the ledger's adjustments journal
+ * (source "manual", exported as adjustments.json) in the same transaction
+ * that updates the balance, so balances and the journal never disagree.
+ * Entries are never edited or removed; undo one with an adjustment of the
+ * opposite amount.
+ *
+ * Usage: hive-rewarder adjust --delegator NAME --amount ±HIVE --reason TEXT --operator NAME
+ */
+
+const { formatHIVE, getTodayUTC, log } = require('./utils');
+const { ACCOUNT_NAME_RE } = require('./config');
+const ledger = require('./ledger');
+
+const ADJUSTMENT_SOURCE = 'manual';
+
+/**
+ * Validate and normalize an adjustment. Throws on bad input.
+ */
+function buildAdjustment({ delegator, amount, reason, operator }, today = getTodayUTC()) {
+  const name = String(delegator || '').replace(/^@/, '').toLowerCase();
+  if (!ACCOUNT_NAME_RE.test(name)) {
+    throw new Error(`❌ Invalid delegator name: ${JSON.stringify(delegator)}`);
+  }
+
+  const value = typeof amount === 'number' ? amount : Number(amount);
+  if (!Number.isFinite(value) || formatHIVE(value) === 0) {
+    throw new Error(`❌ Amount must be a non-zero number of HIVE, e.g. 1.5 or -0.25 (got ${JSON.stringify(amount)})`);
+  }
+  if (formatHIVE(value) !== value) {
+    throw new Error(`❌ Amount has more than 3 decimals: ${amount}`);
+  }
+
+  if (typeof reason !== 'string' || reason.trim() === '') {
+    throw new Error('❌ An adjustment needs a reason');
+  }
+  if (typeof operator !== 'string' || operator.trim() === '') {
+    throw new Error('❌ An adjustment needs an operator name');
+  }
+
+  return {
+    date: today,
+    delegator: name,
+    amount: value,
+    source: ADJUSTMENT_SOURCE,
+    reason: reason.trim(),
+    operator: operator.trim(),
+  };
+}
+
+/**
+ * Journal one manual adjustment and apply it to the delegator's balance.
+ * Returns { adjustment, balance_before, balance_after }.
+ */
+function adjust(options) {
+  const adjustment = buildAdjustment(options);
+  const db = ledger.openLedger();
+  const before = ledger.loadBalances(db)[adjustment.delegator];
+  if (!before) log(`⚠️ @${adjustment.delegator} has no balance yet; one will be created`);
+
+  const after = ledger.applyAdjustments(db, [adjustment])[adjustment.delegator];
+  ledger.exportJSON(db);
+
+  const balanceBefore = before ? before.balance : 0;
+  log(`🛠️ Adjusted @${adjustment.delegator} by ${adjustment.amount > 0 ? '+' : ''}${adjustment.amount} HIVE (${adjustment.reason}, by ${adjustment.operator})`);
+  log(`💰 Balance: ${balanceBefore} → ${after.balance} HIVE`);
+  if (after.balance < 0) log('⚠️ Balance is now negative; it will be recovered from future rewards');
+
+  return { adjustment, balance_before: balanceBefore, balance_after: after.balance };
+}
+
+module.exports = { ADJUSTMENT_SOURCE, buildAdjustment, adjust };
@@ -0,0 +1,180 @@
+/**
+ * bundles.js
+ * Writes the pre-aggregated files the dashboard loads into
+ * DATA_DIR/bundles/, built from the exported JSON files:
+ *
+ *   manifest.json           index: latest date, per-day totals, confirmed
+ *                           SBI HIVE sent per send date, and the month and
+ *                           delegator files
+ *   latest.json             latest payout day with its reward breakdown,
+ *                           balances and config (everything the
+ *                           dashboard's first view needs)
+ *   months/YYYY-MM.json     the month's payout days, accumulation records,
+ *                           sends (all payout methods) and adjustments
+ *   delegators/<name>.json  one delegator's payouts, credited rewards,
+ *                           sends, adjustments, delegation changes and
+ *                           balance (the #/@name history page)
+ *
+ * ledger.exportJSON() rebuilds the bundles after every export; run this
+ * script to rebuild them by hand. The directory is replaced as a whole,
+ * so no stale month or delegator files are left behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, loadJSON, log } = require('./utils');
+const { SEND_LOG_FILES } = require('./ledger');
+const { round, isDeducted } = require('./delegator_history');
+
+const BUNDLE_DIR = path.join(DATA_DIR, 'bundles');
+
+/**
+ * Read the exported JSON files in DATA_DIR.
+ */
+function loadExportedData() {
+  const sends = [];
+  for (const [method, file] of Object.entries(SEND_LOG_FILES)) {
+    for (const entry of loadJSON(file, [])) sends.push({ ...entry, method });
+  }
+
+  return {
+    payoutSummary: loadJSON('payout_summary.json', null),
+    payoutHistory: loadJSON('payout_history.json', []),
+    balances: loadJSON('delegator_balances.json', {}),
+    config: loadJSON('config.json', {}),
+    accumulationLog: loadJSON('accumulation_log.json', []),
+    adjustments: loadJSON('adjustments.json', []),
+    delegationHistory: loadJSON('delegation_history.json', {}),
+    sends,
+  };
+}
+
+/**
+ * Build every bundle from the exported data (see loadExportedData).
+ * Returns { manifest, latest, months: { 'YYYY-MM': shard },
+ * delegators: { name: summary } }.
+ */
+function buildBundles(data) {
+  const payouts = [...data.payoutHistory].sort((a, b) => a.date.localeCompare(b.date));
+  const months = {};
+  const delegators = {};
+
+  const monthOf = date => {
+    const key = date.slice(0, 7);
+    if (!months[key]) months[key] = { month: key, payouts: [], accumulations: [], sends: [], adjustments: [] };
+    return months[key];
+  };
+  const delegatorOf = name => {
+    if (!delegators[name]) {
+      delegators[name] = { name, balance: null, payouts: [], accumulations: [], sends: [], adjustments: [], delegations: [] };
+    }
+    return delegators[name];
+  };
+
+  const sbiSent = {};
+  for (const send of data.sends) {
+    monthOf(send.date).sends.push(send);
+    delegatorOf(send.delegator).sends.push(send);
+    if (send.method === 'sbi' && isDeducted(send)) sbiSent[send.date] = (sbiSent[send.date] || 0) + send.sent;
+  }
+
+  for (const payout of payouts) {
+    monthOf(payout.date).payouts.push(payout);
+    for (const d of payout.delegators || []) {
+      delegatorOf(d.name).payouts.push({ date: payout.date, total_delegation_hp: payout.total_delegation_hp, hp: d.hp, base_reward: d.base_reward });
+    }
+  }
+
+  for (const entry of data.accumulationLog) {
+    monthOf(entry.date).accumulations.push(entry);
+    for (const { name, ...reward } of entry.delegators || []) {
+      delegatorOf(name).accumulations.push({ date: entry.date, ...reward });
+    }
+  }
+
+  for (const adjustment of data.adjustments) {
+    monthOf(adjustment.date).adjustments.push(adjustment);
+    delegatorOf(adjustment.delegator).adjustments.push(adjustment);
+  }
+
+  for (const [name, events] of Object.entries(data.delegationHistory)) {
+    delegatorOf(name).delegations = events;
+  }
+
+  for (const [name, balance] of Object.entries(data.balances)) {
+    if (name !== '_meta') delegatorOf(name).balance = balance;
+  }
+
+  const summary = data.payoutSummary || payouts[payouts.length - 1] || null;
+  const latestDate = summary ? summary.date : null;
+
+  const manifest = {
+    latest_date: latestDate,
+    last_accumulated_date: data.balances._meta ? data.balances._meta.last_accumulated_date : null,
+    days: payouts.map(p => ({
+      date: p.date,
+      total_delegation_hp: p.total_delegation_hp,
+      total_curation_hive: typeof p.total_curation_hive === 'number' ? p.total_curation_hive : null,
+      distributable_hive: p.distributable_hive,
+      delegators: (p.delegators || []).length,
+    })),
+    sbi_sent: Object.fromEntries(Object.keys(sbiSent).sort().map(date => [date, round(sbiSent[date])])),
+    months: Object.keys(months).sort().map(key => ({
+      month: key,
+      file: `months/${key}.json`,
+      days: months[key].payouts.length,
+      sends: months[key].sends.length,
+      adjustments: months[key].adjustments.length,
+    })),
+    delegators: Object.keys(delegators).sort().map(name => ({ name, file: `delegators/${name}.json` })),
+  };
+
+  const latest = {
+    date: latestDate,
+    payout_summary: summary,
+    accumulation: data.accumulationLog.find(e => e.date === latestDate) || null,
+    balances: data.balances,
+    config: data.config,
+  };
+
+  return { manifest, latest, months, delegators };
+}
+
+function writeBundle(file, data) {
+  const filePath = path.join(BUNDLE_DIR, file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data));
+}
+
+/**
+ * Rebuild DATA_DIR/bundles/ from the exported JSON files.
+ */
+function exportBundles() {
+  const bundles = buildBundles(loadExportedData());
+
+  fs.rmSync(BUNDLE_DIR, { recursive: true, force: true });
+  for (const [key, shard] of Object.entries(bundles.months)) writeBundle(`months/${key}.json`, shard);
+  for (const [name, summary] of Object.entries(bundles.delegators)) writeBundle(`delegators/${name}.json`, summary);
+  writeBundle('latest.json', bundles.latest);
+  writeBundle('manifest.json', bundles.manifest);
+
+  log(`📦 Wrote dashboard bundles (${bundles.manifest.days.length} days, ${bundles.manifest.months.length} months, ${bundles.manifest.delegators.length} delegators)`);
+  return bundles.manifest;
+}
+
+module.exports = {
+  BUNDLE_DIR,
+  loadExportedData,
+  buildBundles,
+  exportBundles,
+};
+
+// Run if executed directly
+if (require.main === module) {
+  try {
+    exportBundles();
+  } catch (err) {
+    console.error('❌ Bundle export failed:', err);
+    process.exitCode = 1;
+  }
+}
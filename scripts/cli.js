@@ -0,0 +1,279 @@
+/**
+ * cli.js
+ * The hive-rewarder command line (bin/hive-rewarder.js):
+ *
+ *   hive-rewarder <command> [options]
+ *
+ * Every command runs one step of the pipeline for one account. The
+ * scripts read HIVE_USER, DATA_DIR, HIVE_KEY and DRY_RUN when they are
+ * loaded, so the CLI resolves the options into those variables and runs
+ * the command in a child process with them set, like run_accounts.js.
+ *
+ * With --json, progress logs go to stderr and stdout carries one JSON
+ * object: { command, ok, exit_code, account, data_dir, dry_run, result }
+ * or { command, ok: false, exit_code, error }. Exit codes are EXIT_CODES
+ * in utils.js: 0 ok, 1 failure, 2 usage error, 3 reconcile drift.
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EXIT_CODES } = require('./utils');
+
+const CHILD_ENV = 'HIVE_REWARDER_CLI_CHILD';
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const GLOBAL_OPTIONS = ['account', 'data-dir', 'json', 'help'];
+const VALUE_OPTIONS = ['account', 'data-dir', 'date', 'from', 'to', 'delegator', 'amount', 'reason', 'operator', 'format', 'output'];
+const DATE_OPTIONS = ['date', 'from', 'to'];
+
+// Modules are required inside run() so they load with the child's env.
+const COMMANDS = {
+  sync: {
+    description: 'Sync account history and record completed payout days',
+    options: ['date'],
+    run: options => require('./fetch_real_delegators').main({ date: options.date }),
+  },
+  accumulate: {
+    description: 'Accumulate pending payout days, then pay out balances',
+    options: ['date', 'dry-run'],
+    run: options => require('./accumulator').accumulate({ until: options.date }),
+  },
+  payout: {
+    description: 'Pay out balances that reached their threshold',
+    options: ['dry-run'],
+    run: async () => {
+      const { processPayouts } = require('./send_sbi');
+      const ledger = require('./ledger');
+      const result = await processPayouts();
+      ledger.exportJSON(ledger.openLedger());
+      return result;
+    },
+  },
+  reconcile: {
+    description: 'Check logged SBI sends against on-chain transfers',
+    options: ['no-sync'],
+    run: options => require('./reconcile').reconcile({ sync: !options['no-sync'] }),
+    exitCode: result => (result.drift ? EXIT_CODES.DRIFT : EXIT_CODES.OK),
+  },
+  adjust: {
+    description: 'Credit or debit a delegator\'s balance, with a reason',
+    options: ['delegator', 'amount', 'reason', 'operator'],
+    validate: (options) => {
+      const missing = ['delegator', 'amount', 'reason', 'operator'].filter(name => options[name] === undefined);
+      return missing.length > 0 ? `"adjust" needs ${missing.map(name => `--${name}`).join(', ')}` : null;
+    },
+    run: options => require('./adjust').adjust(options),
+  },
+  status: {
+    description: 'Show sync progress, payout days, balances and sends',
+    options: [],
+    run: async (options) => {
+      const { getStatus, printStatus } = require('./status');
+      const status = getStatus();
+      if (!options.json) printStatus(status);
+      return status;
+    },
+  },
+  recompute: {
+    description: 'Rebuild recorded payout days and diff them against what was paid',
+    options: ['date', 'from', 'to', 'apply'],
+    validate: (options) => {
+      if (options.date && (options.from || options.to)) return '--date cannot be combined with --from/--to';
+      if (!options.date && !options.from) return '"recompute" needs --date or --from';
+      if (options.from && options.to && options.to < options.from) return '--to is before --from';
+      return null;
+    },
+    run: options => require('./recompute').recompute({
+      from: options.date || options.from,
+      to: options.date || options.to || options.from,
+      apply: Boolean(options.apply),
+    }),
+  },
+  export: {
+    description: 'Export reward and payout records as CSV or JSON',
+    options: ['delegator', 'from', 'to', 'format', 'output'],
+    validate: (options) => {
+      if (options.format && !['csv', 'json'].includes(options.format)) return '--format must be csv or json';
+      if (options.from && options.to && options.to < options.from) return '--to is before --from';
+      return null;
+    },
+    run: (options) => {
+      const { content, rows, ...result } = require('./export_rewards').exportRewards(options);
+      // Without --output the records go to stdout, or into the --json result
+      if (options.output) return result;
+      if (!options.json) process.stdout.write(content);
+      return { ...result, rows };
+    },
+  },
+};
+
+class UsageError extends Error {}
+
+function isValidDate(date) {
+  return DATE_RE.test(date) && new Date(`${date}T00:00:00Z`).toISOString().startsWith(date);
+}
+
+function usage() {
+  const width = Math.max(...Object.keys(COMMANDS).map(c => c.length));
+  return [
+    'Usage: hive-rewarder <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, c]) => `  ${name.padEnd(width)}  ${c.description}`),
+    '',
+    'Options:',
+    '  --account <name>      Account from data/accounts.json (sets HIVE_USER, DATA_DIR, HIVE_KEY)',
+    '  --data-dir <dir>      Data directory (default: the account\'s, or data/)',
+    '  --date <YYYY-MM-DD>   sync: run as of that day | accumulate: only days up to it | recompute: day to rebuild',
+    '  --from <YYYY-MM-DD>   recompute: first day of a range to rebuild | export: first day to export',
+    '  --to <YYYY-MM-DD>     recompute: last day of the range (default: --from) | export: last day to export',
+    '  --apply               recompute: apply the corrections to balances',
+    '  --delegator <name>    adjust: delegator to credit or debit | export: only this delegator',
+    '  --amount <HIVE>       adjust: amount, negative to debit (e.g. -0.25)',
+    '  --reason <text>       adjust: why (kept in the journal)',
+    '  --operator <name>     adjust: who is making the change',
+    '  --format <csv|json>   export: output format (default: csv)',
+    '  --output <file>       export: write to this file (default: stdout)',
+    '  --dry-run             accumulate, payout: do not broadcast',
+    '  --no-sync             reconcile: use transfers already in sync.db',
+    '  --json                Logs to stderr, one JSON result on stdout',
+    '  -h, --help            Show this help',
+    '',
+    'Exit codes: 0 ok, 1 failure, 2 usage error, 3 reconcile drift',
+  ].join('\n');
+}
+
+/**
+ * Parse argv into { command, options }. Throws UsageError.
+ */
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (VALUE_OPTIONS.includes(name)) {
+      if (value === undefined) value = argv[++i];
+      if (value === undefined || value === '') throw new UsageError(`--${name} needs a value`);
+      options[name] = value;
+    } else {
+      if (value !== undefined) throw new UsageError(`--${name} does not take a value`);
+      options[name] = true;
+    }
+  }
+
+  if (options.help) return { command: null, options };
+
+  const [command, ...extra] = positional;
+  if (!command) throw new UsageError('Missing command');
+  const spec = COMMANDS[command];
+  if (!spec) throw new UsageError(`Unknown command "${command}"`);
+  if (extra.length > 0) throw new UsageError(`Unexpected argument "${extra[0]}"`);
+
+  for (const name of Object.keys(options)) {
+    if (!GLOBAL_OPTIONS.includes(name) && !spec.options.includes(name)) {
+      throw new UsageError(`"${command}" does not support --${name}`);
+    }
+  }
+  for (const name of DATE_OPTIONS) {
+    if (options[name] !== undefined && !isValidDate(options[name])) {
+      throw new UsageError(`--${name} must be YYYY-MM-DD (got "${options[name]}")`);
+    }
+  }
+  const problem = spec.validate ? spec.validate(options) : null;
+  if (problem) throw new UsageError(problem);
+
+  return { command, options };
+}
+
+/**
+ * Environment for the command's child process.
+ */
+function resolveEnv(options) {
+  const env = { ...process.env, [CHILD_ENV]: '1' };
+
+  if (options.account) {
+    const { loadAccounts, getAccountEnv } = require('./run_accounts');
+    const account = loadAccounts().find(a => a.name === options.account.toLowerCase());
+    if (!account) throw new UsageError(`Unknown account "${options.account}" (see data/accounts.json)`);
+    Object.assign(env, getAccountEnv(account), { [CHILD_ENV]: '1' });
+  }
+  if (options['data-dir']) env.DATA_DIR = path.resolve(options['data-dir']);
+  if (options['dry-run']) env.DRY_RUN = 'true';
+
+  return env;
+}
+
+function writeJSON(output) {
+  process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+}
+
+/**
+ * Run the command in this process (the child). Returns the exit code.
+ */
+async function runCommand(command, options) {
+  if (options.json) {
+    // stdout is reserved for the JSON result
+    console.log = console.error;
+    console.info = console.error;
+  }
+
+  const { DATA_DIR } = require('./utils');
+  const ledger = require('./ledger');
+  const spec = COMMANDS[command];
+  const envelope = {
+    command,
+    account: process.env.HIVE_USER || 'bayanihive',
+    data_dir: DATA_DIR,
+    dry_run: process.env.DRY_RUN === 'true',
+  };
+
+  try {
+    const result = await spec.run(options);
+    const exitCode = spec.exitCode ? spec.exitCode(result) : EXIT_CODES.OK;
+    if (options.json) writeJSON({ ...envelope, ok: exitCode === EXIT_CODES.OK, exit_code: exitCode, result: result ?? null });
+    return exitCode;
+  } catch (err) {
+    console.error(`❌ ${command} failed:`, options.json ? err.message : err);
+    if (options.json) writeJSON({ ...envelope, ok: false, exit_code: EXIT_CODES.FAILURE, error: err.message });
+    return EXIT_CODES.FAILURE;
+  } finally {
+    ledger.closeLedger();
+  }
+}
+
+async function main(argv) {
+  let parsed;
+  let env;
+  try {
+    parsed = parseArgs(argv);
+    if (!parsed.command) {
+      console.log(usage());
+      return EXIT_CODES.OK;
+    }
+    if (!process.env[CHILD_ENV]) env = resolveEnv(parsed.options);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`❌ ${err.message} (see hive-rewarder --help)`);
+    if (argv.includes('--json')) writeJSON({ command: null, ok: false, exit_code: EXIT_CODES.USAGE, error: err.message });
+    return EXIT_CODES.USAGE;
+  }
+
+  if (process.env[CHILD_ENV]) return runCommand(parsed.command, parsed.options);
+
+  const bin = path.join(__dirname, '..', 'bin', 'hive-rewarder.js');
+  const result = spawnSync(process.execPath, [...process.execArgv, bin, ...argv], { env, stdio: 'inherit' });
+  return result.status === null ? EXIT_CODES.FAILURE : result.status;
+}
+
+module.exports = { COMMANDS, parseArgs, main };
@@ -0,0 +1,210 @@
+/**
+ * commands.js
+ * On-chain payout preference commands from delegators.
+ *
+ * A delegator changes their own entry in "payout_preferences" (see
+ * config.js) by either
+ *
+ *   - sending a transfer (0.001 HIVE is enough) to the rewarder account
+ *     with a command memo:
+ *       !rewarder optout
+ *       !rewarder optin
+ *       !rewarder payout hive 5        (method, optional threshold)
+ *       !rewarder reset
+ *
+ *   - broadcasting a custom_json with id "hive_rewarder":
+ *       { "account": "bayanihive", "command": "payout", "method": "hp", "threshold": 2 }
+ *
+ * The signer is the transfer's sender or the single account in the
+ * custom_json's required auths, and a command only ever changes the
+ * signer's own preference. Only accounts that have delegated to the
+ * rewarder account are accepted. Every command, applied or rejected, is
+ * returned as an audit entry.
+ */
+
+const { formatHIVE } = require('./utils');
+const { PAYOUT_METHODS, getPayoutPreferences } = require('./config');
+
+const CUSTOM_JSON_ID = 'hive_rewarder';
+const MEMO_PREFIX = '!rewarder';
+
+const COMMANDS = ['optout', 'optin', 'payout', 'reset'];
+
+/**
+ * Parse a command's words or fields into { command, method, threshold }.
+ * Throws with a reason on an invalid command.
+ */
+function normalizeCommand(command, method, threshold) {
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`unknown command "${command}" (expected ${COMMANDS.join(', ')})`);
+  }
+  if (command !== 'payout') return { command };
+
+  if (!PAYOUT_METHODS.includes(method)) {
+    throw new Error(`payout method must be one of ${PAYOUT_METHODS.join(', ')} (got ${JSON.stringify(method)})`);
+  }
+  if (threshold === undefined || threshold === null || threshold === '') return { command, method };
+
+  const value = Number(threshold);
+  if (!Number.isFinite(value) || value < 0.001) {
+    throw new Error(`threshold must be a number >= 0.001 (got ${JSON.stringify(threshold)})`);
+  }
+  if (formatHIVE(value) !== value) {
+    throw new Error(`threshold must have at most 3 decimals (got ${JSON.stringify(threshold)})`);
+  }
+  return { command, method, threshold: value };
+}
+
+/**
+ * Parse a transfer memo. Returns null when the memo is not a command.
+ */
+function parseMemoCommand(memo) {
+  const words = String(memo || '').trim().toLowerCase().split(/\s+/);
+  if (words[0] !== MEMO_PREFIX) return null;
+  const [, command, method, threshold] = words;
+  return normalizeCommand(command, method, threshold);
+}
+
+/**
+ * Parse a custom_json payload addressed to account. Returns null when it
+ * is addressed to another rewarder account.
+ */
+function parseCustomJsonCommand(json, account) {
+  let payload;
+  try {
+    payload = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (err) {
+    throw new Error('custom_json payload is not valid JSON');
+  }
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('custom_json payload must be an object');
+  }
+  if (payload.account !== account) return null;
+  return normalizeCommand(String(payload.command || '').toLowerCase(), payload.method, payload.threshold);
+}
+
+/**
+ * Collect commands from account history operations ([index, op] pairs):
+ * transfers to account with a command memo and custom_json ops with our
+ * id. Returns [{ source, signer, trx_id, op_index, timestamp, raw,
+ * command?, error? }] in chain order.
+ */
+function extractCommands(operations, account) {
+  const commands = [];
+
+  for (const [index, op] of operations) {
+    const [type, data] = op.op;
+    let source;
+    let signer;
+    let raw;
+    let parse;
+
+    if (type === 'transfer' && data.to === account && String(data.memo || '').trim().toLowerCase().startsWith(MEMO_PREFIX)) {
+      source = 'memo';
+      signer = data.from;
+      raw = data.memo;
+      parse = () => parseMemoCommand(data.memo);
+    } else if (type === 'custom_json' && data.id === CUSTOM_JSON_ID) {
+      const auths = [...(data.required_auths || []), ...(data.required_posting_auths || [])];
+      source = 'custom_json';
+      signer = auths.length === 1 ? auths[0] : null;
+      raw = data.json;
+      parse = () => {
+        if (!signer) throw new Error('custom_json must be signed by exactly one account');
+        return parseCustomJsonCommand(data.json, account);
+      };
+    } else {
+      continue;
+    }
+
+    const entry = {
+      source,
+      signer,
+      trx_id: op.trx_id,
+      op_index: index,
+      timestamp: new Date(op.timestamp + 'Z').toISOString(),
+      raw,
+    };
+
+    try {
+      const command = parse();
+      if (command === null) continue;
+      entry.command = command;
+    } catch (err) {
+      entry.error = err.message;
+    }
+
+    commands.push(entry);
+  }
+
+  return commands;
+}
+
+/**
+ * Apply commands (oldest first) to cfg.payout_preferences in place.
+ * delegators is the set of accounts allowed to send commands. Each
+ * resulting preference is checked against the config rules on its own:
+ * one that would not load is rejected and leaves the config unchanged.
+ * Returns one audit entry per command:
+ *   { ...command entry, status: "applied" | "rejected", reason, before, after }
+ */
+function applyCommands(cfg, commands, delegators) {
+  const sorted = [...commands].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const audit = [];
+
+  for (const entry of sorted) {
+    const { command, error, ...rest } = entry;
+    const record = { ...rest, command: command || null, status: 'rejected', reason: null, before: null, after: null };
+    audit.push(record);
+
+    if (error) {
+      record.reason = error;
+      continue;
+    }
+    if (!delegators.has(entry.signer)) {
+      record.reason = `@${entry.signer} has never delegated`;
+      continue;
+    }
+
+    const preferences = cfg.payout_preferences || {};
+    const key = Object.keys(preferences).find(name => name.toLowerCase() === entry.signer.toLowerCase());
+    const before = key ? preferences[key] : null;
+    let after;
+
+    if (command.command === 'optout') {
+      after = { ...(before || {}), method: 'none' };
+    } else if (command.command === 'optin') {
+      after = { ...(before || {}), method: 'sbi' };
+    } else if (command.command === 'payout') {
+      after = { ...(before || {}), method: command.method };
+      if (command.threshold !== undefined) after.threshold = command.threshold;
+      else delete after.threshold;
+    } else {
+      after = null;
+    }
+
+    try {
+      if (after) getPayoutPreferences({ payout_preferences: { [entry.signer]: after } });
+    } catch (err) {
+      record.reason = err.message.replace(/^❌ config\.json: /, '');
+      continue;
+    }
+
+    if (key) delete preferences[key];
+    if (after) preferences[entry.signer] = after;
+    cfg.payout_preferences = preferences;
+
+    Object.assign(record, { status: 'applied', before, after });
+  }
+
+  return audit;
+}
+
+module.exports = {
+  CUSTOM_JSON_ID,
+  MEMO_PREFIX,
+  parseMemoCommand,
+  parseCustomJsonCommand,
+  extractCommands,
+  applyCommands,
+};
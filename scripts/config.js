@@ -0,0 +1,333 @@
+/**
+ * config.js
+ * Loads and validates data/config.json.
+ *
+ * Each getter returns a normalized settings object with defaults applied
+ * and throws on invalid values, so scripts can validate at startup and
+ * fail before touching balances or broadcasting anything.
+ */
+
+const { loadJSON, isValidTimeZone, formatHIVE } = require('./utils');
+const { DEFAULT_SCHEDULES, validateSchedules } = require('./multiplier');
+const { validateRules } = require('./rules');
+
+const DEFAULT_SBI = {
+  account: 'steembasicincome',
+  sponsor: 'vinzie1',
+  chunk: 1.0,
+  batch_size: 25,
+};
+
+const REWARD_SOURCES = ['claim', 'curation_reward'];
+
+const SHARE_MODES = ['snapshot', 'time_weighted'];
+
+// sbi: SBI chunks (default) | hive: liquid transfer | hp: power up | none: opt out
+const PAYOUT_METHODS = ['sbi', 'hive', 'hp', 'none'];
+
+const DEFAULT_PAYOUT = {
+  timezone: 'Asia/Manila',
+  window_start: '08:00',
+  warmup_days: 6,
+  distribution_share: 0.95,
+  reward_source: 'claim',
+  share_mode: 'snapshot',
+};
+
+// Hive API client (see hive_client.js). An empty node list means the
+// client's built-in list.
+const DEFAULT_API = {
+  nodes: [],
+  timeout_ms: 10000,
+  max_head_lag_seconds: 60,
+  retries: 3,
+};
+
+const WINDOW_START_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const ACCOUNT_NAME_RE = /^[a-z][a-z0-9.-]{2,15}$/;
+
+function loadConfig() {
+  return loadJSON('config.json', {});
+}
+
+// ─── Validators ─────────────────────────────────────────────────────
+
+function assertAccountName(value, field) {
+  if (typeof value !== 'string' || !ACCOUNT_NAME_RE.test(value)) {
+    throw new Error(`❌ config.json: "${field}" must be a valid Hive account name (got ${JSON.stringify(value)})`);
+  }
+}
+
+function assertChunk(value, field) {
+  // Transfers carry 3 decimals, so anything below 0.001 HIVE cannot be sent.
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0.001) {
+    throw new Error(`❌ config.json: "${field}" must be a number >= 0.001 (got ${JSON.stringify(value)})`);
+  }
+  // A finer chunk would be broadcast rounded but deducted in full.
+  if (formatHIVE(value) !== value) {
+    throw new Error(`❌ config.json: "${field}" must have at most 3 decimals (got ${JSON.stringify(value)})`);
+  }
+}
+
+function assertPositiveInteger(value, field) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`❌ config.json: "${field}" must be a positive integer (got ${JSON.stringify(value)})`);
+  }
+}
+
+// ─── API Node Settings ──────────────────────────────────────────────
+
+/**
+ * Return the Hive API client settings:
+ *   { nodes, timeout_ms, max_head_lag_seconds, retries }
+ *
+ * nodes (http(s) URLs) replaces the built-in node list. HIVE_NODES in the
+ * environment (comma-separated URLs) overrides both.
+ */
+function getApiConfig(cfg = loadConfig()) {
+  const raw = cfg.api || {};
+
+  const settings = {};
+  for (const key of Object.keys(DEFAULT_API)) {
+    settings[key] = raw[key] !== undefined ? raw[key] : DEFAULT_API[key];
+  }
+
+  const fromEnv = (process.env.HIVE_NODES || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+  if (fromEnv.length > 0) settings.nodes = fromEnv;
+
+  if (!Array.isArray(settings.nodes) || settings.nodes.some(url => typeof url !== 'string' || !/^https?:\/\/\S+$/.test(url))) {
+    throw new Error(`❌ config.json: "api.nodes" must be a list of http(s) URLs (got ${JSON.stringify(settings.nodes)})`);
+  }
+  assertPositiveInteger(settings.timeout_ms, 'api.timeout_ms');
+  assertPositiveInteger(settings.max_head_lag_seconds, 'api.max_head_lag_seconds');
+  assertPositiveInteger(settings.retries, 'api.retries');
+
+  return settings;
+}
+
+// ─── SBI Settings ───────────────────────────────────────────────────
+
+/**
+ * Return the SBI payout settings:
+ *   { account, sponsor, chunk, batch_size, overrides }
+ *
+ * overrides maps a delegator (lowercase) to any of
+ *   { sponsor, beneficiary, chunk }
+ * which replace the global values for that delegator's sends.
+ * SBI_BATCH_SIZE in the environment overrides batch_size.
+ */
+function getSBIConfig(cfg = loadConfig()) {
+  const raw = cfg.sbi || {};
+
+  const settings = {
+    account: raw.account !== undefined ? raw.account : DEFAULT_SBI.account,
+    sponsor: raw.sponsor !== undefined ? raw.sponsor : DEFAULT_SBI.sponsor,
+    chunk: raw.chunk !== undefined ? raw.chunk : DEFAULT_SBI.chunk,
+    batch_size: raw.batch_size !== undefined ? raw.batch_size : DEFAULT_SBI.batch_size,
+    overrides: {},
+  };
+
+  if (process.env.SBI_BATCH_SIZE) {
+    settings.batch_size = Number(process.env.SBI_BATCH_SIZE);
+  }
+
+  assertAccountName(settings.account, 'sbi.account');
+  assertAccountName(settings.sponsor, 'sbi.sponsor');
+  assertChunk(settings.chunk, 'sbi.chunk');
+  assertPositiveInteger(settings.batch_size, 'sbi.batch_size');
+
+  const overrides = raw.overrides || {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('❌ config.json: "sbi.overrides" must be an object keyed by delegator');
+  }
+
+  for (const [delegator, override] of Object.entries(overrides)) {
+    const field = `sbi.overrides.${delegator}`;
+    assertAccountName(delegator, field);
+    if (!override || typeof override !== 'object') {
+      throw new Error(`❌ config.json: "${field}" must be an object`);
+    }
+    if (override.sponsor !== undefined) assertAccountName(override.sponsor, `${field}.sponsor`);
+    if (override.beneficiary !== undefined) assertAccountName(override.beneficiary, `${field}.beneficiary`);
+    if (override.chunk !== undefined) assertChunk(override.chunk, `${field}.chunk`);
+
+    settings.overrides[delegator.toLowerCase()] = { ...override };
+  }
+
+  return settings;
+}
+
+/**
+ * Resolve the effective SBI send settings for one delegator:
+ *   { sponsor, beneficiary, chunk, memo }
+ * Memo format: @sponsor:@beneficiary
+ */
+function getDelegatorSBISettings(settings, delegator) {
+  const override = settings.overrides[delegator.toLowerCase()] || {};
+  const sponsor = override.sponsor || settings.sponsor;
+  const beneficiary = override.beneficiary || delegator;
+  const chunk = override.chunk || settings.chunk;
+  return { sponsor, beneficiary, chunk, memo: `@${sponsor}:@${beneficiary}` };
+}
+
+// ─── Payout Preferences ─────────────────────────────────────────────
+
+/**
+ * Return the validated per-delegator payout preferences from
+ * "payout_preferences", keyed by delegator (lowercase):
+ *   { method, threshold, memo }
+ *
+ * method is one of sbi, hive, hp, none. threshold (HIVE) is the balance
+ * at which a payout is made; memo applies to liquid HIVE transfers.
+ */
+function getPayoutPreferences(cfg = loadConfig()) {
+  const raw = cfg.payout_preferences || {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('❌ config.json: "payout_preferences" must be an object keyed by delegator');
+  }
+
+  const preferences = {};
+  for (const [delegator, pref] of Object.entries(raw)) {
+    const field = `payout_preferences.${delegator}`;
+    assertAccountName(delegator, field);
+    if (!pref || typeof pref !== 'object') {
+      throw new Error(`❌ config.json: "${field}" must be an object`);
+    }
+    if (!PAYOUT_METHODS.includes(pref.method)) {
+      throw new Error(`❌ config.json: "${field}.method" must be one of ${PAYOUT_METHODS.join(', ')} (got ${JSON.stringify(pref.method)})`);
+    }
+    if (pref.threshold !== undefined) assertChunk(pref.threshold, `${field}.threshold`);
+    if (pref.memo !== undefined && typeof pref.memo !== 'string') {
+      throw new Error(`❌ config.json: "${field}.memo" must be a string`);
+    }
+
+    preferences[delegator.toLowerCase()] = { ...pref };
+  }
+
+  return preferences;
+}
+
+/**
+ * Resolve how one delegator is paid:
+ *   { method, threshold, source }
+ *
+ * An explicit preference wins (so a delegator on excluded_from_sbi can opt
+ * in to any method); otherwise excluded delegators are not paid ("none")
+ * and everyone else gets SBI. The threshold defaults to the delegator's
+ * SBI chunk size. source is "preference", "excluded" or "default".
+ */
+function getDelegatorPayoutMethod(preferences, sbiSettings, excluded, delegator) {
+  const key = delegator.toLowerCase();
+  const pref = preferences[key];
+  const { chunk } = getDelegatorSBISettings(sbiSettings, delegator);
+
+  if (pref) {
+    return { method: pref.method, threshold: pref.threshold || chunk, memo: pref.memo, source: 'preference' };
+  }
+  if (excluded.has(key)) {
+    return { method: 'none', threshold: chunk, source: 'excluded' };
+  }
+  return { method: 'sbi', threshold: chunk, source: 'default' };
+}
+
+// ─── Payout Settings ────────────────────────────────────────────────
+
+/**
+ * Return the payout calculation settings from the "payout" section:
+ *   { timezone, window_start, warmup_days, distribution_share,
+ *     reward_source, share_mode }
+ *
+ * Each payout window runs from window_start ("HH:MM", wall clock in the
+ * IANA timezone) to window_start the next local day, so windows stay
+ * aligned across DST changes. Delegations earn once warmup_days old, and
+ * distribution_share (0–1] of each window's curation income is distributed.
+ *
+ * reward_source selects how daily curation income is measured:
+ *   "claim"           claim_reward_balance ops, by claim time (legacy)
+ *   "curation_reward" curation_reward virtual ops, by payout time,
+ *                     excluding author and beneficiary rewards
+ *
+ * share_mode selects how a window's rewards are split:
+ *   "snapshot"        delegation held at the warm-up cutoff (legacy)
+ *   "time_weighted"   HP × hours delegated within the window
+ */
+function getPayoutConfig(cfg = loadConfig()) {
+  const raw = cfg.payout || {};
+
+  const settings = {};
+  for (const key of Object.keys(DEFAULT_PAYOUT)) {
+    settings[key] = raw[key] !== undefined ? raw[key] : DEFAULT_PAYOUT[key];
+  }
+
+  if (typeof settings.timezone !== 'string' || !isValidTimeZone(settings.timezone)) {
+    throw new Error(`❌ config.json: "payout.timezone" must be an IANA time zone such as "Asia/Manila" (got ${JSON.stringify(settings.timezone)})`);
+  }
+
+  if (typeof settings.window_start !== 'string' || !WINDOW_START_RE.test(settings.window_start)) {
+    throw new Error(`❌ config.json: "payout.window_start" must be "HH:MM" (got ${JSON.stringify(settings.window_start)})`);
+  }
+
+  if (!Number.isInteger(settings.warmup_days) || settings.warmup_days < 0) {
+    throw new Error(`❌ config.json: "payout.warmup_days" must be an integer >= 0 (got ${JSON.stringify(settings.warmup_days)})`);
+  }
+
+  const share = settings.distribution_share;
+  if (typeof share !== 'number' || !(share > 0 && share <= 1)) {
+    throw new Error(`❌ config.json: "payout.distribution_share" must be a number in (0, 1] (got ${JSON.stringify(share)})`);
+  }
+
+  if (!REWARD_SOURCES.includes(settings.reward_source)) {
+    throw new Error(`❌ config.json: "payout.reward_source" must be one of ${REWARD_SOURCES.join(', ')} (got ${JSON.stringify(settings.reward_source)})`);
+  }
+
+  if (!SHARE_MODES.includes(settings.share_mode)) {
+    throw new Error(`❌ config.json: "payout.share_mode" must be one of ${SHARE_MODES.join(', ')} (got ${JSON.stringify(settings.share_mode)})`);
+  }
+
+  return settings;
+}
+
+// ─── Multiplier Schedules ───────────────────────────────────────────
+
+/**
+ * Return the validated multiplier schedules (see multiplier.js),
+ * falling back to the built-in 10k/20k/30k/40k HP schedule.
+ */
+function getMultiplierSchedules(cfg = loadConfig()) {
+  if (!cfg.multiplier || cfg.multiplier.schedules === undefined) {
+    return DEFAULT_SCHEDULES;
+  }
+  return validateSchedules(cfg.multiplier.schedules);
+}
+
+// ─── Bonus Rules ────────────────────────────────────────────────────
+
+/**
+ * Return the validated per-delegator bonus rules (see rules.js).
+ * No rules means every delegator gets the global multiplier.
+ */
+function getBonusRules(cfg = loadConfig()) {
+  if (cfg.bonus_rules === undefined) return [];
+  return validateRules(cfg.bonus_rules);
+}
+
+module.exports = {
+  ACCOUNT_NAME_RE,
+  DEFAULT_SBI,
+  DEFAULT_PAYOUT,
+  DEFAULT_API,
+  PAYOUT_METHODS,
+  loadConfig,
+  getApiConfig,
+  getSBIConfig,
+  getDelegatorSBISettings,
+  getPayoutPreferences,
+  getDelegatorPayoutMethod,
+  getPayoutConfig,
+  getMultiplierSchedules,
+  getBonusRules,
+};
@@ -0,0 +1,171 @@
+/**
+ * delegator_history.js
+ * Builds one delegator's day-by-day history for the dashboard's #/@name
+ * view. Shared by the dashboard
+ * (<script src="../scripts/delegator_history.js"> → window.DelegatorHistory),
+ * the scripts (bundles.js, export_rewards.js) and the tests (require).
+ *
+ * Each timeline day merges, for that date:
+ *   - the payout_history.json entry (delegated HP, base reward),
+ *   - the accumulation_log.json entry (applied multiplier, credited
+ *     reward); days without one use base × global multiplier, flagged
+ *     estimated,
+ *   - payout sends (sbi_log.json, hive_payout_log.json, hp_payout_log.json),
+ *   - balance adjustments (adjustments.json),
+ *   - delegation changes (delegation_history.json).
+ *
+ * The cumulative balance is anchored on the delegator's current balance
+ * and walked back day by day, so the last day always matches
+ * delegator_balances.json even when the logs do not reach back to the
+ * first delegation. Rewards of days after the last accumulated date are
+ * not in the balance yet (pending). Only confirmed sends (dry-run ones
+ * included, as the accumulator deducts them) reduce the balance.
+ *
+ * Keep this file dependency-free: it runs unmodified in the browser.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DelegatorHistory = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * HIVE amounts are kept to 3 decimals, like balances.
+   */
+  function round(value, decimals = 3) {
+    return parseFloat(value.toFixed(decimals));
+  }
+
+  /**
+   * True if a send reduces the balance, by the accumulator's rule:
+   * confirmed sends and sends logged before statuses were tracked.
+   * Pending and failed sends are not deducted.
+   */
+  function isDeducted(send) {
+    return !send.status || send.status === 'confirmed';
+  }
+
+  /**
+   * Build the timeline, oldest day first. data:
+   *   { name, payoutHistory, accumulationLog, sends, adjustments,
+   *     delegationHistory, balance, lastAccumulatedDate, getMultiplier }
+   * where sends carry a method ('sbi', 'hive', 'hp') and
+   * getMultiplier(totalDelegationHP, date) is the global multiplier.
+   */
+  function buildTimeline(data) {
+    const name = String(data.name || '').toLowerCase();
+    const days = {};
+    const dayOf = date => {
+      if (!days[date]) {
+        days[date] = { date, hp: null, base_reward: 0, multiplier: null, reward: 0, estimated: false, pending: false, sends: [], adjustments: [], delegation: [] };
+      }
+      return days[date];
+    };
+
+    const credited = {};
+    for (const entry of data.accumulationLog || []) {
+      const r = (entry.delegators || []).find(d => d.name === name);
+      if (r) credited[entry.date] = r;
+    }
+
+    for (const payout of data.payoutHistory || []) {
+      const d = (payout.delegators || []).find(x => x.name === name);
+      if (!d) continue;
+      const day = dayOf(payout.date);
+      const breakdown = credited[payout.date];
+      day.hp = typeof d.hp === 'number' ? d.hp : null;
+      day.base_reward = d.base_reward || 0;
+      if (breakdown) {
+        day.multiplier = breakdown.multiplier;
+        day.reward = breakdown.adjusted_reward;
+        day.factors = breakdown.factors || [];
+      } else {
+        day.multiplier = data.getMultiplier ? data.getMultiplier(payout.total_delegation_hp, payout.date) : 1;
+        day.reward = round(day.base_reward * day.multiplier);
+        day.estimated = true;
+      }
+      day.pending = Boolean(data.lastAccumulatedDate) && payout.date > data.lastAccumulatedDate;
+    }
+
+    for (const send of data.sends || []) {
+      if (send.delegator !== name) continue;
+      dayOf(send.date).sends.push(send);
+    }
+
+    for (const adjustment of data.adjustments || []) {
+      if (adjustment.delegator !== name) continue;
+      dayOf(adjustment.date).adjustments.push(adjustment);
+    }
+
+    let previousHP = 0;
+    for (const event of (data.delegationHistory || {})[name] || []) {
+      const hp = Number(event.hp) || 0;
+      dayOf(event.date).delegation.push({ hp, change: round(hp - previousHP), timestamp: event.timestamp });
+      previousHP = hp;
+    }
+
+    const timeline = Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+
+    // Walk back from the current balance
+    let balance = data.balance ? data.balance.balance : 0;
+    for (let i = timeline.length - 1; i >= 0; i--) {
+      const day = timeline[i];
+      day.balance = round(balance);
+      balance -= dayChange(day);
+    }
+
+    return timeline;
+  }
+
+  /**
+   * Net balance change of a timeline day.
+   */
+  function dayChange(day) {
+    let change = day.pending ? 0 : day.reward;
+    for (const a of day.adjustments) change += a.amount;
+    for (const s of day.sends) if (isDeducted(s)) change -= s.sent;
+    return change;
+  }
+
+  /**
+   * Per-month totals, newest month first:
+   *   { month: 'YYYY-MM', days, base_reward, reward, sent, adjusted }
+   */
+  function summarizeByMonth(timeline) {
+    const months = {};
+    for (const day of timeline) {
+      const key = day.date.slice(0, 7);
+      const m = months[key] || (months[key] = { month: key, days: 0, base_reward: 0, reward: 0, sent: 0, adjusted: 0 });
+      if (day.hp !== null || day.base_reward > 0) m.days++;
+      m.base_reward += day.base_reward;
+      m.reward += day.reward;
+      for (const s of day.sends) if (isDeducted(s)) m.sent += s.sent;
+      for (const a of day.adjustments) m.adjusted += a.amount;
+    }
+
+    return Object.values(months)
+      .map(m => ({ ...m, base_reward: round(m.base_reward, 6), reward: round(m.reward), sent: round(m.sent), adjusted: round(m.adjusted) }))
+      .sort((a, b) => b.month.localeCompare(a.month));
+  }
+
+  /**
+   * Delegator name from a "#/@name" location hash, or null.
+   */
+  function parseRoute(hash) {
+    const match = /^#\/@([a-z0-9.-]+)\/?$/i.exec(hash || '');
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  return {
+    buildTimeline,
+    summarizeByMonth,
+    dayChange,
+    parseRoute,
+    round,
+    isDeducted,
+  };
+}));
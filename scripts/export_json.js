@@ -0,0 +1,24 @@
+/**
+ * export_json.js
+ * Writes the dashboard JSON files (delegator_balances.json,
+ * payout_history.json, payout_summary.json, accumulation_log.json,
+ * sbi_log.json) from the ledger in DATA_DIR, and the dashboard bundles
+ * built from them (bundles.js).
+ *
+ * fetch_real_delegators.js and accumulator.js export after every run;
+ * this script is for refreshing the files by hand.
+ */
+
+const { openLedger, closeLedger, exportJSON } = require('./ledger');
+
+// Run if executed directly
+if (require.main === module) {
+  try {
+    exportJSON(openLedger());
+  } catch (err) {
+    console.error('❌ Export failed:', err);
+    process.exitCode = 1;
+  } finally {
+    closeLedger();
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * export_rewards.js
+ * Exports reward and payout records for one delegator, or every
+ * delegator, over a date range as CSV or JSON (hive-rewarder export):
+ * delegators' own records, bookkeeping and tax reporting.
+ *
+ * Rows are built from the exported files in DATA_DIR (payout_history.json,
+ * accumulation_log.json, the payout send logs, adjustments.json,
+ * delegation_history.json and delegator_balances.json) by
+ * reward_export.js, the same code behind the dashboard's export
+ * buttons; see there for the columns.
+ *
+ * Usage: hive-rewarder export [--delegator NAME] [--from DATE] [--to DATE] [--format csv|json] [--output FILE]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./utils');
+const { ACCOUNT_NAME_RE } = require('./config');
+const multiplier = require('./multiplier');
+const { loadExportedData } = require('./bundles');
+const { buildTimeline } = require('./delegator_history');
+const RewardExport = require('./reward_export');
+
+const FORMATS = ['csv', 'json'];
+
+function delegatorNames(data) {
+  const names = new Set(Object.keys(data.balances).filter(name => name !== '_meta'));
+  for (const payout of data.payoutHistory) for (const d of payout.delegators || []) names.add(d.name);
+  for (const entry of [...data.sends, ...data.adjustments]) names.add(entry.delegator);
+  return [...names].sort();
+}
+
+/**
+ * Build the export. Returns { delegator, from, to, format, file, totals,
+ * rows, content }; with `output` the content is also written there.
+ */
+function exportRewards({ delegator = null, from = null, to = null, format = 'csv', output = null } = {}) {
+  const name = delegator ? String(delegator).replace(/^@/, '').toLowerCase() : null;
+  if (name !== null && !ACCOUNT_NAME_RE.test(name)) {
+    throw new Error(`❌ Invalid delegator name: ${JSON.stringify(delegator)}`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`❌ Unknown export format "${format}" (use ${FORMATS.join(' or ')})`);
+  }
+  if (from && to && to < from) {
+    throw new Error(`❌ Export range ends before it starts (${from} .. ${to})`);
+  }
+
+  const data = loadExportedData();
+  const known = delegatorNames(data);
+  if (name !== null && !known.includes(name)) {
+    throw new Error(`❌ No rewards or payouts recorded for @${name}`);
+  }
+
+  const schedules = data.config.multiplier ? data.config.multiplier.schedules : undefined;
+  const lastAccumulatedDate = data.balances._meta ? data.balances._meta.last_accumulated_date : null;
+
+  const rows = [];
+  for (const n of name !== null ? [name] : known) {
+    const timeline = buildTimeline({
+      name: n,
+      payoutHistory: data.payoutHistory,
+      accumulationLog: data.accumulationLog,
+      sends: data.sends,
+      adjustments: data.adjustments,
+      delegationHistory: data.delegationHistory,
+      balance: data.balances[n] || null,
+      lastAccumulatedDate,
+      getMultiplier: (totalHP, date) => multiplier.getMultiplier(totalHP, date, schedules),
+    });
+    rows.push(...RewardExport.buildRows(n, timeline, { from, to }));
+  }
+  // By date; within a day delegators stay in name order (stable sort)
+  rows.sort((a, b) => a.date.localeCompare(b.date));
+
+  const content = format === 'csv'
+    ? RewardExport.toCSV(rows)
+    : RewardExport.toJSON(rows, { delegator: name, from, to });
+
+  const file = output ? path.resolve(output) : null;
+  if (file) {
+    fs.writeFileSync(file, content);
+    log(`📄 Exported ${rows.length} row(s) for ${name ? `@${name}` : 'all delegators'} to ${file}`);
+  }
+
+  return { delegator: name, from, to, format, file, totals: RewardExport.summarize(rows), rows, content };
+}
+
+module.exports = {
+  FORMATS,
+  exportRewards,
+};
@@ -1,10 +1,18 @@
 /**
  * fetch_real_delegators.js
  *
- * Fetches real delegators for @bayanihive from the Hive blockchain
+ * Fetches real delegators for @bayanihive (or HIVE_USER) from the Hive blockchain
  * by scanning account history for delegate_vesting_shares operations.
  * Then fetches curation rewards and calculates each delegator's share.
- * Generates payout_summary.json and data/delegation_history.json.
+ * VESTS are converted to HP/HIVE with the vesting ratio in effect at each
+ * operation (snapshots stored in sync.db and recorded with each payout day
+ * in the ledger).
+ * Records each day's payout in the ledger (see ledger.js), exports it to
+ * payout_history.json / payout_summary.json and writes
+ * delegation_history.json, all in DATA_DIR (data/ by default, one
+ * directory per account via run_accounts.js).
+ * Applies delegators' on-chain preference commands (see commands.js) to
+ * config.json and records them in the ledger's preference audit.
  *
  * Based on the patterns from:
  *   - hive-vote/scripts/generate_delegation_history.js
@@ -12,67 +20,38 @@
  *   - hive-delegation-roulette-main/generate_delegation_history.js
  */
 
-const hive = require('@hiveio/hive-js');
 const fs = require('fs');
 const path = require('path');
-const { saveJSON, getTodayUTC, log } = require('./utils');
+const { DATA_DIR, loadJSON, saveJSON, zonedTimeToUtc, getWindowBoundary, getZonedDate, addDays, log } = require('./utils');
+const { loadConfig, getPayoutConfig } = require('./config');
+const { extractCommands, applyCommands } = require('./commands');
+const ledger = require('./ledger');
+const client = require('./hive_client');
 const Database = require('better-sqlite3');
 
 const ACCOUNT = process.env.HIVE_USER || 'bayanihive';
-const DELEGATION_HISTORY_FILE = path.join(__dirname, '..', 'data', 'delegation_history.json');
-const DB_PATH = path.join(__dirname, '..', 'data', 'sync.db');
-
-const API_NODES = [
-  'https://api.deathwing.me',
-  'https://api.openhive.network',
-  'https://api.hive.blog',
-  'https://anyx.io',
-  'https://hive.roelandp.nl',
-  'https://rpc.ausbit.dev',
-  'https://hived.emre.sh',
-  'https://hive-api.arcange.eu',
-  'https://api.c0ff33a.uk',
-  'https://rpc.ecency.com',
-  'https://techcoderx.com',
-  'https://api.hive.blue',
-  'https://rpc.mahdiyari.info',
-  'https://herpc.dtools.dev',
-];
-
-// ─── Node Management ────────────────────────────────────────────────
-
-async function pickWorkingNode() {
-  for (const url of API_NODES) {
-    hive.api.setOptions({ url });
-    log(`🌐 Trying Hive API node: ${url}`);
-    const test = await new Promise(resolve => {
-      hive.api.getAccounts([ACCOUNT], (err, res) => {
-        resolve(err || !res ? null : res);
-      });
-    });
-    if (test) {
-      log(`✅ Using Hive API: ${url}`);
-      return;
-    }
-  }
-  throw new Error('❌ No working Hive API found.');
-}
+const DELEGATION_HISTORY_FILE = path.join(DATA_DIR, 'delegation_history.json');
+const DB_PATH = path.join(DATA_DIR, 'sync.db');
 
 // ─── Helpers ────────────────────────────────────────────────────────
 
-function vestsToHP(vests, totalVestingFundHive, totalVestingShares) {
-  return (vests * totalVestingFundHive) / totalVestingShares;
+function vestsToHP(vests, hivePerVest) {
+  return vests * hivePerVest;
+}
+
+function parseAsset(value) {
+  const [amount, symbol] = String(value).split(' ');
+  return { amount: parseFloat(amount), symbol };
 }
 
 async function fetchGlobalProps() {
-  return new Promise((resolve, reject) => {
-    hive.api.getDynamicGlobalProperties((err, props) => {
-      if (err) return reject(err);
-      const totalVestingFundHive = parseFloat(props.total_vesting_fund_hive.split(' ')[0]);
-      const totalVestingShares = parseFloat(props.total_vesting_shares.split(' ')[0]);
-      resolve({ totalVestingFundHive, totalVestingShares });
-    });
-  });
+  const props = await client.getDynamicGlobalProperties();
+  return {
+    totalVestingFundHive: parseFloat(props.total_vesting_fund_hive.split(' ')[0]),
+    totalVestingShares: parseFloat(props.total_vesting_shares.split(' ')[0]),
+    headBlock: props.head_block_number,
+    timestamp: new Date(props.time + 'Z').getTime(),
+  };
 }
 
 // ─── SQLite Sync State ──────────────────────────────────────────────
@@ -87,6 +66,24 @@ function initSyncDB() {
       last_curation_end INTEGER
     );
     INSERT OR IGNORE INTO sync_state (id, last_index, last_curation_end) VALUES (1, 0, 0);
+    CREATE TABLE IF NOT EXISTS vesting_ratios (
+      block_num INTEGER PRIMARY KEY,
+      timestamp INTEGER NOT NULL,
+      hive_per_vest REAL NOT NULL,
+      source TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_vesting_ratios_timestamp ON vesting_ratios (timestamp);
+    CREATE TABLE IF NOT EXISTS transfers (
+      op_index INTEGER PRIMARY KEY,
+      trx_id TEXT NOT NULL,
+      block_num INTEGER,
+      timestamp INTEGER NOT NULL,
+      to_account TEXT NOT NULL,
+      amount REAL NOT NULL,
+      symbol TEXT NOT NULL,
+      memo TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_transfers_trx_id ON transfers (trx_id);
   `);
   // Migrate: add last_curation_end if missing (existing DBs)
   const cols = db.pragma('table_info(sync_state)');
@@ -94,10 +91,31 @@ function initSyncDB() {
     db.exec('ALTER TABLE sync_state ADD COLUMN last_curation_end INTEGER DEFAULT 0;');
     log(`💾 Migrated sync_state: added last_curation_end column`);
   }
+  // Migrate: add last_transfer_index if missing (existing DBs)
+  if (!cols.find(c => c.name === 'last_transfer_index')) {
+    db.exec('ALTER TABLE sync_state ADD COLUMN last_transfer_index INTEGER DEFAULT 0;');
+    log(`💾 Migrated sync_state: added last_transfer_index column`);
+  }
   log(`💾 Sync database initialized: ${DB_PATH}`);
   return db;
 }
 
+/**
+ * The sync state without creating sync.db:
+ *   { last_index, last_curation_end, last_transfer_index }
+ * or null before the first sync.
+ */
+function readSyncState() {
+  if (!fs.existsSync(DB_PATH)) return null;
+  const db = new Database(DB_PATH, { readonly: true });
+  try {
+    const row = db.prepare('SELECT * FROM sync_state WHERE id = 1').get();
+    return row ? { last_index: row.last_index, last_curation_end: row.last_curation_end, last_transfer_index: row.last_transfer_index ?? null } : null;
+  } finally {
+    db.close();
+  }
+}
+
 function getLastIndex(db) {
   const row = db.prepare('SELECT last_index FROM sync_state WHERE id = 1').get();
   return row && row.last_index != null ? row.last_index : 0;
@@ -114,15 +132,174 @@ function updateSyncState(db, index, curationEnd) {
   log(`💾 Updated last curation window end to: ${new Date(curationEnd).toISOString()}`);
 }
 
-// ─── Incremental Account History Sync ───────────────────────────────
+// ─── Historical Vesting Ratios ──────────────────────────────────────
+//
+// VESTS → HP conversions use the total_vesting_fund_hive / total_vesting_shares
+// ratio in effect when each operation happened. Snapshots come from
+// get_dynamic_global_properties (one per run) and from virtual operations in
+// the account history that carry both a HIVE and a VESTS amount. They are
+// stored in sync.db and never overwritten.
+//
+// sync.db is not kept between workflow runs, so a fresh sync would only
+// have today's snapshot and the ops above. Each payout day therefore
+// records the ratio it used (hive_per_vest at window_end) in the ledger,
+// and those recorded ratios seed the lookup: past days keep their ratio
+// however many snapshots are added later, and operations between them
+// are interpolated between recorded days instead of clamped to today.
+
+// Operation type → [VESTS amount, HIVE amount]
+const RATIO_OPS = {
+  fill_vesting_withdraw: data => [data.withdrawn, data.deposited],
+  transfer_to_vesting_completed: data => [data.vesting_shares_received, data.hive_vested],
+};
+
+// HIVE amounts carry 3 decimals; below 1 HIVE the rounding skews the ratio.
+const MIN_RATIO_HIVE = 1;
+
+function saveVestingRatio(db, { block, timestamp, hivePerVest, source }) {
+  return db.prepare(
+    'INSERT OR IGNORE INTO vesting_ratios (block_num, timestamp, hive_per_vest, source) VALUES (?, ?, ?, ?)'
+  ).run(block, timestamp, hivePerVest, source).changes;
+}
 
-async function syncAccountHistory(lastIndex) {
-  const latestIndex = await new Promise((resolve, reject) => {
-    hive.api.getAccountHistory(ACCOUNT, -1, 1, (err, res) => {
-      if (err) return reject(err);
-      resolve(res[0][0]);
-    });
+function saveGlobalPropsRatio(db, props) {
+  const hivePerVest = props.totalVestingFundHive / props.totalVestingShares;
+  saveVestingRatio(db, { block: props.headBlock, timestamp: props.timestamp, hivePerVest, source: 'global_props' });
+  log(`💾 Stored vesting ratio at block ${props.headBlock}: ${(hivePerVest * 1e6).toFixed(3)} HIVE per MVESTS`);
+}
+
+function collectVestingRatios(db, operations) {
+  let stored = 0;
+
+  const insertAll = db.transaction(() => {
+    for (const [, op] of operations) {
+      const extract = RATIO_OPS[op.op[0]];
+      if (!extract) continue;
+
+      const [vests, hiveAmount] = extract(op.op[1]).map(parseAsset);
+      if (vests.symbol !== 'VESTS' || hiveAmount.symbol !== 'HIVE') continue;
+      if (!(vests.amount > 0) || !(hiveAmount.amount >= MIN_RATIO_HIVE)) continue;
+
+      stored += saveVestingRatio(db, {
+        block: op.block,
+        timestamp: new Date(op.timestamp + 'Z').getTime(),
+        hivePerVest: hiveAmount.amount / vests.amount,
+        source: op.op[0],
+      });
+    }
   });
+  insertAll();
+
+  if (stored > 0) log(`💾 Stored ${stored} historical vesting ratio(s) from account history`);
+}
+
+/**
+ * Build a ratioAt(timestamp) → HIVE per VEST lookup from the snapshots
+ * stored in sync.db plus `recorded` ratios ([{ timestamp, hive_per_vest }],
+ * see ledger.loadPayoutRatios). Interpolates linearly between the
+ * surrounding snapshots and holds the nearest value outside their range.
+ */
+function createRatioLookup(db, recorded = []) {
+  const stored = db.prepare('SELECT timestamp, hive_per_vest FROM vesting_ratios ORDER BY timestamp ASC').all();
+  const rows = [...stored, ...recorded].sort((a, b) => a.timestamp - b.timestamp);
+  if (rows.length === 0) {
+    throw new Error('❌ No vesting ratio snapshots stored in sync.db');
+  }
+  log(`📐 Loaded ${stored.length} vesting ratio snapshot(s) and ${recorded.length} recorded with payout days`);
+
+  return function ratioAt(timestamp) {
+    if (timestamp <= rows[0].timestamp) return rows[0].hive_per_vest;
+    const last = rows[rows.length - 1];
+    if (timestamp >= last.timestamp) return last.hive_per_vest;
+
+    let lo = 0;
+    let hi = rows.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (rows[mid].timestamp <= timestamp) lo = mid;
+      else hi = mid;
+    }
+
+    const a = rows[lo];
+    const b = rows[hi];
+    if (b.timestamp === a.timestamp) return a.hive_per_vest;
+    const t = (timestamp - a.timestamp) / (b.timestamp - a.timestamp);
+    return a.hive_per_vest + (b.hive_per_vest - a.hive_per_vest) * t;
+  };
+}
+
+// ─── Outgoing Transfers ─────────────────────────────────────────────
+//
+// Transfers sent by ACCOUNT are stored in sync.db from the same incremental
+// history sync, so reconcile.js can check logged SBI sends against the
+// chain. last_transfer_index records how far the table is complete; it
+// trails last_index in sync.db files created before the table existed,
+// and syncTransfers() catches it up.
+
+function getLastTransferIndex(db) {
+  const row = db.prepare('SELECT last_transfer_index FROM sync_state WHERE id = 1').get();
+  return row && row.last_transfer_index != null ? row.last_transfer_index : 0;
+}
+
+/**
+ * Store the outgoing transfers among operations and mark the table
+ * complete up to index.
+ */
+function saveTransfers(db, operations, index) {
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO transfers (op_index, trx_id, block_num, timestamp, to_account, amount, symbol, memo)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  let stored = 0;
+
+  db.transaction(() => {
+    for (const [idx, op] of operations) {
+      const [type, data] = op.op;
+      if (type !== 'transfer' || data.from !== ACCOUNT) continue;
+      const { amount, symbol } = parseAsset(data.amount);
+      stored += insert.run(idx, op.trx_id, op.block, new Date(op.timestamp + 'Z').getTime(), data.to, amount, symbol, data.memo).changes;
+    }
+    db.prepare('UPDATE sync_state SET last_transfer_index = MAX(COALESCE(last_transfer_index, 0), ?) WHERE id = 1').run(index);
+  })();
+
+  if (stored > 0) log(`💾 Stored ${stored} outgoing transfer(s)`);
+}
+
+/**
+ * Bring the transfers table up to the latest account history index.
+ */
+async function syncTransfers(db) {
+  const { newOperations, latestIndex } = await syncAccountHistory(getLastTransferIndex(db));
+  saveTransfers(db, newOperations, latestIndex);
+}
+
+/**
+ * Stored outgoing transfers, oldest first, as
+ * { op_index, trx_id, block, timestamp, to, amount, symbol, memo }.
+ */
+function loadTransfers(db) {
+  return db.prepare('SELECT * FROM transfers ORDER BY op_index').all().map(row => ({
+    op_index: row.op_index,
+    trx_id: row.trx_id,
+    block: row.block_num,
+    timestamp: row.timestamp,
+    to: row.to_account,
+    amount: row.amount,
+    symbol: row.symbol,
+    memo: row.memo,
+  }));
+}
+
+// ─── Incremental Account History Sync ───────────────────────────────
+
+/**
+ * Fetch account's operations after lastIndex. maxOps caps how far back
+ * the first scan of an account reaches.
+ */
+async function syncAccountHistory(lastIndex, account = ACCOUNT, maxOps = Infinity) {
+  const latest = await client.getAccountHistory(account, -1, 1);
+  const latestIndex = latest && latest.length > 0 ? latest[0][0] : 0;
+  lastIndex = Math.max(lastIndex, latestIndex - maxOps);
 
   log(`📊 Latest blockchain index: ${latestIndex}`);
   log(`📊 Last processed index: ${lastIndex}`);
@@ -146,12 +323,7 @@ async function syncAccountHistory(lastIndex) {
 
     log(`🔄 Fetching operations from index ${start} (limit: ${batchSize})`);
 
-    const history = await new Promise((resolve, reject) => {
-      hive.api.getAccountHistory(ACCOUNT, start, batchSize, (err, res) => {
-        if (err) return reject(err);
-        resolve(res);
-      });
-    });
+    const history = await client.getAccountHistory(account, start, batchSize);
 
     if (!history || history.length === 0) {
       log(`✅ No more operations found`);
@@ -188,9 +360,79 @@ async function syncAccountHistory(lastIndex) {
   return { newOperations: deduped, latestIndex, hasNew: true };
 }
 
+// ─── Preference Commands ────────────────────────────────────────────
+//
+// Memo commands are transfers to ACCOUNT, so they arrive with the regular
+// history sync. custom_json commands only show up in the signer's own
+// history, so every known delegator's history is scanned from the cursor
+// the ledger keeps for it (command_scan.json; the last COMMAND_LOOKBACK_OPS
+// operations on the first scan). Commands are also de-duplicated against
+// the ledger's preference audit, by source, transaction, operation index
+// and signer.
+
+const COMMAND_LOOKBACK_OPS = 1000;
+
+async function collectDelegatorCommands(ledgerDb, delegators) {
+  const known = ledger.loadCommandCursors(ledgerDb);
+  const commands = [];
+  const cursors = {};
+
+  for (const delegator of delegators) {
+    try {
+      const { newOperations, latestIndex } = await syncAccountHistory(known[delegator] || 0, delegator, COMMAND_LOOKBACK_OPS);
+      commands.push(...extractCommands(newOperations, ACCOUNT)
+        .filter(c => c.source === 'custom_json' && c.signer === delegator));
+      cursors[delegator] = latestIndex;
+    } catch (err) {
+      log(`⚠️ Could not scan @${delegator} for preference commands: ${err.message}`);
+    }
+  }
+
+  return { commands, cursors };
+}
+
+/**
+ * Apply new preference commands from ACCOUNT's newOperations (memos) and
+ * the delegators' own histories (custom_json) to config.json. Only
+ * accounts in delegationHistory may change their preference.
+ */
+async function processPreferenceCommands(newOperations, delegationHistory) {
+  const delegators = Object.keys(delegationHistory);
+  log(`\n📨 Checking ${delegators.length} delegator(s) for preference commands...`);
+
+  const ledgerDb = ledger.openLedger();
+  const memoCommands = extractCommands(newOperations, ACCOUNT).filter(c => c.source === 'memo');
+  const { commands: jsonCommands, cursors } = await collectDelegatorCommands(ledgerDb, delegators);
+
+  const commands = [...memoCommands, ...jsonCommands].filter(c => !ledger.hasPreferenceCommand(ledgerDb, c));
+
+  if (commands.length === 0) {
+    log(`ℹ️ No new preference commands`);
+  } else {
+    const cfg = loadConfig();
+    const audit = applyCommands(cfg, commands, new Set(delegators));
+    const applied = audit.filter(a => a.status === 'applied');
+
+    if (applied.length > 0) saveJSON('config.json', cfg);
+    ledger.savePreferenceAudit(ledgerDb, audit);
+
+    for (const a of audit) {
+      if (a.status === 'applied') {
+        log(`  ✅ @${a.signer} (${a.source}): ${a.before ? JSON.stringify(a.before) : 'default'} → ${a.after ? JSON.stringify(a.after) : 'default'}`);
+      } else {
+        log(`  ❌ ${a.signer ? `@${a.signer}` : 'unknown signer'} (${a.source}): ${a.reason}`);
+      }
+    }
+    log(`📨 Preference commands: ${applied.length} applied, ${audit.length - applied.length} rejected`);
+  }
+
+  ledger.saveCommandCursors(ledgerDb, cursors);
+  ledger.exportPreferenceCommands(ledgerDb);
+}
+
 // ─── Build Delegation History ───────────────────────────────────────
 
-function buildDelegationHistory(rawHistory, totalVestingFundHive, totalVestingShares) {
+function buildDelegationHistory(rawHistory, ratioAt) {
   log(`🔍 Processing ${rawHistory.length} operations for delegation events...`);
 
   const delegationEvents = [];
@@ -202,7 +444,7 @@ function buildDelegationHistory(rawHistory, totalVestingFundHive, totalVestingSh
       const totalVests = parseFloat(vesting_shares);
 
       if (delegatee === ACCOUNT) {
-        const hp = vestsToHP(totalVests, totalVestingFundHive, totalVestingShares);
+        const hp = vestsToHP(totalVests, ratioAt(timestamp));
         delegationEvents.push({
           delegator,
           totalVests,
@@ -264,7 +506,7 @@ function loadExistingDelegationHistory() {
 
 // ─── Merge New Delegation Events ────────────────────────────────────
 
-function mergeNewDelegationEvents(existingHistory, newOperations, totalVestingFundHive, totalVestingShares) {
+function mergeNewDelegationEvents(existingHistory, newOperations, ratioAt) {
   log(`🔍 Processing ${newOperations.length} new operations for delegation events...`);
 
   let newEventCount = 0;
@@ -276,7 +518,7 @@ function mergeNewDelegationEvents(existingHistory, newOperations, totalVestingFu
       const totalVests = parseFloat(vesting_shares);
 
       if (delegatee === ACCOUNT) {
-        const hp = vestsToHP(totalVests, totalVestingFundHive, totalVestingShares);
+        const hp = vestsToHP(totalVests, ratioAt(timestamp));
 
         if (!existingHistory[delegator]) {
           existingHistory[delegator] = [];
@@ -325,102 +567,402 @@ function getActiveDelegators(delegationHistory) {
   return active;
 }
 
-// ─── Fetch Claimed Curation Rewards (per-day breakdown) ──────────────
-
-async function getCurationRewardsByDay(rawHistory, totalVestingFundHive, totalVestingShares, lastCurationEnd) {
-  const phTz = 'Asia/Manila';
-  
-  // Get current time in Manila timezone
-  const now = new Date(new Date().toLocaleString('en-US', { timeZone: phTz }));
-  
-  // Today's curation window end: 8:00 AM today (Manila time)
-  const todayEnd = new Date(now);
-  todayEnd.setHours(8, 0, 0, 0);
-  
-  // Convert Manila time to UTC by calculating the offset
-  const utcNow = new Date();
-  const manilaOffset = now.getTime() - utcNow.getTime();
-  
-  const toTime = todayEnd.getTime() - manilaOffset;
+// ─── Fetch Curation Rewards (per-day breakdown) ─────────────────────
+
+// ─── Payout Windows ─────────────────────────────────────────────────
+//
+// A payout window runs from payout.window_start on one local day to the
+// same wall-clock time on the next local day, in payout.timezone. Around
+// DST changes a window is 23 or 25 hours long rather than drifting.
+
+// Stored window ends computed before DST-aware boundaries could be a
+// second or so off the exact boundary.
+const BOUNDARY_SLACK_MS = 60 * 1000;
+
+/**
+ * Latest window boundary at or before `now`.
+ */
+function getLatestWindowBoundary(now, payoutConfig) {
+  const today = getZonedDate(now, payoutConfig.timezone);
+  const boundary = getWindowBoundary(today, payoutConfig);
+  return boundary <= now ? boundary : getWindowBoundary(addDays(today, -1), payoutConfig);
+}
+
+/**
+ * Split [fromTime, toTime) into per-day windows labelled with the local
+ * date of their start.
+ */
+function buildPayoutWindows(fromTime, toTime, payoutConfig) {
+  const windows = [];
+  let winStart = fromTime;
+  while (winStart < toTime) {
+    const dateStr = getZonedDate(winStart, payoutConfig.timezone);
+    let nextBoundary = getWindowBoundary(addDays(dateStr, 1), payoutConfig);
+    // winStart well before today's boundary (e.g. window_start was changed).
+    // Within the slack it is the same boundary, off by clock drift.
+    const sameDayBoundary = getWindowBoundary(dateStr, payoutConfig);
+    if (sameDayBoundary - winStart > BOUNDARY_SLACK_MS) nextBoundary = sameDayBoundary;
+
+    const winEnd = Math.min(nextBoundary, toTime);
+    windows.push({ dateStr, start: winStart, end: winEnd });
+    winStart = winEnd;
+  }
+  return windows;
+}
+
+// ─── Fetch Curation Rewards (per-day breakdown) ─────────────────────
+
+async function getCurationRewardsByDay(rawHistory, ratioAt, lastCurationEnd, payoutConfig, now = Date.now()) {
+  const rewardSource = payoutConfig.reward_source;
+
+  // Latest completed window end, e.g. 8:00 AM today (Manila time)
+  const toTime = getLatestWindowBoundary(now, payoutConfig);
 
   // Determine curation window start
   let fromTime;
   if (lastCurationEnd > 0) {
     fromTime = lastCurationEnd;
   } else {
-    const defaultStart = new Date(todayEnd);
-    defaultStart.setDate(defaultStart.getDate() - 1);
-    fromTime = defaultStart.getTime() - manilaOffset;
+    const lastWindowDate = getZonedDate(toTime, payoutConfig.timezone);
+    fromTime = getWindowBoundary(addDays(lastWindowDate, -1), payoutConfig);
   }
 
   // Safety: don't scan into the future
   if (fromTime >= toTime) {
     log(`⏰ Curation window already processed up to: ${new Date(toTime).toISOString()}`);
-    return { dailyRewards: [], windowEnd: toTime };
+    return { dailyRewards: [], windowEnd: toTime, report: [] };
   }
 
-  const missedDays = Math.round((toTime - fromTime) / (24 * 60 * 60 * 1000));
+  const windows = buildPayoutWindows(fromTime, toTime, payoutConfig);
   log(`⏰ Curation window (UTC): ${new Date(fromTime).toISOString()} → ${new Date(toTime).toISOString()}`);
-  log(`⏰ Covering ${missedDays} day(s) of curation rewards${missedDays > 1 ? ' (includes missed days)' : ''}`);
+  log(`⏰ Window: ${payoutConfig.window_start} → ${payoutConfig.window_start} ${payoutConfig.timezone}`);
+  log(`⏰ Covering ${windows.length} day(s) of curation rewards${windows.length > 1 ? ' (includes missed days)' : ''}`);
 
-  // Build 8AM→8AM Manila window boundaries for each day in range
-  const ONE_DAY = 24 * 60 * 60 * 1000;
-  const windows = [];
-  let winStart = fromTime;
-  while (winStart < toTime) {
-    const winEnd = Math.min(winStart + ONE_DAY, toTime);
-    // Window date label = the Manila date of the window start (8AM Manila)
-    const manilaStart = new Date(winStart + manilaOffset);
-    const dateStr = manilaStart.toISOString().split('T')[0];
-    windows.push({ dateStr, start: winStart, end: winEnd });
-    winStart = winEnd;
+  // Tally every reward source per window so the methods can be compared
+  const tallies = {};
+  for (const source of Object.keys(REWARD_SOURCES)) {
+    tallies[source] = tallyRewardsByWindow(rawHistory, windows, ratioAt, REWARD_SOURCES[source]);
   }
 
-  // Build per-day breakdown using window boundaries
-  const dailyRewards = {};
+  const dailyRewards = tallies[rewardSource];
+  const report = buildRewardSourceReport(windows, tallies, rewardSource);
+
+  // Convert to sorted array with HIVE amounts
+  const result = Object.entries(dailyRewards)
+    .sort(([dateA], [dateB]) => dateA.localeCompare(dateB))
+    .map(([date, { vests, hive, count, start, end }]) => {
+      log(`  📊 ${date}: ${count} ${rewardSource === 'claim' ? 'claims' : 'curation rewards'} = ${hive.toFixed(6)} HIVE`);
+      return { date, vests, hive: parseFloat(hive.toFixed(6)), windowStart: start, windowEnd: end };
+    });
+
+  return { dailyRewards: result, windowEnd: toTime, report };
+}
+
+// ─── Reward Sources ─────────────────────────────────────────────────
+//
+// claim:           claim_reward_balance ops, attributed to the day of the
+//                  claim. Includes author/beneficiary rewards.
+// curation_reward: curation_reward virtual ops for ACCOUNT as curator,
+//                  attributed to the day the reward was paid out.
+// author:          author_reward / comment_benefactor_reward vesting
+//                  payouts. Never distributed; reported only, to show
+//                  what the claim method includes.
+//
+// Each matcher returns the VESTS amount an operation contributes (0 if none).
+
+const REWARD_SOURCES = {
+  claim: (type, data) =>
+    type === 'claim_reward_balance' ? parseFloat(data.reward_vests) : 0,
+  curation_reward: (type, data) =>
+    type === 'curation_reward' && data.curator === ACCOUNT ? parseFloat(data.reward) : 0,
+  author: (type, data) => {
+    if (type === 'author_reward' && data.author === ACCOUNT) return parseFloat(data.vesting_payout);
+    if (type === 'comment_benefactor_reward' && data.benefactor === ACCOUNT) return parseFloat(data.vesting_payout);
+    return 0;
+  },
+};
+
+function tallyRewardsByWindow(rawHistory, windows, ratioAt, matchVests) {
+  const daily = {};
+  if (windows.length === 0) return daily;
+
+  const fromTime = windows[0].start;
+  const toTime = windows[windows.length - 1].end;
 
   for (const [, op] of rawHistory) {
     const { timestamp, op: [type, data] } = op;
     const opTime = new Date(timestamp + 'Z').getTime();
-    
-    // Use claim_reward_balance (actual claimed curation)
-    if (type === 'claim_reward_balance' && opTime >= fromTime && opTime < toTime) {
-      const claimedVests = parseFloat(data.reward_vests);
-      if (claimedVests > 0) {
-        // Find which 8AM→8AM window this claim belongs to
-        const win = windows.find(w => opTime >= w.start && opTime < w.end);
-        const dateStr = win ? win.dateStr : 'unknown';
-        
-        if (!dailyRewards[dateStr]) {
-          dailyRewards[dateStr] = { vests: 0, count: 0 };
-        }
-        dailyRewards[dateStr].vests += claimedVests;
-        dailyRewards[dateStr].count++;
-        
-        log(`  💰 Claimed: ${claimedVests.toFixed(6)} VESTS at ${timestamp} (window: ${dateStr})`);
+    if (opTime < fromTime || opTime >= toTime) continue;
+
+    const vests = matchVests(type, data);
+    if (!(vests > 0)) continue;
+
+    // Find which window this reward belongs to
+    const win = windows.find(w => opTime >= w.start && opTime < w.end);
+    const dateStr = win ? win.dateStr : 'unknown';
+
+    if (!daily[dateStr]) {
+      daily[dateStr] = { vests: 0, hive: 0, count: 0, start: win ? win.start : fromTime, end: win ? win.end : toTime };
+    }
+    // Convert at the ratio in effect when the reward happened
+    daily[dateStr].vests += vests;
+    daily[dateStr].hive += vestsToHP(vests, ratioAt(opTime));
+    daily[dateStr].count++;
+  }
+
+  return daily;
+}
+
+/**
+ * Per-day comparison of the claim and curation_reward methods.
+ */
+function buildRewardSourceReport(windows, tallies, rewardSource) {
+  const hiveOf = (source, date) => (tallies[source][date] ? tallies[source][date].hive : 0);
+  const countOf = (source, date) => (tallies[source][date] ? tallies[source][date].count : 0);
+
+  const report = windows.map(({ dateStr }) => {
+    const claimHive = hiveOf('claim', dateStr);
+    const curationHive = hiveOf('curation_reward', dateStr);
+    return {
+      date: dateStr,
+      source_used: rewardSource,
+      claim_hive: parseFloat(claimHive.toFixed(6)),
+      claim_count: countOf('claim', dateStr),
+      curation_reward_hive: parseFloat(curationHive.toFixed(6)),
+      curation_reward_count: countOf('curation_reward', dateStr),
+      author_hive: parseFloat(hiveOf('author', dateStr).toFixed(6)),
+      difference_hive: parseFloat((curationHive - claimHive).toFixed(6)),
+    };
+  });
+
+  log(`\n📑 Reward source comparison (using: ${rewardSource}):`);
+  log('─'.repeat(60));
+  for (const r of report) {
+    log(`  ${r.date}: claim=${r.claim_hive.toFixed(6)} (${r.claim_count}) | curation_reward=${r.curation_reward_hive.toFixed(6)} (${r.curation_reward_count}) | author=${r.author_hive.toFixed(6)} | Δ=${r.difference_hive.toFixed(6)} HIVE`);
+  }
+  log('─'.repeat(60));
+
+  return report;
+}
+
+/**
+ * Upsert the per-day comparison into reward_source_report.json.
+ */
+function saveRewardSourceReport(report) {
+  if (!report || report.length === 0) return;
+  const existing = loadJSON('reward_source_report.json', []);
+  const byDate = new Map((Array.isArray(existing) ? existing : []).map(r => [r.date, r]));
+  for (const r of report) byDate.set(r.date, r);
+  const merged = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  saveJSON('reward_source_report.json', merged);
+}
+
+// ─── Eligibility ────────────────────────────────────────────────────
+//
+// snapshot:      a delegator earns on the delegation they held at the
+//                warm-up cutoff (capped at their current delegation), for
+//                the whole window.
+// time_weighted: the window is split at every delegation event (and at the
+//                moment each increase finishes warming up). A delegator earns
+//                on HP × hours, i.e. their time-averaged eligible HP.
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+function getSnapshotEligibility(delegationHistory, cutoff, hpPerVest) {
+  const eligibleDelegators = {};
+  let eligibleTotalHP = 0;
+
+  for (const [delegator, events] of Object.entries(delegationHistory)) {
+    const sortedEvents = [...events].sort((a, b) => a.timestamp - b.timestamp);
+    let runningBalance = 0;
+    let eligibleVests = 0;
+
+    for (const event of sortedEvents) {
+      const eventTime = event.timestamp;
+      runningBalance += event.vests;
+
+      const isEventEligible = eventTime <= cutoff;
+
+      if (isEventEligible) {
+        eligibleVests = Math.max(0, runningBalance);
       }
     }
+
+    const currentDelegation = Math.max(0, runningBalance);
+    eligibleVests = Math.min(eligibleVests, currentDelegation);
+
+    if (eligibleVests > 0) {
+      const eligibleHP = vestsToHP(eligibleVests, hpPerVest);
+      eligibleDelegators[delegator] = eligibleHP;
+      eligibleTotalHP += eligibleHP;
+    }
   }
 
-  // Convert to sorted array with HIVE amounts
-  const result = Object.entries(dailyRewards)
-    .sort(([dateA], [dateB]) => dateA.localeCompare(dateB))
-    .map(([date, { vests, count }]) => {
-      const hive = vestsToHP(vests, totalVestingFundHive, totalVestingShares);
-      log(`  📊 ${date}: ${count} claims = ${hive.toFixed(6)} HIVE`);
-      return { date, vests, hive: parseFloat(hive.toFixed(6)) };
+  return { eligibleDelegators, eligibleTotalHP };
+}
+
+function balanceAt(sortedEvents, time) {
+  let balance = 0;
+  for (const event of sortedEvents) {
+    if (event.timestamp > time) break;
+    balance += event.vests;
+  }
+  return Math.max(0, balance);
+}
+
+function getTimeWeightedEligibility(delegationHistory, windowStart, windowEnd, warmupMs, hpPerVest) {
+  const eligibleDelegators = {};
+  let eligibleTotalHP = 0;
+  const windowLength = windowEnd - windowStart;
+
+  for (const [delegator, events] of Object.entries(delegationHistory)) {
+    const sortedEvents = [...events].sort((a, b) => a.timestamp - b.timestamp);
+
+    // Eligible VESTS only change at an event or when an event's warm-up ends
+    const breakpoints = new Set([windowStart]);
+    for (const { timestamp } of sortedEvents) {
+      for (const t of [timestamp, timestamp + warmupMs]) {
+        if (t > windowStart && t < windowEnd) breakpoints.add(t);
+      }
+    }
+    const times = [...breakpoints].sort((a, b) => a - b);
+
+    let vestMs = 0;
+    times.forEach((t, i) => {
+      const segmentEnd = i + 1 < times.length ? times[i + 1] : windowEnd;
+      // Increases count once warmed up; decreases count immediately
+      const eligibleVests = Math.min(balanceAt(sortedEvents, t - warmupMs), balanceAt(sortedEvents, t));
+      vestMs += eligibleVests * (segmentEnd - t);
     });
 
-  return { dailyRewards: result, windowEnd: toTime };
+    if (vestMs > 0) {
+      const averageHP = vestsToHP(vestMs / windowLength, hpPerVest);
+      eligibleDelegators[delegator] = averageHP;
+      eligibleTotalHP += averageHP;
+    }
+  }
+
+  return { eligibleDelegators, eligibleTotalHP };
+}
+
+// ─── Daily Payout Entries ───────────────────────────────────────────
+
+/**
+ * Snapshot cutoff for a run on local date today: local midnight minus the
+ * warm-up period.
+ */
+function getSnapshotCutoff(today, payoutConfig) {
+  const [cy, cm, cd] = addDays(today, -payoutConfig.warmup_days).split('-').map(Number);
+  return zonedTimeToUtc({ year: cy, month: cm, day: cd }, payoutConfig.timezone);
+}
+
+/**
+ * Build one day's payout entry from its curation rewards ({ date, hive,
+ * windowStart, windowEnd }): the configured share split among eligible
+ * delegators by HP. Returns null when no delegation is eligible.
+ */
+function buildPayoutEntry(day, delegationHistory, payoutConfig, ratioAt, cutoff) {
+  const { date, hive: totalCurationHive, windowStart, windowEnd } = day;
+  const { distribution_share: distributionShare, share_mode: shareMode } = payoutConfig;
+  const warmupMs = payoutConfig.warmup_days * ONE_DAY;
+
+  log(`\n${'═'.repeat(60)}`);
+  log(`📅 PAYOUT FOR: ${date}`);
+  log(`${'═'.repeat(60)}`);
+
+  // Calculate eligible delegators for this date
+  const hpPerVest = ratioAt(windowEnd);
+  const { eligibleDelegators, eligibleTotalHP } = shareMode === 'time_weighted'
+    ? getTimeWeightedEligibility(delegationHistory, windowStart, windowEnd, warmupMs, hpPerVest)
+    : getSnapshotEligibility(delegationHistory, cutoff, hpPerVest);
+
+  if (eligibleTotalHP === 0) {
+    log(`⚠️ No eligible delegations for ${date}`);
+    return null;
+  }
+
+  // Distribute the configured share (95% by default) of curation rewards
+  const distributable = totalCurationHive * distributionShare;
+  const delegatorData = [];
+
+  log(`\n👥 Eligible delegators: ${Object.keys(eligibleDelegators).length}`);
+  log(`📈 Total eligible delegation: ${eligibleTotalHP.toFixed(3)} HP`);
+  log(`💰 Curation rewards: ${totalCurationHive.toFixed(6)} HIVE`);
+  log(`\n📋 Delegator Rewards:`);
+  log('─'.repeat(60));
+
+  const sortedDelegators = Object.entries(eligibleDelegators).sort((a, b) => b[1] - a[1]);
+
+  for (const [delegator, hp] of sortedDelegators) {
+    const share = hp / eligibleTotalHP;
+    const baseReward = parseFloat((distributable * share).toFixed(6));
+
+    delegatorData.push({
+      name: delegator,
+      hp: parseFloat(hp.toFixed(3)),
+      base_reward: baseReward
+    });
+
+    const percent = (share * 100).toFixed(2);
+    log(`  (${percent}%) @${delegator}: ${hp.toFixed(3)} HP → ${baseReward} HIVE`);
+  }
+
+  log('─'.repeat(60));
+
+  // Create payout entry for this day
+  const payoutEntry = {
+    date,
+    total_delegation_hp: parseFloat(eligibleTotalHP.toFixed(3)),
+    total_curation_hive: parseFloat(totalCurationHive.toFixed(6)),
+    hive_per_vest: hpPerVest,
+    window_end: new Date(windowEnd).toISOString(),
+    payout_config: payoutConfig,
+    distributable_hive: parseFloat(distributable.toFixed(6)),
+    delegators: delegatorData
+  };
+
+  return payoutEntry;
 }
 
 // ─── Main ───────────────────────────────────────────────────────────
 
-async function main() {
+/**
+ * Keep only the synced operations before `time`, for a run as of a past
+ * date. Later operations are fetched again by the next run.
+ */
+function operationsBefore({ newOperations }, lastIndex, time) {
+  const kept = newOperations.filter(([, op]) => new Date(op.timestamp + 'Z').getTime() < time);
+  const latestIndex = kept.length > 0 ? kept[kept.length - 1][0] : lastIndex;
+  return { newOperations: kept, latestIndex, hasNew: kept.length > 0 };
+}
+
+/**
+ * Sync the account history and record every completed payout day.
+ * With date (YYYY-MM-DD) the run behaves as if made at that day's window
+ * boundary: later operations and windows are left for the next run.
+ * Returns a summary of the run; throws on failure.
+ */
+async function main({ date } = {}) {
   let db;
   try {
     log(`🚀 Fetching real delegators for @${ACCOUNT}...`);
 
+    // Validate payout settings before touching the chain or sync state
+    const payoutConfig = getPayoutConfig();
+    log(`⚙️  Payout config: ${JSON.stringify(payoutConfig)}`);
+
+    const now = date ? Math.min(Date.now(), getWindowBoundary(date, payoutConfig)) : Date.now();
+    if (date) log(`📅 Running as of ${new Date(now).toISOString()} (${date})`);
+
+    const result = {
+      account: ACCOUNT,
+      as_of: new Date(now).toISOString(),
+      new_operations: 0,
+      delegators: 0,
+      active_delegators: 0,
+      payouts: [],
+    };
+
     // Initialize sync database and get last processed index
     db = initSyncDB();
     const lastIndex = getLastIndex(db);
@@ -428,28 +970,38 @@ async function main() {
     log(`📊 Last processed index from DB: ${lastIndex}`);
     log(`📊 Last curation window end from DB: ${lastCurationEnd > 0 ? new Date(lastCurationEnd).toISOString() : 'none (first run)'}`);
 
-    await pickWorkingNode();
+    await client.selectNode();
 
     // Check account exists
-    const accountInfo = await hive.api.getAccountsAsync([ACCOUNT]);
+    const accountInfo = await client.getAccounts([ACCOUNT]);
     if (!accountInfo || accountInfo.length === 0) {
-      log(`❌ Account @${ACCOUNT} not found!`);
-      db.close();
-      process.exit(1);
+      throw new Error(`❌ Account @${ACCOUNT} not found!`);
     }
     log(`✅ Account found: ${accountInfo[0].name}`);
     log(`📊 Received vesting shares: ${accountInfo[0].received_vesting_shares}`);
 
-    // Get global properties
-    const { totalVestingFundHive, totalVestingShares } = await fetchGlobalProps();
-
     // Incremental sync: fetch only new operations since last index
-    const { newOperations, latestIndex, hasNew } = await syncAccountHistory(lastIndex);
+    let sync = await syncAccountHistory(lastIndex);
+    if (date) sync = operationsBefore(sync, lastIndex, now);
+    const { newOperations, latestIndex, hasNew } = sync;
+    result.new_operations = newOperations.length;
+
+    // Snapshot the vesting ratio after the sync so every fetched operation
+    // lies at or before it, then add ratios carried by the operations.
+    saveGlobalPropsRatio(db, await fetchGlobalProps());
+    collectVestingRatios(db, newOperations);
+    if (getLastTransferIndex(db) >= lastIndex) {
+      saveTransfers(db, newOperations, latestIndex);
+    }
+    const ratioAt = createRatioLookup(db, ledger.loadPayoutRatios(ledger.openLedger()));
 
     if (!hasNew) {
+      if (lastIndex > 0) {
+        await processPreferenceCommands(newOperations, loadExistingDelegationHistory());
+      }
       log(`ℹ️ No new operations to process. Existing data unchanged.`);
       db.close();
-      return;
+      return result;
     }
 
     // Build or merge delegation history
@@ -458,35 +1010,40 @@ async function main() {
     if (lastIndex === 0) {
       // Initial full sync: build delegation history from all operations
       log(`🔄 Initial full sync: building delegation history from ${newOperations.length} operations...`);
-      delegationHistory = buildDelegationHistory(newOperations, totalVestingFundHive, totalVestingShares);
+      delegationHistory = buildDelegationHistory(newOperations, ratioAt);
     } else {
       // Incremental sync: load existing history and merge new events
       log(`🔄 Incremental sync: merging ${newOperations.length} new operations...`);
       delegationHistory = loadExistingDelegationHistory();
-      delegationHistory = mergeNewDelegationEvents(delegationHistory, newOperations, totalVestingFundHive, totalVestingShares);
+      delegationHistory = mergeNewDelegationEvents(delegationHistory, newOperations, ratioAt);
     }
 
     // Save delegation_history.json
     fs.writeFileSync(DELEGATION_HISTORY_FILE, JSON.stringify(delegationHistory, null, 2));
     log(`💾 Saved delegation_history.json`);
     log(`👥 Total delegators found in history: ${Object.keys(delegationHistory).length}`);
+    result.delegators = Object.keys(delegationHistory).length;
+
+    await processPreferenceCommands(newOperations, delegationHistory);
 
     // Get active delegators (those with positive current delegation)
     const activeDelegators = getActiveDelegators(delegationHistory);
     const activeCount = Object.keys(activeDelegators).length;
     log(`\n👥 Active delegators: ${activeCount}`);
+    result.active_delegators = activeCount;
 
     if (activeCount === 0) {
       log('⚠️ No active delegators found.');
       updateSyncState(db, latestIndex, lastCurationEnd);
       db.close();
-      process.exit(0);
+      return result;
     }
 
     // Fetch curation rewards per day (with multi-day gap recovery)
     // Use all operations (both new and existing) to ensure we catch all curation claims in the window
     const allOperations = [...newOperations];
-    const { dailyRewards, windowEnd: curationWindowEnd } = await getCurationRewardsByDay(allOperations, totalVestingFundHive, totalVestingShares, lastCurationEnd);
+    const { dailyRewards, windowEnd: curationWindowEnd, report } = await getCurationRewardsByDay(allOperations, ratioAt, lastCurationEnd, payoutConfig, now);
+    saveRewardSourceReport(report);
     
     if (dailyRewards.length === 0) {
       log('⚠️ No curation rewards found in window.');
@@ -494,141 +1051,75 @@ async function main() {
       // in case rewards appear later (e.g., delayed claim_reward_balance operations)
       updateSyncState(db, latestIndex, lastCurationEnd);
       db.close();
-      process.exit(0);
+      return result;
     }
 
     log(`\n📅 Processing ${dailyRewards.length} day(s) of payouts...`);
 
-    // Load or initialize payout history
-    const PAYOUT_HISTORY_FILE = path.join(__dirname, '..', 'data', 'payout_history.json');
-    let payoutHistory = [];
-    if (fs.existsSync(PAYOUT_HISTORY_FILE)) {
-      const parsed = JSON.parse(fs.readFileSync(PAYOUT_HISTORY_FILE, 'utf8').replace(/^\uFEFF/, ''));
-      // Ensure it's an array (handle corrupted or empty object files)
-      payoutHistory = Array.isArray(parsed) ? parsed : [];
-      log(`💾 Loaded existing payout_history.json (${payoutHistory.length} entries)`);
-    }
-
     // Generate payout for each day
-    const phTz = 'Asia/Manila';
-    const now = new Date(new Date().toLocaleString('en-US', { timeZone: phTz }));
-    now.setHours(0, 0, 0, 0); // midnight Manila
-    const cutoff = now.getTime() - 6 * 24 * 60 * 60 * 1000; // 6 days ago
-
-    let todayPayoutSummary = null;
-
-    for (const { date, hive: totalCurationHive } of dailyRewards) {
-      log(`\n${'═'.repeat(60)}`);
-      log(`📅 PAYOUT FOR: ${date}`);
-      log(`${'═'.repeat(60)}`);
-
-      // Calculate eligible delegators for this date
-      const eligibleDelegators = {};
-      let eligibleTotalHP = 0;
-
-      for (const [delegator, events] of Object.entries(delegationHistory)) {
-        const sortedEvents = [...events].sort((a, b) => a.timestamp - b.timestamp);
-        let runningBalance = 0;
-        let eligibleVests = 0;
+    const cutoff = getSnapshotCutoff(getZonedDate(now, payoutConfig.timezone), payoutConfig);
+    const { warmup_days: warmupDays, distribution_share: distributionShare, share_mode: shareMode } = payoutConfig;
+    log(`⚖️ Share mode: ${shareMode} | warm-up: ${warmupDays} day(s) | distributing ${(distributionShare * 100).toFixed(1)}%`);
 
-        for (const event of sortedEvents) {
-          const eventTime = event.timestamp;
-          runningBalance += event.vests;
+    const payouts = [];
 
-          const isEventEligible = eventTime <= cutoff;
-
-          if (isEventEligible) {
-            eligibleVests = Math.max(0, runningBalance);
-          }
-        }
-
-        const currentDelegation = Math.max(0, runningBalance);
-        eligibleVests = Math.min(eligibleVests, currentDelegation);
-
-        if (eligibleVests > 0) {
-          const eligibleHP = vestsToHP(eligibleVests, totalVestingFundHive, totalVestingShares);
-          eligibleDelegators[delegator] = eligibleHP;
-          eligibleTotalHP += eligibleHP;
-        }
-      }
-
-      if (eligibleTotalHP === 0) {
-        log(`⚠️ No eligible delegations for ${date}`);
-        continue;
-      }
-
-      // Distribute 95% of curation rewards
-      const distributable = totalCurationHive * 0.95;
-      const delegatorData = [];
-
-      log(`\n👥 Eligible delegators: ${Object.keys(eligibleDelegators).length}`);
-      log(`📈 Total eligible delegation: ${eligibleTotalHP.toFixed(3)} HP`);
-      log(`💰 Curation rewards: ${totalCurationHive.toFixed(6)} HIVE`);
-      log(`\n📋 Delegator Rewards:`);
-      log('─'.repeat(60));
-
-      const sortedDelegators = Object.entries(eligibleDelegators).sort((a, b) => b[1] - a[1]);
-
-      for (const [delegator, hp] of sortedDelegators) {
-        const share = hp / eligibleTotalHP;
-        const baseReward = parseFloat((distributable * share).toFixed(6));
-
-        delegatorData.push({
-          name: delegator,
-          hp: parseFloat(hp.toFixed(3)),
-          base_reward: baseReward
-        });
-
-        const percent = (share * 100).toFixed(2);
-        log(`  (${percent}%) @${delegator}: ${hp.toFixed(3)} HP → ${baseReward} HIVE`);
-      }
-
-      log('─'.repeat(60));
-
-      // Create payout entry for this day
-      const payoutEntry = {
-        date,
-        total_delegation_hp: parseFloat(eligibleTotalHP.toFixed(3)),
-        total_curation_hive: parseFloat(totalCurationHive.toFixed(6)),
-        distributable_hive: parseFloat(distributable.toFixed(6)),
-        delegators: delegatorData
-      };
-
-      payoutHistory.push(payoutEntry);
-
-      // Always track the latest payout entry for payout_summary.json
-      todayPayoutSummary = payoutEntry;
+    for (const day of dailyRewards) {
+      const payoutEntry = buildPayoutEntry(day, delegationHistory, payoutConfig, ratioAt, cutoff);
+      if (payoutEntry) payouts.push(payoutEntry);
     }
 
-    // Save payout history
-    fs.writeFileSync(PAYOUT_HISTORY_FILE, JSON.stringify(payoutHistory, null, 2));
-    log(`\n💾 Saved payout_history.json (${payoutHistory.length} total entries)`);
-
-    // Save latest payout as payout_summary.json (for accumulator.js)
-    if (todayPayoutSummary) {
-      saveJSON('payout_summary.json', todayPayoutSummary);
-      log(`💾 Saved payout_summary.json for date: ${todayPayoutSummary.date}`);
+    // Save every day's payout in one ledger transaction, then export
+    // payout_history.json / payout_summary.json for the dashboard.
+    // accumulator.js replays every new ledger payout itself.
+    const ledgerDb = ledger.openLedger();
+    if (payouts.length > 0) {
+      ledgerDb.transaction(() => payouts.forEach(p => ledger.savePayout(ledgerDb, p)))();
+      log(`\n💾 Saved ${payouts.length} payout(s) to the ledger (latest: ${payouts[payouts.length - 1].date})`);
     } else {
       log(`⚠️ No payouts were processed`);
     }
+    ledger.exportJSON(ledgerDb);
+    ledger.closeLedger();
 
     // ── Crash-safe: update sync state ONLY after full success ──
     updateSyncState(db, latestIndex, curationWindowEnd);
     db.close();
 
     log(`\n✅ Daily payouts processed and saved!`);
+    result.payouts = payouts.map(p => p.date);
+    return result;
 
   } catch (error) {
-    log(`❌ Error: ${error.message}`);
-    console.error(error);
     if (db) db.close();
-    process.exit(1);
+    throw error;
+  } finally {
+    ledger.closeLedger();
   }
 }
 
 // Run if executed directly
 if (require.main === module) {
-  main();
+  main().catch((error) => {
+    log(`❌ Error: ${error.message}`);
+    console.error(error);
+    process.exitCode = 1;
+  });
 }
 
-module.exports = { main };
+module.exports = {
+  main,
+  initSyncDB,
+  readSyncState,
+  syncTransfers,
+  loadTransfers,
+  processPreferenceCommands,
+  createRatioLookup,
+  collectVestingRatios,
+  vestsToHP,
+  getCurationRewardsByDay,
+  buildPayoutWindows,
+  getSnapshotCutoff,
+  buildPayoutEntry,
+  getSnapshotEligibility,
+  getTimeWeightedEligibility,
+};
@@ -1,45 +1,53 @@
 /**
  * fetch_rewards.js
  * Reads the Hive Vote Tool output (payout_summary.json) and validates it.
- * In a production setup, this script could fetch data from the Hive blockchain
- * or an external API. For now, it reads and validates the local JSON file.
+ * Also reads the ledger's payout history so the accumulator can replay
+ * every day that has not been accumulated yet (e.g. after a missed cron run).
  */
 
 const { loadJSON, log } = require('./utils');
+const { openLedger, loadPayouts, countPayouts } = require('./ledger');
 
-function fetchRewards() {
-  log('📥 Fetching payout summary from Hive Vote Tool output...');
-
-  const payoutSummary = loadJSON('payout_summary.json', null);
-
-  if (!payoutSummary) {
-    console.error('❌ payout_summary.json is missing or invalid. Cannot proceed.');
-    process.exit(1);
-  }
-
-  // Validate required fields
-  if (!payoutSummary.date) {
-    console.error('❌ payout_summary.json is missing "date" field.');
+/**
+ * Validate a single payout entry (payout_summary.json or one
+ * payout_history.json element). Exits the process on invalid data.
+ */
+function validatePayoutEntry(entry, source) {
+  if (!entry.date) {
+    console.error(`❌ ${source} is missing "date" field.`);
     process.exit(1);
   }
 
-  if (typeof payoutSummary.total_delegation_hp !== 'number') {
-    console.error('❌ payout_summary.json is missing or invalid "total_delegation_hp" field.');
+  if (typeof entry.total_delegation_hp !== 'number') {
+    console.error(`❌ ${source} is missing or invalid "total_delegation_hp" field.`);
     process.exit(1);
   }
 
-  if (!Array.isArray(payoutSummary.delegators) || payoutSummary.delegators.length === 0) {
-    console.error('❌ payout_summary.json has no delegators.');
+  if (!Array.isArray(entry.delegators) || entry.delegators.length === 0) {
+    console.error(`❌ ${source} has no delegators.`);
     process.exit(1);
   }
 
   // Validate each delegator entry
-  for (const d of payoutSummary.delegators) {
+  for (const d of entry.delegators) {
     if (!d.name || typeof d.base_reward !== 'number') {
-      console.error(`❌ Invalid delegator entry: ${JSON.stringify(d)}`);
+      console.error(`❌ Invalid delegator entry in ${source}: ${JSON.stringify(d)}`);
       process.exit(1);
     }
   }
+}
+
+function fetchRewards() {
+  log('📥 Fetching payout summary from Hive Vote Tool output...');
+
+  const payoutSummary = loadJSON('payout_summary.json', null);
+
+  if (!payoutSummary) {
+    console.error('❌ payout_summary.json is missing or invalid. Cannot proceed.');
+    process.exit(1);
+  }
+
+  validatePayoutEntry(payoutSummary, 'payout_summary.json');
 
   log(`✅ Payout summary loaded for date: ${payoutSummary.date}`);
   log(`📊 Total delegation: ${payoutSummary.total_delegation_hp} HP`);
@@ -48,6 +56,43 @@ function fetchRewards() {
   return payoutSummary;
 }
 
+/**
+ * Return every ledger payout newer than lastAccumulatedDate (and not after
+ * `until`, YYYY-MM-DD, when given), sorted oldest first. Falls back to
+ * payout_summary.json when the ledger has no payouts. Without a
+ * lastAccumulatedDate only the latest entry is returned, so a missing
+ * marker never replays the whole history.
+ */
+function fetchPendingPayouts(lastAccumulatedDate, db = openLedger(), { until } = {}) {
+  log('📥 Fetching pending payouts from the ledger...');
+
+  if (countPayouts(db) === 0) {
+    log('⚠️ Ledger has no payouts, falling back to payout_summary.json');
+    const summary = fetchRewards();
+    if (until && summary.date > until) return [];
+    return !lastAccumulatedDate || summary.date > lastAccumulatedDate ? [summary] : [];
+  }
+
+  if (until) log(`📅 Only payout days up to ${until}`);
+
+  if (!lastAccumulatedDate) {
+    const payouts = loadPayouts(db, { to: until });
+    if (payouts.length === 0) return [];
+    const latest = payouts[payouts.length - 1];
+    validatePayoutEntry(latest, `payout ${latest.date}`);
+    log(`⚠️ No last accumulated date recorded, using latest entry only: ${latest.date}`);
+    return [latest];
+  }
+
+  const pending = loadPayouts(db, { after: lastAccumulatedDate, to: until });
+  pending.forEach(entry => validatePayoutEntry(entry, `payout ${entry.date}`));
+
+  log(`📅 Last accumulated date: ${lastAccumulatedDate}`);
+  log(`📅 Pending payout day(s): ${pending.length}${pending.length > 0 ? ` (${pending.map(e => e.date).join(', ')})` : ''}`);
+
+  return pending;
+}
+
 // Run if executed directly
 if (require.main === module) {
   const summary = fetchRewards();
@@ -55,4 +100,4 @@ if (require.main === module) {
   console.log(JSON.stringify(summary, null, 2));
 }
 
-module.exports = { fetchRewards };
+module.exports = { fetchRewards, fetchPendingPayouts, validatePayoutEntry };
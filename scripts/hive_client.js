@@ -0,0 +1,232 @@
+/**
+ * hive_client.js
+ * Shared Hive API client used by every script.
+ *
+ * On first use every configured node (see getApiConfig in config.js:
+ * "api.nodes" in config.json, HIVE_NODES in the environment, or the
+ * built-in list) is probed in parallel with get_dynamic_global_properties.
+ * Nodes that do not answer within api.timeout_ms, or whose head block lags
+ * the chain (the best node's head block, or the wall clock) by more than
+ * api.max_head_lag_seconds, are dropped. The rest are ranked by score:
+ * response time plus one second per block behind the best node.
+ *
+ * Calls go to the best node and return promises. A failed call is retried
+ * up to api.retries times with exponential backoff, moving to the next
+ * ranked node each time. Broadcasts are never retried here: a broadcast
+ * that timed out may still be included, so callers check the account
+ * history first (see send_sbi.js).
+ */
+
+const hive = require('@hiveio/hive-js');
+const { log } = require('./utils');
+const { getApiConfig } = require('./config');
+
+const DEFAULT_NODES = [
+  'https://api.deathwing.me',
+  'https://api.openhive.network',
+  'https://api.hive.blog',
+  'https://anyx.io',
+  'https://hive.roelandp.nl',
+  'https://rpc.ausbit.dev',
+  'https://hived.emre.sh',
+  'https://hive-api.arcange.eu',
+  'https://api.c0ff33a.uk',
+  'https://rpc.ecency.com',
+  'https://techcoderx.com',
+  'https://api.hive.blue',
+  'https://rpc.mahdiyari.info',
+  'https://herpc.dtools.dev',
+];
+
+const BLOCK_INTERVAL_MS = 3000;
+const BACKOFF_BASE_MS = 1000;
+
+let settings = null;
+let ranked = [];
+let current = -1;
+
+function getSettings() {
+  if (!settings) settings = getApiConfig();
+  return settings;
+}
+
+function getNodes() {
+  const { nodes } = getSettings();
+  return nodes.length > 0 ? nodes : DEFAULT_NODES;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Every request, probes and hive-js calls alike, is aborted after
+// api.timeout_ms so a hanging node cannot stall a run.
+function timedFetch(url, options = {}) {
+  return fetch(url, { ...options, signal: AbortSignal.timeout(getSettings().timeout_ms) });
+}
+
+// ─── Node Health ────────────────────────────────────────────────────
+
+/**
+ * Probe one node. Returns { url, ok, latency, head, time, error }.
+ */
+async function probeNode(url) {
+  const started = Date.now();
+  try {
+    const res = await timedFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'condenser_api.get_dynamic_global_properties', params: [] }),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { result, error } = await res.json();
+    if (error || !result) throw new Error(error ? error.message : 'empty response');
+
+    return {
+      url,
+      ok: true,
+      latency: Date.now() - started,
+      head: result.head_block_number,
+      time: new Date(result.time + 'Z').getTime(),
+    };
+  } catch (err) {
+    return { url, ok: false, latency: Date.now() - started, error: err.message };
+  }
+}
+
+/**
+ * Rank probe results: healthy nodes, best score first. Each result gets
+ * lag (seconds behind) and score (ms).
+ */
+function rankNodes(results, now, maxLagSeconds) {
+  const answered = results.filter(r => r.ok);
+  const bestHead = Math.max(...answered.map(r => r.head));
+
+  for (const r of answered) {
+    const blocksBehind = bestHead - r.head;
+    r.lag = Math.max(blocksBehind * BLOCK_INTERVAL_MS, now - r.time, 0) / 1000;
+    r.score = r.latency + blocksBehind * 1000;
+  }
+
+  return answered
+    .filter(r => r.lag <= maxLagSeconds)
+    .sort((a, b) => a.score - b.score);
+}
+
+function useNode(index) {
+  current = index;
+  hive.api.setOptions({
+    url: ranked[current],
+    fetchMethod: timedFetch,
+    // Failover is ours: keep hive-js from switching to its own nodes.
+    failover_threshold: Infinity,
+  });
+}
+
+/**
+ * Probe every node and switch to the best one. Throws when no node is
+ * healthy.
+ */
+async function selectNode() {
+  const { max_head_lag_seconds: maxLag } = getSettings();
+  const nodes = getNodes();
+  log(`🌐 Checking ${nodes.length} Hive API node(s)...`);
+
+  const results = await Promise.all(nodes.map(probeNode));
+  const healthy = rankNodes(results, Date.now(), maxLag);
+
+  for (const r of results) {
+    if (!r.ok) log(`  ❌ ${r.url}: ${r.error}`);
+    else log(`  ${healthy.includes(r) ? '✅' : '⚠️'} ${r.url}: ${r.latency} ms, head ${r.head}, ${r.lag.toFixed(0)} s behind`);
+  }
+
+  if (healthy.length === 0) {
+    throw new Error(`❌ No healthy Hive API node (max head lag ${maxLag} s).`);
+  }
+
+  ranked = healthy.map(r => r.url);
+  useNode(0);
+  log(`✅ Using Hive API: ${ranked[0]}`);
+  return ranked[0];
+}
+
+async function ensureNode() {
+  if (current < 0) await selectNode();
+}
+
+/**
+ * Move to the next ranked node.
+ */
+function failover() {
+  if (ranked.length < 2) return;
+  useNode((current + 1) % ranked.length);
+  log(`🔁 Switched to Hive node: ${ranked[current]}`);
+}
+
+// ─── Calls ──────────────────────────────────────────────────────────
+
+/**
+ * Call a hive-js API method by name (e.g. "getAccountHistory") with
+ * retries, backoff and failover. Resolves to the result.
+ */
+async function call(method, ...args) {
+  await ensureNode();
+  const { retries } = getSettings();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await hive.api[`${method}Async`](...args);
+    } catch (err) {
+      log(`⚠️ ${method} failed on ${ranked[current]} (attempt ${attempt}/${retries}): ${err.message}`);
+      if (attempt >= retries) throw err;
+      failover();
+      await sleep(BACKOFF_BASE_MS * 2 ** (attempt - 1));
+    }
+  }
+}
+
+function getAccounts(names) {
+  return call('getAccounts', names);
+}
+
+function getAccountHistory(account, start, limit) {
+  return call('getAccountHistory', account, start, limit);
+}
+
+function getDynamicGlobalProperties() {
+  return call('getDynamicGlobalProperties');
+}
+
+/**
+ * Sign and broadcast one transaction with operations. Resolves to the
+ * broadcast result ({ id, ... }). Not retried; on failure the client
+ * moves to the next node and the error is thrown.
+ */
+async function broadcast(operations, activeKey) {
+  await ensureNode();
+  try {
+    return await new Promise((resolve, reject) => {
+      hive.broadcast.send({ extensions: [], operations }, { active: activeKey }, (err, res) => {
+        if (err) return reject(err);
+        resolve(res);
+      });
+    });
+  } catch (err) {
+    failover();
+    throw err;
+  }
+}
+
+module.exports = {
+  DEFAULT_NODES,
+  getNodes,
+  probeNode,
+  rankNodes,
+  selectNode,
+  failover,
+  call,
+  getAccounts,
+  getAccountHistory,
+  getDynamicGlobalProperties,
+  broadcast,
+};
@@ -0,0 +1,766 @@
+/**
+ * ledger.js
+ * SQLite-backed ledger (ledger.db in DATA_DIR) holding balances, daily
+ * payouts, per-delegator rewards and payout sends (SBI, liquid HIVE, HP)
+ * as relational tables.
+ *
+ * Scripts read and write the ledger. The JSON files (delegator_balances.json,
+ * payout_history.json, payout_summary.json, accumulation_log.json, one
+ * send log per payout method, see SEND_LOG_FILES, preference_audit.json,
+ * command_scan.json and adjustments.json) are written from it by exportJSON(), which then
+ * rebuilds the dashboard bundles from them (see bundles.js).
+ *
+ * Only the JSON export is committed; ledger.db is gitignored. On first
+ * open an empty ledger is filled from the JSON files, so every fresh
+ * checkout (each workflow run) rebuilds it from the last committed export.
+ * A local ledger.db whose export has since changed on disk (e.g. after a
+ * git pull) is rebuilt the same way, so the two never diverge.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { DATA_DIR, loadJSON, saveJSON, formatHIVE, getTodayUTC, log } = require('./utils');
+
+const LEDGER_PATH = path.join(DATA_DIR, 'ledger.db');
+
+// Exported send log per payout method
+const SEND_LOG_FILES = {
+  sbi: 'sbi_log.json',
+  hive: 'hive_payout_log.json',
+  hp: 'hp_payout_log.json',
+};
+
+// Exported files a ledger is rebuilt from (see importFromJSON)
+const IMPORT_FILES = [
+  'delegator_balances.json',
+  'payout_history.json',
+  'accumulation_log.json',
+  ...Object.values(SEND_LOG_FILES),
+  'preference_audit.json',
+  'command_scan.json',
+  'adjustments.json',
+];
+
+const TABLES = ['meta', 'balances', 'payouts', 'payout_delegators', 'accumulations', 'rewards', 'sbi_sends', 'adjustments', 'preference_audit', 'command_scan'];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS balances (
+    delegator    TEXT PRIMARY KEY,
+    balance      REAL NOT NULL DEFAULT 0,
+    total_sent   REAL NOT NULL DEFAULT 0,
+    last_updated TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS payouts (
+    date                TEXT PRIMARY KEY,
+    total_delegation_hp REAL NOT NULL,
+    total_curation_hive REAL,
+    distributable_hive  REAL,
+    payout_config       TEXT,
+    hive_per_vest       REAL,
+    window_end          TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS payout_delegators (
+    date        TEXT NOT NULL,
+    position    INTEGER NOT NULL,
+    delegator   TEXT NOT NULL,
+    hp          REAL,
+    base_reward REAL NOT NULL,
+    PRIMARY KEY (date, delegator)
+  );
+
+  CREATE TABLE IF NOT EXISTS accumulations (
+    date                TEXT PRIMARY KEY,
+    total_delegation_hp REAL,
+    multiplier          REAL,
+    accumulated_at      TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS rewards (
+    date            TEXT NOT NULL,
+    position        INTEGER NOT NULL,
+    delegator       TEXT NOT NULL,
+    base_reward     REAL,
+    multiplier      REAL,
+    adjusted_reward REAL NOT NULL,
+    factors         TEXT,
+    PRIMARY KEY (date, delegator)
+  );
+
+  CREATE TABLE IF NOT EXISTS sbi_sends (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    date              TEXT NOT NULL,
+    delegator         TEXT NOT NULL,
+    method            TEXT NOT NULL DEFAULT 'sbi',
+    sent              REAL NOT NULL,
+    to_account        TEXT,
+    memo              TEXT,
+    status            TEXT,
+    tx_id             TEXT,
+    total_sent_before REAL,
+    created_at        TEXT,
+    updated_at        TEXT,
+    error             TEXT,
+    dry_run           INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS adjustments (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    date       TEXT NOT NULL,
+    delegator  TEXT NOT NULL,
+    amount     REAL NOT NULL,
+    source     TEXT NOT NULL,
+    reason     TEXT,
+    operator   TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS preference_audit (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    source      TEXT NOT NULL,
+    signer      TEXT,
+    trx_id      TEXT NOT NULL,
+    op_index    INTEGER,
+    timestamp   TEXT NOT NULL,
+    raw         TEXT,
+    command     TEXT,
+    status      TEXT NOT NULL,
+    reason      TEXT,
+    before      TEXT,
+    after       TEXT,
+    recorded_at TEXT NOT NULL,
+    UNIQUE (source, trx_id, op_index, signer)
+  );
+
+  CREATE TABLE IF NOT EXISTS command_scan (
+    account    TEXT PRIMARY KEY,
+    last_index INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_sbi_sends_status ON sbi_sends(status);
+  CREATE INDEX IF NOT EXISTS idx_sbi_sends_delegator ON sbi_sends(delegator);
+`;
+
+let ledger = null;
+
+/**
+ * Open (and cache) the ledger for DATA_DIR, creating the schema and
+ * importing the existing JSON files when the ledger is new.
+ */
+function openLedger() {
+  if (ledger) return ledger;
+
+  ledger = new Database(LEDGER_PATH);
+  ledger.exec(SCHEMA);
+
+  // Migrate: add sbi_sends.method if missing (ledgers created before payout preferences)
+  const cols = ledger.pragma('table_info(sbi_sends)');
+  if (!cols.find(c => c.name === 'method')) {
+    ledger.exec("ALTER TABLE sbi_sends ADD COLUMN method TEXT NOT NULL DEFAULT 'sbi';");
+    log('💾 Migrated sbi_sends: added method column');
+  }
+
+  // Migrate: add payouts.hive_per_vest / window_end if missing (the vesting ratio used)
+  if (!ledger.pragma('table_info(payouts)').find(c => c.name === 'hive_per_vest')) {
+    ledger.exec('ALTER TABLE payouts ADD COLUMN hive_per_vest REAL; ALTER TABLE payouts ADD COLUMN window_end TEXT;');
+    log('💾 Migrated payouts: added hive_per_vest and window_end columns');
+  }
+
+  // Migrate: add adjustments.operator if missing
+  if (!ledger.pragma('table_info(adjustments)').find(c => c.name === 'operator')) {
+    ledger.exec('ALTER TABLE adjustments ADD COLUMN operator TEXT;');
+    log('💾 Migrated adjustments: added operator column');
+  }
+
+  // Migrate: key preference_audit by op_index too (one transaction may hold several commands)
+  const auditSchema = ledger.prepare("SELECT sql FROM sqlite_master WHERE name = 'preference_audit'").get().sql;
+  if (auditSchema.includes('UNIQUE (source, trx_id, signer)')) {
+    ledger.transaction(() => {
+      ledger.exec('ALTER TABLE preference_audit RENAME TO preference_audit_old;');
+      ledger.exec(SCHEMA);
+      ledger.exec('INSERT INTO preference_audit SELECT * FROM preference_audit_old; DROP TABLE preference_audit_old;');
+    })();
+    log('💾 Migrated preference_audit: added op_index to its unique key');
+  }
+
+  if (getMeta(ledger, 'imported_at') === null) {
+    importFromJSON(ledger);
+  } else if (![null, hashExport()].includes(getMeta(ledger, 'export_hash'))) {
+    log(`📥 JSON export changed since ${path.basename(LEDGER_PATH)} last wrote it, rebuilding the ledger from it`);
+    rebuildFromJSON(ledger);
+  }
+
+  return ledger;
+}
+
+function closeLedger() {
+  if (ledger) {
+    ledger.close();
+    ledger = null;
+  }
+}
+
+// ─── Meta ───────────────────────────────────────────────────────────
+
+function getMeta(db, key) {
+  const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+
+function setMeta(db, key, value) {
+  db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+    .run(key, value);
+}
+
+// ─── Balances ───────────────────────────────────────────────────────
+
+/**
+ * Return balances as { delegator: { balance, total_sent, last_updated } }.
+ */
+function loadBalances(db) {
+  const balances = {};
+  for (const row of db.prepare('SELECT * FROM balances ORDER BY rowid').all()) {
+    balances[row.delegator] = {
+      balance: row.balance,
+      total_sent: row.total_sent,
+      last_updated: row.last_updated,
+    };
+  }
+  return balances;
+}
+
+function saveBalances(db, balances) {
+  const upsert = db.prepare(`
+    INSERT INTO balances (delegator, balance, total_sent, last_updated)
+    VALUES (@delegator, @balance, @total_sent, @last_updated)
+    ON CONFLICT(delegator) DO UPDATE SET
+      balance = excluded.balance,
+      total_sent = excluded.total_sent,
+      last_updated = excluded.last_updated
+  `);
+
+  db.transaction(() => {
+    for (const [delegator, data] of Object.entries(balances)) {
+      upsert.run({
+        delegator,
+        balance: data.balance || 0,
+        total_sent: data.total_sent || 0,
+        last_updated: data.last_updated || null,
+      });
+    }
+  })();
+}
+
+// ─── Payouts ────────────────────────────────────────────────────────
+
+/**
+ * Insert or replace one day's payout (payout_history.json entry shape).
+ */
+function savePayout(db, payout) {
+  const insertPayout = db.prepare(`
+    INSERT OR REPLACE INTO payouts (date, total_delegation_hp, total_curation_hive, distributable_hive, payout_config, hive_per_vest, window_end)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertDelegator = db.prepare(`
+    INSERT OR REPLACE INTO payout_delegators (date, position, delegator, hp, base_reward)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM payout_delegators WHERE date = ?').run(payout.date);
+    insertPayout.run(
+      payout.date,
+      payout.total_delegation_hp,
+      payout.total_curation_hive ?? null,
+      payout.distributable_hive ?? null,
+      payout.payout_config ? JSON.stringify(payout.payout_config) : null,
+      payout.hive_per_vest ?? null,
+      payout.window_end ?? null
+    );
+    payout.delegators.forEach((d, i) => {
+      insertDelegator.run(payout.date, i, d.name, d.hp ?? null, d.base_reward);
+    });
+  })();
+}
+
+/**
+ * Return payouts (oldest first) in payout_history.json entry shape,
+ * optionally only those after a date.
+ */
+function loadPayouts(db, { after = null, from = null, to = null } = {}) {
+  const where = [];
+  const params = [];
+  if (after) { where.push('date > ?'); params.push(after); }
+  if (from) { where.push('date >= ?'); params.push(from); }
+  if (to) { where.push('date <= ?'); params.push(to); }
+
+  const payouts = db.prepare(`SELECT * FROM payouts ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY date`).all(...params);
+  const delegatorsOf = db.prepare('SELECT * FROM payout_delegators WHERE date = ? ORDER BY position');
+
+  return payouts.map(row => {
+    const entry = {
+      date: row.date,
+      total_delegation_hp: row.total_delegation_hp,
+    };
+    if (row.total_curation_hive !== null) entry.total_curation_hive = row.total_curation_hive;
+    if (row.payout_config !== null) entry.payout_config = JSON.parse(row.payout_config);
+    if (row.distributable_hive !== null) entry.distributable_hive = row.distributable_hive;
+    if (row.hive_per_vest !== null) entry.hive_per_vest = row.hive_per_vest;
+    if (row.window_end !== null) entry.window_end = row.window_end;
+    entry.delegators = delegatorsOf.all(row.date).map(d => {
+      const delegator = { name: d.delegator };
+      if (d.hp !== null) delegator.hp = d.hp;
+      delegator.base_reward = d.base_reward;
+      return delegator;
+    });
+    return entry;
+  });
+}
+
+/**
+ * Vesting ratios recorded with payout days, oldest first:
+ *   [{ timestamp, hive_per_vest }] (timestamp = the day's window end, ms)
+ */
+function loadPayoutRatios(db) {
+  return db.prepare('SELECT window_end, hive_per_vest FROM payouts WHERE hive_per_vest IS NOT NULL AND window_end IS NOT NULL ORDER BY window_end')
+    .all()
+    .map(row => ({ timestamp: Date.parse(row.window_end), hive_per_vest: row.hive_per_vest }));
+}
+
+function countPayouts(db) {
+  return db.prepare('SELECT COUNT(*) AS n FROM payouts').get().n;
+}
+
+/**
+ * Ledger overview for status reports:
+ *   { payout_days, first_payout_date, latest_payout_date, sends }
+ * sends counts sends by status; dry-run sends are counted as "dry_run".
+ */
+function getLedgerSummary(db) {
+  const payouts = db.prepare('SELECT COUNT(*) AS n, MIN(date) AS first, MAX(date) AS latest FROM payouts').get();
+  const sends = {};
+  for (const row of db.prepare("SELECT CASE WHEN dry_run THEN 'dry_run' ELSE COALESCE(status, 'confirmed') END AS status, COUNT(*) AS n FROM sbi_sends GROUP BY 1").all()) {
+    sends[row.status] = row.n;
+  }
+  const adjustments = db.prepare('SELECT COUNT(*) AS n, COALESCE(SUM(amount), 0) AS total FROM adjustments').get();
+
+  return {
+    payout_days: payouts.n,
+    first_payout_date: payouts.first,
+    latest_payout_date: payouts.latest,
+    sends,
+    adjustments: { count: adjustments.n, total: formatHIVE(adjustments.total, 6) },
+  };
+}
+
+// ─── Rewards (accumulation log) ─────────────────────────────────────
+
+/**
+ * Insert or replace one day's per-delegator rewards
+ * (accumulation_log.json entry shape).
+ */
+function saveAccumulation(db, entry) {
+  const insertDay = db.prepare(`
+    INSERT OR REPLACE INTO accumulations (date, total_delegation_hp, multiplier, accumulated_at)
+    VALUES (?, ?, ?, ?)
+  `);
+  const insertReward = db.prepare(`
+    INSERT OR REPLACE INTO rewards (date, position, delegator, base_reward, multiplier, adjusted_reward, factors)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM rewards WHERE date = ?').run(entry.date);
+    insertDay.run(entry.date, entry.total_delegation_hp, entry.multiplier, entry.accumulated_at);
+    entry.delegators.forEach((r, i) => {
+      insertReward.run(entry.date, i, r.name, r.base_reward, r.multiplier, r.adjusted_reward, JSON.stringify(r.factors || []));
+    });
+  })();
+}
+
+function loadAccumulations(db, { from = null, to = null } = {}) {
+  const where = [];
+  const params = [];
+  if (from) { where.push('date >= ?'); params.push(from); }
+  if (to) { where.push('date <= ?'); params.push(to); }
+
+  const rewardsOf = db.prepare('SELECT * FROM rewards WHERE date = ? ORDER BY position');
+  const rows = db.prepare(`SELECT * FROM accumulations ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY date`).all(...params);
+
+  return rows.map(row => ({
+    date: row.date,
+    total_delegation_hp: row.total_delegation_hp,
+    multiplier: row.multiplier,
+    accumulated_at: row.accumulated_at,
+    delegators: rewardsOf.all(row.date).map(r => ({
+      name: r.delegator,
+      base_reward: r.base_reward,
+      multiplier: r.multiplier,
+      adjusted_reward: r.adjusted_reward,
+      factors: JSON.parse(r.factors || '[]'),
+    })),
+  }));
+}
+
+// ─── Payout Sends ───────────────────────────────────────────────────
+
+function sendToRow(entry) {
+  return {
+    id: entry.id ?? null,
+    date: entry.date,
+    delegator: entry.delegator,
+    method: entry.method || 'sbi',
+    sent: entry.sent,
+    to_account: entry.to ?? null,
+    memo: entry.memo ?? null,
+    status: entry.status ?? null,
+    tx_id: entry.tx_id ?? null,
+    total_sent_before: entry.total_sent_before ?? null,
+    created_at: entry.created_at ?? null,
+    updated_at: entry.updated_at ?? null,
+    error: entry.error ?? null,
+    dry_run: entry.dry_run ? 1 : null,
+  };
+}
+
+/**
+ * Row → send log entry. Legacy rows (no status) keep their
+ * original { date, delegator, sent } shape.
+ */
+function rowToSend(row) {
+  const entry = { id: row.id, method: row.method, date: row.date, delegator: row.delegator, sent: row.sent };
+  if (row.status === null) return entry;
+
+  Object.assign(entry, {
+    to: row.to_account,
+    memo: row.memo,
+    status: row.status,
+    tx_id: row.tx_id,
+    total_sent_before: row.total_sent_before,
+    created_at: row.created_at,
+  });
+  if (row.dry_run) entry.dry_run = true;
+  if (row.updated_at !== null) entry.updated_at = row.updated_at;
+  if (row.error !== null) entry.error = row.error;
+  return entry;
+}
+
+/**
+ * Return payout sends in insertion order, optionally filtered by status
+ * and/or method. Each entry carries its ledger id and method.
+ */
+function loadSends(db, { status, method } = {}) {
+  const where = [];
+  const params = [];
+  if (status) { where.push('status = ?'); params.push(status); }
+  if (method) { where.push('method = ?'); params.push(method); }
+  const sql = `SELECT * FROM sbi_sends${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY id`;
+  return db.prepare(sql).all(...params).map(rowToSend);
+}
+
+/**
+ * Insert new sends (assigning entry.id) and update existing ones.
+ */
+function saveSends(db, entries) {
+  const insert = db.prepare(`
+    INSERT INTO sbi_sends (date, delegator, method, sent, to_account, memo, status, tx_id, total_sent_before, created_at, updated_at, error, dry_run)
+    VALUES (@date, @delegator, @method, @sent, @to_account, @memo, @status, @tx_id, @total_sent_before, @created_at, @updated_at, @error, @dry_run)
+  `);
+  const update = db.prepare(`
+    UPDATE sbi_sends SET
+      status = @status, tx_id = @tx_id, updated_at = @updated_at, error = @error
+    WHERE id = @id
+  `);
+
+  db.transaction(() => {
+    for (const entry of entries) {
+      const row = sendToRow(entry);
+      if (row.id === null) {
+        entry.id = Number(insert.run(row).lastInsertRowid);
+      } else {
+        update.run(row);
+      }
+    }
+  })();
+}
+
+// ─── Adjustments ────────────────────────────────────────────────────
+
+/**
+ * Append balance adjustments ({ date, delegator, amount, source, reason,
+ * operator }) to the journal. Entries are never updated or deleted; a
+ * mistake is undone by a new entry with the opposite amount.
+ */
+function saveAdjustments(db, entries) {
+  const insert = db.prepare(`
+    INSERT INTO adjustments (date, delegator, amount, source, reason, operator, created_at)
+    VALUES (@date, @delegator, @amount, @source, @reason, @operator, @created_at)
+  `);
+  const createdAt = new Date().toISOString();
+
+  db.transaction(() => {
+    for (const e of entries) {
+      insert.run({
+        date: e.date,
+        delegator: e.delegator,
+        amount: e.amount,
+        source: e.source,
+        reason: e.reason ?? null,
+        operator: e.operator ?? null,
+        created_at: e.created_at || createdAt,
+      });
+    }
+  })();
+}
+
+function loadAdjustments(db, { source } = {}) {
+  const rows = source
+    ? db.prepare('SELECT * FROM adjustments WHERE source = ? ORDER BY id').all(source)
+    : db.prepare('SELECT * FROM adjustments ORDER BY id').all();
+  return rows.map(({ id, ...entry }) => entry);
+}
+
+/**
+ * Journal adjustments and credit (or debit) them to the balances in one
+ * transaction. Returns the updated balances of the delegators touched.
+ */
+function applyAdjustments(db, entries, today = getTodayUTC()) {
+  const balances = loadBalances(db);
+  const touched = {};
+
+  db.transaction(() => {
+    saveAdjustments(db, entries);
+    for (const { delegator, amount } of entries) {
+      if (!balances[delegator]) balances[delegator] = { balance: 0, total_sent: 0, last_updated: today };
+      balances[delegator].balance = formatHIVE(balances[delegator].balance + amount);
+      balances[delegator].last_updated = today;
+      touched[delegator] = balances[delegator];
+    }
+    saveBalances(db, balances);
+  })();
+
+  return touched;
+}
+
+// ─── Preference Audit ───────────────────────────────────────────────
+
+/**
+ * True if an on-chain preference command (see commands.js) was already
+ * recorded, applied or rejected.
+ */
+function hasPreferenceCommand(db, { source, trx_id, op_index, signer }) {
+  return Boolean(db.prepare('SELECT 1 FROM preference_audit WHERE source = ? AND trx_id = ? AND op_index IS ? AND signer IS ?')
+    .get(source, trx_id, op_index ?? null, signer ?? null));
+}
+
+function savePreferenceAudit(db, records) {
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO preference_audit
+      (source, signer, trx_id, op_index, timestamp, raw, command, status, reason, before, after, recorded_at)
+    VALUES (@source, @signer, @trx_id, @op_index, @timestamp, @raw, @command, @status, @reason, @before, @after, @recorded_at)
+  `);
+  const recordedAt = new Date().toISOString();
+
+  db.transaction(() => {
+    for (const r of records) {
+      insert.run({
+        source: r.source,
+        signer: r.signer ?? null,
+        trx_id: r.trx_id,
+        op_index: r.op_index ?? null,
+        timestamp: r.timestamp,
+        raw: r.raw ?? null,
+        command: r.command ? JSON.stringify(r.command) : null,
+        status: r.status,
+        reason: r.reason ?? null,
+        before: r.before ? JSON.stringify(r.before) : null,
+        after: r.after ? JSON.stringify(r.after) : null,
+        recorded_at: r.recorded_at || recordedAt,
+      });
+    }
+  })();
+}
+
+/**
+ * Write preference_audit.json and command_scan.json on their own
+ * (preference commands are applied before the day's full export).
+ */
+function exportPreferenceCommands(db) {
+  saveJSON('preference_audit.json', loadPreferenceAudit(db));
+  saveJSON('command_scan.json', loadCommandCursors(db));
+  setMeta(db, 'export_hash', hashExport());
+}
+
+function loadPreferenceAudit(db) {
+  const parse = value => (value === null ? null : JSON.parse(value));
+  return db.prepare('SELECT * FROM preference_audit ORDER BY id').all().map(row => ({
+    timestamp: row.timestamp,
+    signer: row.signer,
+    source: row.source,
+    trx_id: row.trx_id,
+    op_index: row.op_index,
+    raw: row.raw,
+    command: parse(row.command),
+    status: row.status,
+    reason: row.reason,
+    before: parse(row.before),
+    after: parse(row.after),
+    recorded_at: row.recorded_at,
+  }));
+}
+
+// ─── Command Scan Cursors ───────────────────────────────────────────
+//
+// The last history index scanned for preference commands, per delegator.
+// Kept in the ledger (not sync.db) so workflow runs resume where the last
+// one stopped instead of rescanning each delegator's history.
+
+/**
+ * Return cursors as { account: last_index }.
+ */
+function loadCommandCursors(db) {
+  const cursors = {};
+  for (const row of db.prepare('SELECT * FROM command_scan ORDER BY account').all()) {
+    cursors[row.account] = row.last_index;
+  }
+  return cursors;
+}
+
+function saveCommandCursors(db, cursors) {
+  const upsert = db.prepare('INSERT OR REPLACE INTO command_scan (account, last_index) VALUES (?, ?)');
+  db.transaction(() => {
+    for (const [account, index] of Object.entries(cursors)) upsert.run(account, index);
+  })();
+}
+
+// ─── JSON Import / Export ───────────────────────────────────────────
+
+/**
+ * Hash of the exported files the ledger is rebuilt from, as on disk.
+ */
+function hashExport() {
+  const hash = crypto.createHash('sha256');
+  for (const file of IMPORT_FILES) {
+    const filePath = path.join(DATA_DIR, file);
+    hash.update(`${file}\0`);
+    if (fs.existsSync(filePath)) hash.update(fs.readFileSync(filePath));
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Empty every table and import the JSON files again (one transaction).
+ */
+function rebuildFromJSON(db) {
+  db.transaction(() => {
+    for (const table of TABLES) db.prepare(`DELETE FROM ${table}`).run();
+    importFromJSON(db);
+  })();
+}
+
+/**
+ * Fill a new ledger from the JSON files in DATA_DIR (one transaction).
+ */
+function importFromJSON(db) {
+  const balances = loadJSON('delegator_balances.json', {});
+  const meta = balances._meta || {};
+  delete balances._meta;
+
+  const payoutHistory = loadJSON('payout_history.json', []);
+  const accumulationLog = loadJSON('accumulation_log.json', []);
+  const preferenceAudit = loadJSON('preference_audit.json', []);
+  const commandCursors = loadJSON('command_scan.json', {});
+  const adjustments = loadJSON('adjustments.json', []);
+  const sends = [];
+  for (const [method, file] of Object.entries(SEND_LOG_FILES)) {
+    const entries = loadJSON(file, []);
+    if (Array.isArray(entries)) sends.push(...entries.map(({ id, ...entry }) => ({ ...entry, method })));
+  }
+
+  db.transaction(() => {
+    saveBalances(db, balances);
+    if (meta.last_accumulated_date) setMeta(db, 'last_accumulated_date', meta.last_accumulated_date);
+    if (Array.isArray(payoutHistory)) payoutHistory.forEach(p => savePayout(db, p));
+    if (Array.isArray(accumulationLog)) accumulationLog.forEach(a => saveAccumulation(db, a));
+    saveSends(db, sends);
+    if (Array.isArray(preferenceAudit)) savePreferenceAudit(db, preferenceAudit);
+    saveCommandCursors(db, commandCursors);
+    if (Array.isArray(adjustments)) saveAdjustments(db, adjustments);
+    setMeta(db, 'imported_at', new Date().toISOString());
+    setMeta(db, 'export_hash', hashExport());
+  })();
+
+  const imported = Object.keys(balances).length + payoutHistory.length + accumulationLog.length + sends.length;
+  if (imported > 0) {
+    log(`📥 Imported JSON data into ${path.basename(LEDGER_PATH)}: ${Object.keys(balances).length} balances, ${payoutHistory.length} payouts, ${accumulationLog.length} reward days, ${sends.length} payout sends`);
+  }
+}
+
+/**
+ * Write the dashboard JSON files from the ledger. delegator_balances.json
+ * keeps its "_meta" entry and send logs omit ledger ids and methods (one
+ * file per method), so the files look exactly as before the ledger existed.
+ */
+function exportJSON(db) {
+  const payouts = loadPayouts(db);
+  const lastAccumulatedDate = getMeta(db, 'last_accumulated_date');
+
+  const balances = {};
+  if (lastAccumulatedDate) balances._meta = { last_accumulated_date: lastAccumulatedDate };
+  Object.assign(balances, loadBalances(db));
+
+  saveJSON('delegator_balances.json', balances);
+  saveJSON('payout_history.json', payouts);
+  if (payouts.length > 0) saveJSON('payout_summary.json', payouts[payouts.length - 1]);
+  saveJSON('accumulation_log.json', loadAccumulations(db));
+  for (const [method, file] of Object.entries(SEND_LOG_FILES)) {
+    saveJSON(file, loadSends(db, { method }).map(({ id, method: _, ...entry }) => entry));
+  }
+  saveJSON('adjustments.json', loadAdjustments(db));
+  exportPreferenceCommands(db);
+
+  log(`📤 Exported ledger to JSON (${payouts.length} payouts, ${Object.keys(balances).length - (lastAccumulatedDate ? 1 : 0)} balances)`);
+
+  // The dashboard loads the pre-aggregated bundles, not the raw files
+  require('./bundles').exportBundles();
+}
+
+module.exports = {
+  LEDGER_PATH,
+  SEND_LOG_FILES,
+  openLedger,
+  closeLedger,
+  getMeta,
+  setMeta,
+  loadBalances,
+  saveBalances,
+  savePayout,
+  loadPayouts,
+  loadPayoutRatios,
+  countPayouts,
+  getLedgerSummary,
+  saveAccumulation,
+  loadAccumulations,
+  loadSends,
+  saveSends,
+  saveAdjustments,
+  loadAdjustments,
+  applyAdjustments,
+  hasPreferenceCommand,
+  savePreferenceAudit,
+  loadPreferenceAudit,
+  exportPreferenceCommands,
+  loadCommandCursors,
+  saveCommandCursors,
+  importFromJSON,
+  exportJSON,
+};
@@ -0,0 +1,155 @@
+/**
+ * multiplier.js
+ * Global multiplier schedules, shared by the scripts (require) and the
+ * dashboard (<script src="../scripts/multiplier.js"> → window.Multiplier).
+ *
+ * Schedules live under "multiplier.schedules" in config.json:
+ *
+ *   {
+ *     "effective_from": "2026-03-01",   // optional, YYYY-MM-DD (payout date)
+ *     "type": "linear",                 // or "step"
+ *     "points": [{ "hp": 10000, "multiplier": 3 }, ...]
+ *   }
+ *
+ * linear: interpolates between points, holding the first/last value
+ *         below/above the range.
+ * step:   each point's multiplier applies from its hp up to the next point;
+ *         below the first point the first multiplier applies.
+ *
+ * The schedule used for a payout date is the one with the latest
+ * effective_from on or before that date, so historical days can be
+ * recomputed with the schedule that was active at the time.
+ *
+ * Keep this file dependency-free: it runs unmodified in the browser.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Multiplier = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const SCHEDULE_TYPES = ['linear', 'step'];
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+  // < 10k HP → 3.0, then linearly 3 → 2 → 1 → 0.5 up to 40k HP.
+  const DEFAULT_SCHEDULES = [
+    {
+      type: 'linear',
+      points: [
+        { hp: 10000, multiplier: 3 },
+        { hp: 20000, multiplier: 2 },
+        { hp: 30000, multiplier: 1 },
+        { hp: 40000, multiplier: 0.5 },
+      ],
+    },
+  ];
+
+  /**
+   * Validate a schedules array. Throws with the offending path on error.
+   */
+  function validateSchedules(schedules) {
+    if (!Array.isArray(schedules) || schedules.length === 0) {
+      throw new Error('❌ config.json: "multiplier.schedules" must be a non-empty array');
+    }
+
+    const seenDates = new Set();
+
+    schedules.forEach((schedule, i) => {
+      const field = `multiplier.schedules[${i}]`;
+
+      if (!schedule || typeof schedule !== 'object') {
+        throw new Error(`❌ config.json: "${field}" must be an object`);
+      }
+      if (!SCHEDULE_TYPES.includes(schedule.type)) {
+        throw new Error(`❌ config.json: "${field}.type" must be one of ${SCHEDULE_TYPES.join(', ')}`);
+      }
+      if (schedule.effective_from !== undefined && !DATE_RE.test(schedule.effective_from)) {
+        throw new Error(`❌ config.json: "${field}.effective_from" must be YYYY-MM-DD`);
+      }
+
+      const key = schedule.effective_from || '';
+      if (seenDates.has(key)) {
+        throw new Error(`❌ config.json: "${field}.effective_from" duplicates another schedule`);
+      }
+      seenDates.add(key);
+
+      const points = schedule.points;
+      if (!Array.isArray(points) || points.length === 0) {
+        throw new Error(`❌ config.json: "${field}.points" must be a non-empty array`);
+      }
+
+      points.forEach((point, j) => {
+        const pField = `${field}.points[${j}]`;
+        if (!point || typeof point.hp !== 'number' || !Number.isFinite(point.hp) || point.hp < 0) {
+          throw new Error(`❌ config.json: "${pField}.hp" must be a number >= 0`);
+        }
+        if (typeof point.multiplier !== 'number' || !Number.isFinite(point.multiplier) || point.multiplier < 0) {
+          throw new Error(`❌ config.json: "${pField}.multiplier" must be a number >= 0`);
+        }
+        if (j > 0 && point.hp <= points[j - 1].hp) {
+          throw new Error(`❌ config.json: "${field}.points" must be sorted by strictly increasing hp`);
+        }
+      });
+    });
+
+    return schedules;
+  }
+
+  /**
+   * Pick the schedule in effect on a payout date (YYYY-MM-DD).
+   * Without a date, the most recent schedule is returned.
+   */
+  function resolveSchedule(schedules, date) {
+    const sorted = [...schedules].sort((a, b) =>
+      (a.effective_from || '').localeCompare(b.effective_from || ''));
+
+    if (!date) return sorted[sorted.length - 1];
+
+    let active = sorted[0];
+    for (const schedule of sorted) {
+      if (!schedule.effective_from || schedule.effective_from <= date) {
+        active = schedule;
+      }
+    }
+    return active;
+  }
+
+  function evaluateSchedule(schedule, totalHP) {
+    const points = schedule.points;
+
+    if (totalHP < points[0].hp) return points[0].multiplier;
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const from = points[i];
+      const to = points[i + 1];
+      if (totalHP < to.hp) {
+        if (schedule.type === 'step') return from.multiplier;
+        const t = (totalHP - from.hp) / (to.hp - from.hp);
+        return from.multiplier + (to.multiplier - from.multiplier) * t;
+      }
+    }
+
+    return points[points.length - 1].multiplier;
+  }
+
+  /**
+   * Global multiplier for a day's total delegation HP, using the schedule
+   * in effect on that date. Rounded to 3 decimals.
+   */
+  function getMultiplier(totalDelegationHP, date, schedules) {
+    const totalHP = Number(totalDelegationHP) || 0;
+    const list = Array.isArray(schedules) && schedules.length > 0 ? schedules : DEFAULT_SCHEDULES;
+    const m = evaluateSchedule(resolveSchedule(list, date), totalHP);
+    return parseFloat(m.toFixed(3));
+  }
+
+  return {
+    DEFAULT_SCHEDULES,
+    validateSchedules,
+    resolveSchedule,
+    evaluateSchedule,
+    getMultiplier,
+  };
+});
@@ -0,0 +1,267 @@
+/**
+ * recompute.js
+ * Rebuilds recorded payout days from delegation_history.json and the
+ * curation totals stored in the ledger, with the current eligibility,
+ * multiplier and bonus rule logic, and reports per delegator how each
+ * day's reward differs from what was actually credited.
+ *
+ * Each day uses the payout settings recorded with it (falling back to the
+ * current config), its own window, the snapshot cutoff of a run on the
+ * following day and the vesting ratio recorded with it. Days recorded
+ * before ratios were stored fall back to sync.db's snapshots, which are
+ * rebuilt on every sync and may not cover the day: such a report is only
+ * an estimate, and --apply refuses it. Days recorded before curation
+ * totals were stored cannot be rebuilt and are skipped.
+ *
+ * "Paid" is the reward credited when the day was accumulated plus any
+ * recompute corrections already applied to it. Days not accumulated yet
+ * are compared on base reward only; they get no corrections.
+ *
+ * Nothing is written unless --apply is given: then every difference on an
+ * accumulated day, rounded to 3 decimals like balances, is appended to the ledger's adjustments journal (source
+ * "recompute") and added to the delegator's balance. A later run counts
+ * those corrections as paid, so applying twice changes nothing. A
+ * correction can take a balance below zero; it is then recovered from
+ * future rewards.
+ *
+ * Usage: node scripts/recompute.js FROM [TO] [--apply]   (YYYY-MM-DD)
+ */
+
+const { EXIT_CODES, loadJSON, addDays, getWindowBoundary, getMultiplier, formatHIVE, log } = require('./utils');
+const { getPayoutConfig, getBonusRules } = require('./config');
+const { getPayoutWindowEnd, applyRules } = require('./rules');
+const {
+  initSyncDB,
+  createRatioLookup,
+  getSnapshotCutoff,
+  buildPayoutEntry,
+} = require('./fetch_real_delegators');
+const ledger = require('./ledger');
+
+const ADJUSTMENT_SOURCE = 'recompute';
+
+/**
+ * Rebuild the payout entry of a recorded day. Returns
+ * { date, recorded, recomputed, matches } where matches compares base
+ * rewards.
+ */
+function recomputeDay(recorded, delegationHistory, ratioAt) {
+  const payoutConfig = recorded.payout_config || getPayoutConfig();
+  const day = {
+    date: recorded.date,
+    hive: recorded.total_curation_hive,
+    windowStart: getWindowBoundary(recorded.date, payoutConfig),
+    windowEnd: getWindowBoundary(addDays(recorded.date, 1), payoutConfig),
+  };
+  const cutoff = getSnapshotCutoff(addDays(recorded.date, 1), payoutConfig);
+
+  const recomputed = buildPayoutEntry(day, delegationHistory, payoutConfig, ratioAt, cutoff);
+  const rewards = entry => Object.fromEntries((entry ? entry.delegators : []).map(d => [d.name, formatHIVE(d.base_reward, 6)]));
+  const matches = JSON.stringify(rewards(recorded)) === JSON.stringify(rewards(recomputed));
+
+  return { date: recorded.date, recorded, recomputed, matches };
+}
+
+/**
+ * Credited reward per delegator for a rebuilt entry, with the day's
+ * multiplier and the bonus rules applied as the accumulator would.
+ */
+function creditRewards(entry, rules, delegationHistory) {
+  if (!entry) return {};
+  const globalMultiplier = getMultiplier(entry.total_delegation_hp, entry.date);
+  const windowEnd = getPayoutWindowEnd(entry, getPayoutConfig());
+
+  return Object.fromEntries(entry.delegators.map(delegator => {
+    const { adjusted_reward: adjustedReward } = applyRules(rules, {
+      delegator,
+      windowEnd,
+      globalMultiplier,
+      delegationHistory,
+    });
+    return [delegator.name, adjustedReward];
+  }));
+}
+
+/**
+ * Per-delegator differences for one day. paid is { name: amount } or null
+ * when the day was not accumulated. Only delegators whose base reward or
+ * credited reward changed are listed.
+ */
+function diffDay({ recorded, recomputed }, paid, credited) {
+  const baseOf = entry => Object.fromEntries((entry ? entry.delegators : []).map(d => [d.name, d.base_reward]));
+  const recordedBase = baseOf(recorded);
+  const recomputedBase = baseOf(recomputed);
+  const names = [...new Set([...Object.keys(recordedBase), ...Object.keys(recomputedBase), ...Object.keys(paid || {})])].sort();
+
+  const delegators = [];
+  for (const name of names) {
+    const row = {
+      name,
+      recorded_base: recordedBase[name] || 0,
+      recomputed_base: recomputedBase[name] || 0,
+      paid: paid ? formatHIVE(paid[name] || 0, 6) : null,
+      recomputed: formatHIVE(credited[name] || 0, 6),
+      diff: 0,
+    };
+    if (paid) row.diff = formatHIVE(row.recomputed - row.paid);
+    if (row.diff !== 0 || formatHIVE(row.recorded_base - row.recomputed_base, 6) !== 0) delegators.push(row);
+  }
+  return delegators;
+}
+
+/**
+ * Recompute every recorded payout day from `from` to `to` (inclusive).
+ * Returns { from, to, days, skipped, totals, corrections, applied, matches }.
+ */
+async function recompute({ from, to = from, apply = false }) {
+  const db = ledger.openLedger();
+  const recordedDays = ledger.loadPayouts(db, { from, to });
+  if (recordedDays.length === 0) throw new Error(`❌ No payout recorded from ${from} to ${to}`);
+
+  // Days recorded without a ratio only have sync.db's snapshots to go on
+  const unrecorded = recordedDays.filter(d => typeof d.total_curation_hive === 'number' && typeof d.hive_per_vest !== 'number');
+  let syncRatioAt = null;
+  if (unrecorded.length > 0) {
+    const dates = unrecorded.map(d => d.date).join(', ');
+    if (apply) {
+      throw new Error(`❌ No vesting ratio recorded for ${dates}: corrections cannot be applied (run without --apply for an estimate from sync.db)`);
+    }
+    log(`⚠️ No vesting ratio recorded for ${dates}: using sync.db's snapshots, the report is an estimate`);
+    const syncDb = initSyncDB();
+    try {
+      syncRatioAt = createRatioLookup(syncDb, ledger.loadPayoutRatios(db));
+    } finally {
+      syncDb.close();
+    }
+  }
+
+  const delegationHistory = loadJSON('delegation_history.json', {});
+  const rules = getBonusRules();
+  const accumulated = new Map(ledger.loadAccumulations(db, { from, to }).map(a => [a.date, a]));
+  const corrected = {};
+  for (const a of ledger.loadAdjustments(db, { source: ADJUSTMENT_SOURCE })) {
+    corrected[a.date] = corrected[a.date] || {};
+    corrected[a.date][a.delegator] = (corrected[a.date][a.delegator] || 0) + a.amount;
+  }
+
+  const days = [];
+  const skipped = [];
+  for (const recorded of recordedDays) {
+    if (typeof recorded.total_curation_hive !== 'number') {
+      skipped.push({ date: recorded.date, reason: 'no stored curation total' });
+      continue;
+    }
+
+    const ratioAt = typeof recorded.hive_per_vest === 'number' ? () => recorded.hive_per_vest : syncRatioAt;
+    const day = recomputeDay(recorded, delegationHistory, ratioAt);
+    const accumulation = accumulated.get(recorded.date);
+    let paid = null;
+    if (accumulation) {
+      paid = Object.fromEntries(accumulation.delegators.map(r => [r.name, r.adjusted_reward]));
+      for (const [name, amount] of Object.entries(corrected[recorded.date] || {})) {
+        paid[name] = (paid[name] || 0) + amount;
+      }
+    }
+
+    const delegators = diffDay(day, paid, creditRewards(day.recomputed, rules, delegationHistory));
+    days.push({
+      date: recorded.date,
+      accumulated: Boolean(accumulation),
+      matches: day.matches && delegators.every(d => d.diff === 0),
+      recomputed: day.recomputed,
+      delegators,
+    });
+  }
+
+  const totals = {};
+  const corrections = [];
+  for (const day of days) {
+    for (const d of day.delegators) {
+      if (d.diff === 0) continue;
+      totals[d.name] = formatHIVE((totals[d.name] || 0) + d.diff);
+      corrections.push({
+        date: day.date,
+        delegator: d.name,
+        amount: d.diff,
+        source: ADJUSTMENT_SOURCE,
+        reason: `recompute of ${day.date}: paid ${d.paid}, recomputed ${d.recomputed}`,
+        operator: null,
+      });
+    }
+  }
+
+  printReport(days, skipped, totals);
+
+  if (apply && corrections.length > 0) {
+    applyCorrections(db, corrections);
+  }
+
+  return {
+    from,
+    to,
+    days,
+    skipped,
+    totals,
+    corrections,
+    applied: apply && corrections.length > 0,
+    matches: days.every(d => d.matches),
+  };
+}
+
+/**
+ * Append corrections to the adjustments journal and credit them to the
+ * balances, then export the ledger.
+ */
+function applyCorrections(db, corrections) {
+  ledger.applyAdjustments(db, corrections);
+  ledger.exportJSON(db);
+  log(`✅ Applied ${corrections.length} correction(s) to delegator balances`);
+}
+
+function printReport(days, skipped, totals) {
+  log(`\n${'═'.repeat(60)}`);
+  log('🔁 RECOMPUTE REPORT');
+  log(`${'═'.repeat(60)}`);
+
+  for (const { date, reason } of skipped) log(`⏭️ ${date}: skipped (${reason})`);
+  for (const day of days) {
+    if (day.matches) {
+      log(`✅ ${day.date}: matches`);
+      continue;
+    }
+    log(`⚠️ ${day.date}: ${day.delegators.length} delegator(s) differ${day.accumulated ? '' : ' (not accumulated yet, base rewards only)'}`);
+    for (const d of day.delegators) {
+      const credited = d.paid === null ? '' : ` | paid ${d.paid} → ${d.recomputed} (${d.diff >= 0 ? '+' : ''}${d.diff})`;
+      log(`  @${d.name}: base ${d.recorded_base} → ${d.recomputed_base}${credited}`);
+    }
+  }
+
+  const names = Object.keys(totals).sort();
+  if (names.length > 0) {
+    log('\n📋 Net correction per delegator:');
+    for (const name of names) log(`  @${name}: ${totals[name] >= 0 ? '+' : ''}${totals[name]} HIVE`);
+  }
+  log('─'.repeat(60));
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const apply = args.includes('--apply');
+  const [from, to = from] = args.filter(a => a !== '--apply');
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+  if (!isDate(from) || !isDate(to) || to < from) {
+    console.error('Usage: node scripts/recompute.js FROM [TO] [--apply]   (YYYY-MM-DD)');
+    process.exitCode = EXIT_CODES.USAGE;
+  } else {
+    recompute({ from, to, apply })
+      .catch((err) => {
+        console.error('❌ Recompute failed:', err);
+        process.exitCode = EXIT_CODES.FAILURE;
+      })
+      .finally(() => ledger.closeLedger());
+  }
+}
+
+module.exports = { ADJUSTMENT_SOURCE, recompute, recomputeDay, creditRewards, diffDay };
@@ -0,0 +1,185 @@
+/**
+ * reconcile.js
+ * Checks every SBI send recorded in the ledger (sbi_log.json) against the
+ * real transfers from HIVE_USER to the SBI account.
+ *
+ * Outgoing transfers come from the account history sync in
+ * fetch_real_delegators.js (stored in sync.db), which is brought up to
+ * date first unless --no-sync is given. Sends are matched by memo and
+ * amount: sends with a tx_id must match a transfer in that transaction,
+ * legacy sends (no tx_id) a transfer within a day of their date. Legacy
+ * sends have no memo recorded, so the memo is derived from the current
+ * "sbi" settings (see config.js).
+ *
+ * The report lists:
+ *   missing   logged sends with no matching transfer
+ *   extra     transfers to the SBI account no send accounts for
+ *   mismatch  logged sends whose transfer has a different amount
+ *
+ * Exit code (EXIT_CODES in utils.js): 0 when everything matches, 3 on
+ * drift, 1 if the check could not run.
+ */
+
+const { EXIT_CODES, formatHIVE, log } = require('./utils');
+const { getSBIConfig, getDelegatorSBISettings } = require('./config');
+const { initSyncDB, syncTransfers, loadTransfers } = require('./fetch_real_delegators');
+const ledger = require('./ledger');
+const client = require('./hive_client');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+function dayStart(date) {
+  return new Date(`${date}T00:00:00Z`).getTime();
+}
+
+/**
+ * True for sends that should exist on chain: confirmed sends and legacy
+ * entries without a status. Dry-run, pending and failed sends are not.
+ */
+function isOnChainSend(entry) {
+  return !entry.dry_run && (!entry.status || entry.status === 'confirmed');
+}
+
+/**
+ * Match logged sends to transfers. Returns
+ * { matched, missing, extra, mismatches, pending } where missing holds
+ * sends, extra holds transfers and mismatches holds { send, transfer }.
+ */
+function reconcileSends(sends, transfers, settings) {
+  const expected = sends.filter(isOnChainSend).map(send => ({
+    send,
+    to: send.to || settings.account,
+    memo: send.memo || getDelegatorSBISettings(settings, send.delegator).memo,
+  }));
+
+  const sbiAccounts = new Set([settings.account, ...expected.map(e => e.to)]);
+  const candidates = transfers.filter(t => sbiAccounts.has(t.to) && t.symbol === 'HIVE');
+  const claimed = new Set();
+
+  const result = { matched: 0, missing: [], extra: [], mismatches: [], pending: [] };
+
+  const claim = (e, pool) => {
+    const unclaimed = pool.filter(t => !claimed.has(t.op_index) && t.to === e.to && t.memo === e.memo);
+    const exact = unclaimed.find(t => formatHIVE(t.amount) === formatHIVE(e.send.sent));
+    const transfer = exact || unclaimed[0];
+
+    if (!transfer) {
+      result.missing.push(e.send);
+    } else if (exact) {
+      claimed.add(transfer.op_index);
+      result.matched++;
+    } else {
+      claimed.add(transfer.op_index);
+      result.mismatches.push({ send: e.send, transfer });
+    }
+  };
+
+  // Sends with a tx_id first, so legacy matching cannot take their transfers.
+  for (const e of expected.filter(x => x.send.tx_id)) {
+    claim(e, candidates.filter(t => t.trx_id === e.send.tx_id));
+  }
+
+  for (const e of expected.filter(x => !x.send.tx_id)) {
+    const from = dayStart(e.send.date) - ONE_DAY;
+    const to = dayStart(e.send.date) + 2 * ONE_DAY;
+    const target = dayStart(e.send.date) + ONE_DAY / 2;
+    const pool = candidates
+      .filter(t => t.timestamp >= from && t.timestamp < to)
+      .sort((a, b) => Math.abs(a.timestamp - target) - Math.abs(b.timestamp - target));
+    claim(e, pool);
+  }
+
+  // Transfers before the first logged send predate the ledger.
+  const firstDate = expected.reduce((min, e) => (min === null || e.send.date < min ? e.send.date : min), null);
+  const since = firstDate ? dayStart(firstDate) - ONE_DAY : Infinity;
+  result.extra = candidates.filter(t => !claimed.has(t.op_index) && t.timestamp >= since);
+  result.pending = sends.filter(s => s.status === 'pending' && !s.dry_run);
+
+  return result;
+}
+
+function hasDrift(result) {
+  return result.missing.length > 0 || result.extra.length > 0 || result.mismatches.length > 0;
+}
+
+function printReport(result, totalSends) {
+  log(`\n${'═'.repeat(60)}`);
+  log('🔎 SBI RECONCILIATION REPORT');
+  log(`${'═'.repeat(60)}`);
+  log(`✅ Matched: ${result.matched}/${totalSends} logged send(s)`);
+
+  if (result.missing.length > 0) {
+    log(`\n❌ Missing on chain (${result.missing.length}):`);
+    for (const s of result.missing) {
+      log(`  ${s.date} @${s.delegator}: ${s.sent} HIVE${s.tx_id ? ` (tx ${s.tx_id})` : ''}`);
+    }
+  }
+
+  if (result.extra.length > 0) {
+    log(`\n❌ Extra transfers not in the log (${result.extra.length}):`);
+    for (const t of result.extra) {
+      log(`  ${new Date(t.timestamp).toISOString()} → @${t.to}: ${t.amount} ${t.symbol} "${t.memo}" (tx ${t.trx_id})`);
+    }
+  }
+
+  if (result.mismatches.length > 0) {
+    log(`\n❌ Amount mismatches (${result.mismatches.length}):`);
+    for (const { send, transfer } of result.mismatches) {
+      log(`  ${send.date} @${send.delegator}: logged ${send.sent} HIVE, on chain ${transfer.amount} HIVE (tx ${transfer.trx_id})`);
+    }
+  }
+
+  if (result.pending.length > 0) {
+    log(`\n⏳ Pending sends not yet resolved (${result.pending.length}), checked on the next payout run`);
+  }
+
+  log('─'.repeat(60));
+  log(hasDrift(result) ? '🚨 Drift detected between sbi_log and on-chain history.' : '🎉 sbi_log matches on-chain history.');
+}
+
+/**
+ * Bring transfers up to date (unless sync is false), reconcile and print
+ * the report. Returns the reconcileSends result with the number of
+ * on-chain sends checked (checked) and drift (true/false).
+ */
+async function reconcile({ sync = true } = {}) {
+  let db;
+
+  try {
+    const settings = getSBIConfig();
+    db = initSyncDB();
+
+    if (!sync) {
+      log('ℹ️ --no-sync: using transfers already stored in sync.db');
+    } else {
+      await client.selectNode();
+      await syncTransfers(db);
+    }
+
+    const transfers = loadTransfers(db);
+    const sends = ledger.loadSends(ledger.openLedger(), { method: 'sbi' });
+    log(`📋 ${sends.length} logged send(s), ${transfers.length} outgoing transfer(s) stored`);
+
+    const result = reconcileSends(sends, transfers, settings);
+    const checked = sends.filter(isOnChainSend).length;
+    printReport(result, checked);
+    return { ...result, checked, drift: hasDrift(result) };
+  } finally {
+    if (db) db.close();
+    ledger.closeLedger();
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  reconcile({ sync: !process.argv.includes('--no-sync') })
+    .then((result) => {
+      process.exitCode = result.drift ? EXIT_CODES.DRIFT : EXIT_CODES.OK;
+    })
+    .catch((err) => {
+      console.error('❌ Reconciliation failed:', err);
+      process.exitCode = EXIT_CODES.FAILURE;
+    });
+}
+
+module.exports = { reconcile, reconcileSends, hasDrift };
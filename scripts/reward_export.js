@@ -0,0 +1,157 @@
+/**
+ * reward_export.js
+ * Reward and payout records for download (CSV / JSON), one row per step
+ * a delegator's HIVE goes through. Shared by the dashboard's export
+ * buttons (<script src="../scripts/reward_export.js"> → window.RewardExport,
+ * after delegator_history.js) and `hive-rewarder export` (export_rewards.js).
+ *
+ * Rows are built from a DelegatorHistory timeline, per day in order:
+ *   reward      base reward × multiplier = reward (status credited,
+ *               estimated when not accumulated with a breakdown, or
+ *               pending when not accumulated yet)
+ *   adjustment  manual or recompute balance correction
+ *   send        payout (SBI, HIVE or HP) with its status and tx_id
+ * balance_hive is the delegator's balance after the row, so the last row
+ * of a day matches the timeline's end-of-day balance. Pending rewards
+ * and pending or failed sends do not change it.
+ *
+ * Depends only on delegator_history.js: it runs unmodified in the browser.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./delegator_history'));
+  } else {
+    root.RewardExport = factory(root.DelegatorHistory);
+  }
+}(typeof self !== 'undefined' ? self : this, function (DelegatorHistory) {
+  'use strict';
+
+  const COLUMNS = [
+    'date', 'delegator', 'type', 'delegated_hp', 'base_reward_hive', 'multiplier', 'reward_hive',
+    'adjustment_hive', 'sent_hive', 'balance_hive', 'method', 'status', 'tx_id', 'note',
+  ];
+
+  const { round, isDeducted } = DelegatorHistory;
+
+  function row(fields) {
+    const result = {};
+    for (const column of COLUMNS) result[column] = fields[column] ?? null;
+    return result;
+  }
+
+  /**
+   * Rows for one delegator's timeline (DelegatorHistory.buildTimeline),
+   * oldest first, limited to { from, to } (YYYY-MM-DD, inclusive).
+   */
+  function buildRows(name, timeline, { from = null, to = null } = {}) {
+    const rows = [];
+
+    for (const day of timeline) {
+      if ((from && day.date < from) || (to && day.date > to)) continue;
+      let balance = day.balance - DelegatorHistory.dayChange(day);
+      const base = { date: day.date, delegator: name };
+
+      if (day.hp !== null || day.base_reward > 0) {
+        if (!day.pending) balance += day.reward;
+        rows.push(row({
+          ...base,
+          type: 'reward',
+          delegated_hp: day.hp,
+          base_reward_hive: day.base_reward,
+          multiplier: day.multiplier,
+          reward_hive: day.reward,
+          balance_hive: round(balance),
+          status: day.pending ? 'pending' : day.estimated ? 'estimated' : 'credited',
+          note: day.pending ? 'not accumulated yet' : day.estimated ? 'base reward × global multiplier' : null,
+        }));
+      }
+
+      for (const a of day.adjustments) {
+        balance += a.amount;
+        const by = a.source === 'recompute' ? 'recompute' : `@${a.operator || 'unknown'}`;
+        rows.push(row({ ...base, type: 'adjustment', adjustment_hive: a.amount, balance_hive: round(balance), note: `${a.reason || ''} (by ${by})` }));
+      }
+
+      for (const s of day.sends) {
+        if (isDeducted(s)) balance -= s.sent;
+        rows.push(row({
+          ...base,
+          type: 'send',
+          sent_hive: s.sent,
+          balance_hive: round(balance),
+          method: s.method || 'sbi',
+          status: s.status || 'confirmed',
+          tx_id: s.tx_id,
+          note: s.status === 'failed' ? s.error : s.dry_run ? 'dry run' : null,
+        }));
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Totals over rows: credited rewards (pending ones excluded), deducted
+   * sends and adjustments, in HIVE.
+   */
+  function summarize(rows) {
+    let base = 0;
+    let reward = 0;
+    let pending = 0;
+    let adjusted = 0;
+    let sent = 0;
+    for (const r of rows) {
+      if (r.type === 'reward') {
+        base += r.base_reward_hive;
+        if (r.status === 'pending') pending += r.reward_hive;
+        else reward += r.reward_hive;
+      } else if (r.type === 'adjustment') {
+        adjusted += r.adjustment_hive;
+      } else if (r.status === 'confirmed') {
+        sent += r.sent_hive;
+      }
+    }
+
+    return {
+      rows: rows.length,
+      base_reward_hive: parseFloat(base.toFixed(6)),
+      reward_hive: round(reward),
+      pending_reward_hive: round(pending),
+      adjustment_hive: round(adjusted),
+      sent_hive: round(sent),
+    };
+  }
+
+  function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Text starting like a formula is opened as text by spreadsheets
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * CSV with a COLUMNS header row.
+   */
+  function toCSV(rows) {
+    const lines = [COLUMNS.join(',')];
+    for (const r of rows) lines.push(COLUMNS.map(column => csvValue(r[column])).join(','));
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * JSON document: { delegator, from, to, totals, rows }.
+   */
+  function toJSON(rows, { delegator = null, from = null, to = null } = {}) {
+    return `${JSON.stringify({ delegator, from, to, totals: summarize(rows), rows }, null, 2)}\n`;
+  }
+
+  return {
+    COLUMNS,
+    buildRows,
+    summarize,
+    toCSV,
+    toJSON,
+  };
+}));
@@ -0,0 +1,177 @@
+/**
+ * rules.js
+ * Per-delegator bonus rules layered on top of the global multiplier.
+ *
+ * Rules live under "bonus_rules" in config.json and are applied in order:
+ *
+ *   { "type": "tenure", "tiers": [{ "min_days": 90, "factor": 1.1 }, ...] }
+ *       Multiplies by the factor of the highest tier reached. Tenure is the
+ *       number of days the delegator has been delegating without dropping
+ *       to zero, as of the end of the payout day's window (from
+ *       delegation_history.json).
+ *
+ *   { "type": "min_hp", "hp": 50 }
+ *       Delegations below this HP earn nothing (factor 0).
+ *
+ *   { "type": "cap", "max_multiplier": 4 }
+ *   { "type": "cap", "max_reward": 2.5 }
+ *       Clamp the effective multiplier and/or the adjusted daily reward.
+ *
+ * Every factor that changed a reward is returned so it can be recorded
+ * per payout day and explained on the dashboard.
+ */
+
+const { addDays, getWindowBoundary, formatHIVE } = require('./utils');
+
+const RULE_TYPES = ['tenure', 'min_hp', 'cap'];
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate a bonus_rules array. Throws with the offending path on error.
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('❌ config.json: "bonus_rules" must be an array');
+  }
+
+  rules.forEach((rule, i) => {
+    const field = `bonus_rules[${i}]`;
+
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      throw new Error(`❌ config.json: "${field}.type" must be one of ${RULE_TYPES.join(', ')}`);
+    }
+
+    if (rule.type === 'tenure') {
+      if (!Array.isArray(rule.tiers) || rule.tiers.length === 0) {
+        throw new Error(`❌ config.json: "${field}.tiers" must be a non-empty array`);
+      }
+      rule.tiers.forEach((tier, j) => {
+        if (!tier || !isNonNegativeNumber(tier.min_days) || !isNonNegativeNumber(tier.factor)) {
+          throw new Error(`❌ config.json: "${field}.tiers[${j}]" needs numeric "min_days" and "factor" >= 0`);
+        }
+      });
+    }
+
+    if (rule.type === 'min_hp' && !isNonNegativeNumber(rule.hp)) {
+      throw new Error(`❌ config.json: "${field}.hp" must be a number >= 0`);
+    }
+
+    if (rule.type === 'cap') {
+      if (rule.max_multiplier === undefined && rule.max_reward === undefined) {
+        throw new Error(`❌ config.json: "${field}" needs "max_multiplier" and/or "max_reward"`);
+      }
+      if (rule.max_multiplier !== undefined && !isNonNegativeNumber(rule.max_multiplier)) {
+        throw new Error(`❌ config.json: "${field}.max_multiplier" must be a number >= 0`);
+      }
+      if (rule.max_reward !== undefined && !isNonNegativeNumber(rule.max_reward)) {
+        throw new Error(`❌ config.json: "${field}.max_reward" must be a number >= 0`);
+      }
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Timestamp at which the delegator's current uninterrupted delegation
+ * started, as of `asOf` (ms). Returns null if not delegating at that time.
+ */
+function getDelegationStart(events, asOf) {
+  const sorted = [...(events || [])].sort((a, b) => a.timestamp - b.timestamp);
+  let start = null;
+
+  for (const event of sorted) {
+    if (event.timestamp > asOf) break;
+    if (event.totalVests > 0) {
+      if (start === null) start = event.timestamp;
+    } else {
+      start = null;
+    }
+  }
+
+  return start;
+}
+
+/**
+ * End of a payout day's window (ms): its recorded window_end, else the next
+ * window boundary in the payout_config it was recorded with (payoutConfig
+ * for days recorded before either was stamped).
+ */
+function getPayoutWindowEnd(payout, payoutConfig) {
+  if (payout.window_end) return Date.parse(payout.window_end);
+  return getWindowBoundary(addDays(payout.date, 1), payout.payout_config || payoutConfig);
+}
+
+/**
+ * Whole days of uninterrupted delegation as of `asOf` (ms), the end of
+ * the payout day's window.
+ */
+function getTenureDays(events, asOf) {
+  const start = getDelegationStart(events, asOf);
+  if (start === null) return 0;
+  return Math.floor((asOf - start) / ONE_DAY);
+}
+
+/**
+ * Apply the rules to one delegator's reward for a payout day whose window
+ * ends at windowEnd (ms, see getPayoutWindowEnd).
+ *
+ * Returns { multiplier, adjusted_reward, factors } where multiplier is the
+ * effective multiplier after all rules and factors lists every rule that
+ * changed it as { rule, factor, detail }.
+ */
+function applyRules(rules, { delegator, windowEnd, globalMultiplier, delegationHistory }) {
+  const { name, hp, base_reward } = delegator;
+  const factors = [];
+  let multiplier = globalMultiplier;
+  let maxReward = Infinity;
+
+  for (const rule of rules) {
+    if (rule.type === 'tenure') {
+      const days = getTenureDays(delegationHistory[name], windowEnd);
+      const reached = rule.tiers
+        .filter(tier => days >= tier.min_days)
+        .sort((a, b) => b.min_days - a.min_days)[0];
+      if (reached && reached.factor !== 1) {
+        multiplier *= reached.factor;
+        factors.push({ rule: 'tenure', factor: reached.factor, detail: `${days} days delegated (≥ ${reached.min_days})` });
+      }
+    }
+
+    if (rule.type === 'min_hp' && (hp || 0) < rule.hp) {
+      multiplier = 0;
+      factors.push({ rule: 'min_hp', factor: 0, detail: `${hp || 0} HP < ${rule.hp} HP minimum` });
+    }
+
+    if (rule.type === 'cap') {
+      if (rule.max_multiplier !== undefined && multiplier > rule.max_multiplier) {
+        factors.push({ rule: 'cap', factor: parseFloat((rule.max_multiplier / multiplier).toFixed(4)), detail: `multiplier capped at x${rule.max_multiplier}` });
+        multiplier = rule.max_multiplier;
+      }
+      if (rule.max_reward !== undefined) {
+        maxReward = Math.min(maxReward, rule.max_reward);
+      }
+    }
+  }
+
+  multiplier = parseFloat(multiplier.toFixed(3));
+  let adjustedReward = formatHIVE(base_reward * multiplier);
+
+  if (adjustedReward > maxReward) {
+    factors.push({ rule: 'cap', factor: parseFloat((maxReward / adjustedReward).toFixed(4)), detail: `reward capped at ${maxReward} HIVE` });
+    adjustedReward = formatHIVE(maxReward);
+  }
+
+  return { multiplier, adjusted_reward: adjustedReward, factors };
+}
+
+module.exports = {
+  validateRules,
+  getPayoutWindowEnd,
+  getTenureDays,
+  applyRules,
+};
@@ -0,0 +1,202 @@
+/**
+ * run_accounts.js
+ * Runs the daily pipeline (fetch_real_delegators.js → accumulator.js) for
+ * every curation account listed in data/accounts.json.
+ *
+ * Each account has its own data directory (balances, sync.db, payout
+ * history, config.json with its multiplier schedule and SBI settings) and
+ * its own signing key, read from the environment variable named by
+ * key_env. Keys are never stored in the repository.
+ *
+ * Every account runs in a separate child process with HIVE_USER, DATA_DIR
+ * and HIVE_KEY set, so one account's failure does not stop the others.
+ * Set ACCOUNTS=name1,name2 to run a subset.
+ *
+ * With COMMIT_DATA=true (the daily workflow) each account's data directory
+ * is committed to git as soon as its run ends. ledger.db is not kept
+ * between workflow runs, so an account whose accumulator.js failed is
+ * exported and committed too: its payouts may have started, and sends
+ * that went out must reach the committed JSON or the next run pays them
+ * again. An account whose fetch failed has sent nothing and is not
+ * committed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ROOT_DATA_DIR, log } = require('./utils');
+
+const ACCOUNTS_FILE = path.join(ROOT_DATA_DIR, 'accounts.json');
+const ACCOUNT_NAME_RE = /^[a-z][a-z0-9.-]{2,15}$/;
+
+const PIPELINE = ['fetch_real_delegators.js', 'accumulator.js'];
+
+// Pipeline scripts that may broadcast payouts
+const PAYOUT_SCRIPTS = ['accumulator.js'];
+
+/**
+ * Load and validate data/accounts.json:
+ *   { "accounts": [{ "name", "data_dir", "key_env" }] }
+ * data_dir is relative to data/ ("." is data/ itself). Without the file,
+ * a single account from HIVE_USER (default bayanihive) in data/ is used.
+ */
+function loadAccounts() {
+  if (!fs.existsSync(ACCOUNTS_FILE)) {
+    return [{
+      name: process.env.HIVE_USER || 'bayanihive',
+      data_dir: '.',
+      key_env: 'HIVE_KEY',
+      dataDir: ROOT_DATA_DIR,
+    }];
+  }
+
+  const registry = JSON.parse(fs.readFileSync(ACCOUNTS_FILE, 'utf-8').replace(/^\uFEFF/, ''));
+  const accounts = registry && registry.accounts;
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    throw new Error('❌ accounts.json: "accounts" must be a non-empty array');
+  }
+
+  const seenNames = new Set();
+  const seenDirs = new Set();
+
+  return accounts.map((account, i) => {
+    const field = `accounts[${i}]`;
+    if (!account || typeof account.name !== 'string' || !ACCOUNT_NAME_RE.test(account.name)) {
+      throw new Error(`❌ accounts.json: "${field}.name" must be a valid Hive account name`);
+    }
+    if (typeof account.data_dir !== 'string' || account.data_dir === '') {
+      throw new Error(`❌ accounts.json: "${field}.data_dir" must be a directory relative to data/`);
+    }
+    if (typeof account.key_env !== 'string' || !/^[A-Z_][A-Z0-9_]*$/.test(account.key_env)) {
+      throw new Error(`❌ accounts.json: "${field}.key_env" must be an environment variable name`);
+    }
+
+    const dataDir = path.resolve(ROOT_DATA_DIR, account.data_dir);
+    // Not a prefix check: "data-other" starts with "data" but is outside it
+    const relative = path.relative(ROOT_DATA_DIR, dataDir);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      throw new Error(`❌ accounts.json: "${field}.data_dir" must stay inside data/`);
+    }
+    if (seenNames.has(account.name)) {
+      throw new Error(`❌ accounts.json: duplicate account "${account.name}"`);
+    }
+    if (seenDirs.has(dataDir)) {
+      throw new Error(`❌ accounts.json: "${field}.data_dir" is shared with another account`);
+    }
+    seenNames.add(account.name);
+    seenDirs.add(dataDir);
+
+    return { ...account, dataDir };
+  });
+}
+
+/**
+ * Environment for an account's child processes.
+ */
+function getAccountEnv(account) {
+  return {
+    ...process.env,
+    HIVE_USER: account.name,
+    DATA_DIR: account.dataDir,
+    HIVE_KEY: process.env[account.key_env] || '',
+  };
+}
+
+function runScript(script, env) {
+  return spawnSync(process.execPath, [path.join(__dirname, script)], { env, stdio: 'inherit' });
+}
+
+function git(args) {
+  const result = spawnSync('git', args, { cwd: path.join(ROOT_DATA_DIR, '..'), stdio: 'inherit' });
+  if (result.status !== 0) throw new Error(`❌ git ${args[0]} failed (exit code ${result.status})`);
+  return result;
+}
+
+/**
+ * Commit an account's data directory on its own (other accounts' data
+ * directories inside it are left out). Does nothing when unchanged.
+ */
+function commitAccountData(account, accounts, message) {
+  const nested = accounts
+    .filter(other => other !== account)
+    .map(other => path.relative(account.dataDir, other.dataDir))
+    .filter(relative => relative && !relative.startsWith('..') && !path.isAbsolute(relative))
+    .map(relative => `:(exclude)${path.join(account.dataDir, relative)}`);
+
+  git(['add', '--', account.dataDir, ...nested]);
+  const staged = spawnSync('git', ['diff', '--cached', '--quiet'], { cwd: path.join(ROOT_DATA_DIR, '..') });
+  if (staged.status === 0) {
+    log(`📭 No data changes to commit for @${account.name}`);
+    return;
+  }
+  git(['commit', '-m', message]);
+  log(`📝 Committed data for @${account.name}`);
+}
+
+function runAccount(account, accounts) {
+  log(`\n${'█'.repeat(60)}`);
+  log(`🏦 ACCOUNT: @${account.name} (${path.relative(path.join(ROOT_DATA_DIR, '..'), account.dataDir) || '.'})`);
+  log(`${'█'.repeat(60)}`);
+
+  fs.mkdirSync(account.dataDir, { recursive: true });
+  const env = getAccountEnv(account);
+  if (!env.HIVE_KEY && process.env.DRY_RUN !== 'true') {
+    log(`⚠️ ${account.key_env} is not set; SBI sends for @${account.name} will fail.`);
+  }
+
+  const commit = process.env.COMMIT_DATA === 'true';
+
+  for (const script of PIPELINE) {
+    const result = runScript(script, env);
+    if (result.status !== 0) {
+      log(`❌ ${script} failed for @${account.name} (exit code ${result.status})`);
+      if (commit && PAYOUT_SCRIPTS.includes(script)) {
+        // accumulator.js exports on failure, unless it was killed outright
+        runScript('export_json.js', env);
+        commitAccountData(account, accounts, `🤖 Update reward data for @${account.name} after a failed run [auto]`);
+      }
+      return false;
+    }
+  }
+
+  if (commit) commitAccountData(account, accounts, `🤖 Update reward data for @${account.name} [auto]`);
+  log(`✅ Finished @${account.name}`);
+  return true;
+}
+
+function main() {
+  const only = (process.env.ACCOUNTS || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  const accounts = loadAccounts().filter(a => only.length === 0 || only.includes(a.name));
+  if (accounts.length === 0) {
+    log('⚠️ No accounts to process.');
+    return;
+  }
+
+  log(`🚀 Processing ${accounts.length} account(s): ${accounts.map(a => `@${a.name}`).join(', ')}`);
+
+  const failed = accounts.filter((account) => {
+    try {
+      return runAccount(account, accounts);
+    } catch (err) {
+      log(`❌ @${account.name}: ${err.message}`);
+      return false;
+    }
+  });
+
+  log(`\n📊 Accounts processed: ${accounts.length - failed.length}/${accounts.length}`);
+  if (failed.length > 0) {
+    log(`❌ Failed: ${failed.map(a => `@${a.name}`).join(', ')}`);
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { loadAccounts, getAccountEnv };
@@ -1,22 +1,37 @@
 /**
  * send_sbi.js
- * Sends 1 HIVE chunks to @steembasicincome (SBI) on behalf of delegators
- * when their accumulated balance >= 1 HIVE.
+ * Payout dispatcher: pays out delegator balances once they reach the
+ * delegator's threshold, by the method in their payout preference
+ * ("payout_preferences" in config.json, see config.js):
+ *
+ *   sbi   HIVE chunks to @steembasicincome (SBI) on their behalf (default)
+ *   hive  the balance as a liquid HIVE transfer to the delegator
+ *   hp    the balance powered up to the delegator (transfer_to_vesting)
+ *   none  no payout; the balance keeps accumulating
+ *
+ * SBI account, sponsor, chunk size and per-delegator overrides come from
+ * the "sbi" section of config.json.
+ *
+ * Every payout is written to the ledger's sbi_sends table (with its
+ * method) as "pending" before it is broadcast and flipped to "confirmed"
+ * (with its transaction ID) right after, so a crash mid-run never re-sends
+ * a transfer that already went out. Leftover pending entries are
+ * reconciled against the account's transfer history at the start of the
+ * next run. Each method is exported to its own log file.
  *
  * Supports dry-run mode via DRY_RUN=true environment variable.
  * In production, requires HIVE_USER and HIVE_KEY environment variables.
  */
 
-const hive = require('@hiveio/hive-js');
-const { loadJSON, saveJSON, getTodayUTC, formatHIVE, log } = require('./utils');
+const { loadJSON, getTodayUTC, formatHIVE, log } = require('./utils');
+const { getSBIConfig, getDelegatorSBISettings, getPayoutPreferences, getDelegatorPayoutMethod } = require('./config');
+const ledger = require('./ledger');
+const client = require('./hive_client');
 
 const IS_DRY_RUN = process.env.DRY_RUN === 'true';
 const HIVE_USER = process.env.HIVE_USER || 'bayanihive';
 const ACTIVE_KEY = process.env.HIVE_KEY || '';
 
-const SBI_ACCOUNT = 'steembasicincome';
-const SBI_CHUNK = 1.0;
-
 function getExcludedDelegators() {
   const cfg = loadJSON('config.json', {});
   const fromFile = Array.isArray(cfg.excluded_from_sbi) ? cfg.excluded_from_sbi : [];
@@ -27,144 +42,510 @@ function getExcludedDelegators() {
   return new Set([...fromFile, ...fromEnv].map(s => s.toLowerCase()));
 }
 
-const HIVE_NODES = [
-  'https://api.hive.blog',
-  'https://api.openhive.network',
-  'https://anyx.io',
-  'https://rpc.ecency.com',
-];
+const SEND_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+// Chain timestamps have second resolution and may lag our local clock.
+const MATCH_SLACK_MS = 60 * 1000;
+
+const METHOD_LABELS = {
+  sbi: 'SBI',
+  hive: 'liquid HIVE',
+  hp: 'HP',
+};
+
+// Operation broadcast for each payout method
+const METHOD_OPS = {
+  sbi: 'transfer',
+  hive: 'transfer',
+  hp: 'transfer_to_vesting',
+};
+
+function getMethod(entry) {
+  return entry.method || 'sbi';
+}
+
+// Sends recorded before the SBI account moved to config.json have no `to`.
+function getRecipient(entry) {
+  return entry.to || getSBIConfig().account;
+}
+
+// ─── On-chain Transfer Lookup ───────────────────────────────────────
+
+/**
+ * Fetch outgoing transfers and power-ups from HIVE_USER made at or after
+ * sinceTime, scanning account history backwards from the latest operation.
+ * Each carries its account history index (op_index): a batch puts every
+ * operation under one trx_id, so transfers are claimed by op_index.
+ */
+async function fetchPayoutTransfers(sinceTime) {
+  const transfers = [];
+  const limit = 1000;
+  let start = -1;
+
+  while (true) {
+    const batchSize = start < 0 ? limit : Math.min(limit, start);
+    if (batchSize <= 0) break;
 
-let currentNodeIndex = 0;
+    const history = await client.getAccountHistory(HIVE_USER, start, batchSize);
 
-function setNextNode() {
-  currentNodeIndex = (currentNodeIndex + 1) % HIVE_NODES.length;
-  hive.api.setOptions({ url: HIVE_NODES[currentNodeIndex] });
-  log(`🔁 Switched to Hive node: ${HIVE_NODES[currentNodeIndex]}`);
+    if (!history || history.length === 0) break;
+
+    for (const [index, op] of history) {
+      const [type, data] = op.op;
+      if ((type === 'transfer' || type === 'transfer_to_vesting') && data.from === HIVE_USER) {
+        transfers.push({
+          op_index: index,
+          trx_id: op.trx_id,
+          type,
+          to: data.to,
+          memo: data.memo || null,
+          amount: parseFloat(data.amount),
+          timestamp: new Date(op.timestamp + 'Z').getTime(),
+        });
+      }
+    }
+
+    const [lowestIdx, oldestOp] = history[0];
+    if (new Date(oldestOp.timestamp + 'Z').getTime() < sinceTime) break;
+    if (history.length < batchSize || lowestIdx <= 0) break;
+    start = lowestIdx - 1;
+  }
+
+  return transfers;
+}
+
+/**
+ * True if transfer t is the operation a logged send broadcasts: same
+ * operation, recipient, memo and amount.
+ */
+function matchesEntry(entry, t) {
+  return t.type === METHOD_OPS[getMethod(entry)] &&
+    t.memo === (entry.memo || null) &&
+    formatHIVE(t.amount) === formatHIVE(entry.sent) &&
+    t.to === getRecipient(entry);
 }
 
-// Initialize first node
-hive.api.setOptions({ url: HIVE_NODES[currentNodeIndex] });
+/**
+ * Find the on-chain transfer for a logged send: a matching operation not
+ * older than the entry and not already claimed (claimed holds op_index
+ * values, see claimTransfers).
+ */
+function findTransferForEntry(entry, transfers, claimed) {
+  const createdAt = Date.parse(entry.created_at);
+  return transfers.find(t =>
+    !claimed.has(t.op_index) &&
+    matchesEntry(entry, t) &&
+    t.timestamp >= createdAt - MATCH_SLACK_MS
+  ) || null;
+}
 
 /**
- * Send a single 1-HIVE SBI transfer for a delegator.
- * Memo format: @sponsor:@beneficiary
+ * The op_index of every transfer already accounted for by a confirmed
+ * send: each send with a tx_id claims one matching operation of its own
+ * transaction, as reconcile.js does. Identical chunks of one delegator
+ * sent in a batch thus claim one operation each.
  */
-async function sendSBI(delegator, retries = 3) {
-  const memo = `@vinzie1:@${delegator}`;
-  const amount = `${SBI_CHUNK.toFixed(3)} HIVE`;
+function claimTransfers(entries, transfers) {
+  const claimed = new Set();
+  for (const entry of entries) {
+    if (entry.status !== SEND_STATUS.CONFIRMED || !entry.tx_id) continue;
+    const match = transfers.find(t => t.trx_id === entry.tx_id && !claimed.has(t.op_index) && matchesEntry(entry, t));
+    if (match) claimed.add(match.op_index);
+  }
+  return claimed;
+}
+
+// ─── Ledger ─────────────────────────────────────────────────────────
+
+/**
+ * Save balances and the given sends in one transaction.
+ */
+function saveLedger(balances, entries) {
+  const db = ledger.openLedger();
+  db.transaction(() => {
+    ledger.saveBalances(db, balances);
+    ledger.saveSends(db, entries);
+  })();
+}
+
+/**
+ * True once an entry's amount is reflected in the delegator's total_sent.
+ */
+function isDeducted(data, entry) {
+  return Boolean(data) && formatHIVE(data.total_sent || 0) >= formatHIVE(entry.total_sent_before + entry.sent);
+}
+
+/**
+ * Mark a pending entry as confirmed and deduct it from the delegator's
+ * balance. total_sent_before makes this idempotent: if total_sent already
+ * includes this entry, the deduction was saved before a crash and is not
+ * repeated.
+ */
+function confirmSend(balances, entry, txId, today) {
+  const data = balances[entry.delegator];
+
+  if (data && !isDeducted(data, entry)) {
+    data.balance = formatHIVE(data.balance - entry.sent);
+    data.total_sent = formatHIVE((data.total_sent || 0) + entry.sent);
+    data.last_updated = today;
+  }
+
+  entry.status = SEND_STATUS.CONFIRMED;
+  entry.tx_id = txId;
+  entry.updated_at = new Date().toISOString();
+}
+
+function failSend(entry, reason) {
+  entry.status = SEND_STATUS.FAILED;
+  entry.error = reason;
+  entry.updated_at = new Date().toISOString();
+}
+
+/**
+ * Resolve entries left "pending" by an interrupted run. A matching transfer
+ * on chain confirms the entry; otherwise it is marked failed and the
+ * delegator's balance (never deducted) is simply paid out again.
+ */
+async function reconcilePendingSends(balances, sbiLog, today) {
+  const pending = sbiLog.filter(e => e.status === SEND_STATUS.PENDING);
+  if (pending.length === 0) return;
+
+  log(`🔎 Reconciling ${pending.length} pending payout(s) against on-chain history...`);
+
+  const since = Math.min(...pending.map(e => Date.parse(e.created_at))) - MATCH_SLACK_MS;
+  const transfers = await fetchPayoutTransfers(since);
+  const claimed = claimTransfers(sbiLog, transfers);
+
+  for (const entry of pending) {
+    const match = findTransferForEntry(entry, transfers, claimed);
+    const alreadyDeducted = isDeducted(balances[entry.delegator], entry);
+
+    if (match) {
+      claimed.add(match.op_index);
+      confirmSend(balances, entry, match.trx_id, today);
+      log(`✅ Reconciled @${entry.delegator}: found transfer ${match.trx_id}`);
+    } else if (alreadyDeducted) {
+      // Broadcast succeeded before the crash but the node has not shown it yet.
+      log(`⚠️ @${entry.delegator}: balance already deducted but transfer not found yet, leaving pending`);
+    } else {
+      failSend(entry, 'Not found in on-chain transfer history');
+      log(`❌ @${entry.delegator}: pending send not found on chain, marked failed`);
+    }
+  }
+
+  saveLedger(balances, pending);
+}
+
+// ─── Sending ────────────────────────────────────────────────────────
+
+/**
+ * Send a single payout for a logged entry, as one transaction.
+ * SBI memo format: @sponsor:@beneficiary (already resolved on the entry).
+ *
+ * Returns { success, txId }. Before retrying a failed attempt the
+ * account history is checked, because a broadcast that timed out may
+ * still have been included in a block. Transfers of the confirmed sends
+ * in `settled` are not taken for this entry (see claimTransfers).
+ */
+async function sendPayout(entry, retries = 3, settled = []) {
+  const { delegator, memo, to } = entry;
+  const amount = `${entry.sent.toFixed(3)} HIVE`;
+  const label = METHOD_LABELS[getMethod(entry)];
 
   if (IS_DRY_RUN) {
-    log(`🧪 DRY-RUN: Would send ${amount} from @${HIVE_USER} to @${SBI_ACCOUNT}`);
-    log(`🧪 Memo: ${memo}`);
-    return true;
+    log(`🧪 DRY-RUN: Would send ${amount} (${label}) from @${HIVE_USER} to @${to}`);
+    if (memo) log(`🧪 Memo: ${memo}`);
+    return { success: true, txId: null };
   }
 
   if (!ACTIVE_KEY) {
-    log('⚠️ Missing HIVE_KEY environment variable. Cannot send SBI.');
-    return false;
+    log(`⚠️ Missing HIVE_KEY environment variable. Cannot send ${label} payout.`);
+    return { success: false, txId: null };
   }
 
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      const result = await new Promise((resolve, reject) => {
-        hive.broadcast.transfer(
-          ACTIVE_KEY,
-          HIVE_USER,
-          SBI_ACCOUNT,
-          amount,
-          memo,
-          (err, res) => {
-            if (err) return reject(err);
-            resolve(res);
-          }
-        );
-      });
-      log(`✅ Sent ${amount} to @${SBI_ACCOUNT} for @${delegator}`);
+      const result = await client.broadcast([buildPayoutOp(entry)], ACTIVE_KEY);
+      log(`✅ Sent ${amount} (${label}) to @${to} for @${delegator}`);
       log(`📝 Transaction ID: ${result.id}`);
-      return true;
+      return { success: true, txId: result.id };
     } catch (error) {
       console.error(`❌ Attempt ${attempt} failed for @${delegator}: ${error.message}`);
       if (attempt < retries) {
-        setNextNode();
+        // The client has already moved to the next node.
         await new Promise((r) => setTimeout(r, 2000));
+
+        try {
+          const transfers = await fetchPayoutTransfers(Date.parse(entry.created_at) - MATCH_SLACK_MS);
+          const match = findTransferForEntry(entry, transfers, claimTransfers(settled, transfers));
+          if (match) {
+            log(`✅ Transfer for @${delegator} was included despite the error: ${match.trx_id}`);
+            return { success: true, txId: match.trx_id };
+          }
+        } catch (lookupError) {
+          console.error(`⚠️ Could not check account history: ${lookupError.message}`);
+        }
       }
     }
   }
 
   console.error(`🚨 All ${retries} attempts failed for @${delegator}.`);
-  return false;
+  return { success: false, txId: null };
+}
+
+function buildPayoutOp(entry) {
+  const amount = `${entry.sent.toFixed(3)} HIVE`;
+  if (getMethod(entry) === 'hp') {
+    return ['transfer_to_vesting', { from: HIVE_USER, to: entry.to, amount }];
+  }
+  return ['transfer', { from: HIVE_USER, to: entry.to, amount, memo: entry.memo }];
+}
+
+/**
+ * Broadcast one signed transaction carrying an operation per entry.
+ * Returns { success, txId, error }. A rejected batch is not retried here;
+ * the caller falls back to single sends.
+ */
+async function broadcastBatch(entries) {
+  if (IS_DRY_RUN) {
+    log(`🧪 DRY-RUN: Would broadcast ${entries.length} payout(s) in one transaction`);
+    return { success: true, txId: null };
+  }
+
+  if (!ACTIVE_KEY) {
+    log('⚠️ Missing HIVE_KEY environment variable. Cannot send payouts.');
+    return { success: false, txId: null, error: new Error('Missing HIVE_KEY') };
+  }
+
+  try {
+    const result = await client.broadcast(entries.map(buildPayoutOp), ACTIVE_KEY);
+    log(`✅ Broadcast batch of ${entries.length} payout(s)`);
+    log(`📝 Transaction ID: ${result.id}`);
+    return { success: true, txId: result.id };
+  } catch (error) {
+    console.error(`❌ Batch of ${entries.length} transfer(s) rejected: ${error.message}`);
+    return { success: false, txId: null, error };
+  }
+}
+
+function newPayoutEntry(fields, totalSentBefore, today) {
+  const entry = {
+    date: today,
+    ...fields,
+    status: SEND_STATUS.PENDING,
+    tx_id: null,
+    total_sent_before: totalSentBefore,
+    created_at: new Date().toISOString()
+  };
+  if (IS_DRY_RUN) entry.dry_run = true;
+  return entry;
+}
+
+/**
+ * Reserve every payout owed this run as a pending send. SBI balances are
+ * paid in the delegator's own chunk size, sponsor and beneficiary (see
+ * config.js), one entry per chunk, each carrying its own
+ * total_sent_before so entries can be confirmed one by one in order.
+ * Liquid HIVE and HP payouts send the whole balance in one entry.
+ */
+function planPayouts(balances, excluded, settings, preferences, today) {
+  const planned = [];
+
+  for (const [delegator, data] of Object.entries(balances)) {
+    const { method, threshold, memo: payoutMemo, source } = getDelegatorPayoutMethod(preferences, settings, excluded, delegator);
+    const balance = data && typeof data.balance === 'number' ? data.balance : 0;
+
+    if (method === 'none') {
+      if (balance >= threshold) {
+        log(source === 'excluded'
+          ? `⛔ Excluded from SBI: @${delegator} (balance: ${balance})`
+          : `🚫 Opted out of payouts: @${delegator} (balance: ${balance})`);
+      }
+      continue;
+    }
+
+    if (balance < threshold) continue;
+
+    let totalSent = formatHIVE(data.total_sent || 0);
+
+    if (method === 'sbi') {
+      const { chunk, memo } = getDelegatorSBISettings(settings, delegator);
+      let remaining = balance;
+
+      while (remaining >= chunk) {
+        planned.push(newPayoutEntry({ delegator, method, sent: chunk, to: settings.account, memo }, totalSent, today));
+        remaining = formatHIVE(remaining - chunk);
+        totalSent = formatHIVE(totalSent + chunk);
+      }
+      continue;
+    }
+
+    // Transfers carry 3 decimals: round down so we never overpay.
+    const amount = Math.floor(balance * 1000) / 1000;
+    const memo = method === 'hive' ? (payoutMemo || `Curation reward from @${HIVE_USER}`) : null;
+    planned.push(newPayoutEntry({ delegator, method, sent: amount, to: delegator, memo }, totalSent, today));
+  }
+
+  return planned;
 }
 
 /**
- * Process all delegator balances: send 1-HIVE SBI chunks where balance >= 1.
- * Updates delegator_balances.json and sbi_log.json accordingly.
+ * Pay out every delegator balance that reached its threshold, by the
+ * delegator's payout method. Payouts are broadcast in multi-operation
+ * transactions of up to sbi.batch_size operations; a rejected batch falls
+ * back to single sends. Updates balances and sends in the ledger after
+ * every transaction and summarizes each method separately. Returns
+ * { dry_run, planned, sent: { method: { count, amount } }, transactions, failed }.
  */
-async function processSBIPayouts() {
-  log('💸 Processing SBI payouts...');
+async function processPayouts() {
+  log('💸 Processing payouts...');
+
+  const settings = getSBIConfig();
+  const preferences = getPayoutPreferences();
+  log(`⚙️  SBI account: @${settings.account} | sponsor: @${settings.sponsor} | chunk: ${settings.chunk} HIVE | batch size: ${settings.batch_size}`);
+
+  const preferenceCounts = {};
+  for (const pref of Object.values(preferences)) {
+    preferenceCounts[pref.method] = (preferenceCounts[pref.method] || 0) + 1;
+  }
+  if (Object.keys(preferenceCounts).length > 0) {
+    log(`⚙️  Payout preferences: ${Object.entries(preferenceCounts).map(([m, n]) => `${m}=${n}`).join(', ')}`);
+  }
 
   if (IS_DRY_RUN) {
     log('🧪 Running in DRY-RUN mode. No real transactions will be sent.');
   }
 
-  const balances = loadJSON('delegator_balances.json', {});
-  const sbiLog = loadJSON('sbi_log.json', []);
+  const db = ledger.openLedger();
+  const balances = ledger.loadBalances(db);
+  const sendLog = ledger.loadSends(db);
   const today = getTodayUTC();
 
+  await reconcilePendingSends(balances, sendLog, today);
+
   const excluded = getExcludedDelegators();
+  const batchSize = settings.batch_size;
 
-  let totalSent = 0;
+  // Record every payout before broadcasting so a crash leaves a trace.
+  const planned = planPayouts(balances, excluded, settings, preferences, today);
+  if (planned.length === 0) {
+    log('ℹ️ No delegator balances have reached their payout threshold.');
+    return { dry_run: IS_DRY_RUN, planned: 0, sent: {}, transactions: 0, failed: 0 };
+  }
+  ledger.saveSends(db, planned);
+  log(`📋 Planned ${planned.length} payout(s), batch size: ${batchSize}`);
 
-  for (const [delegator, data] of Object.entries(balances)) {
-    if (delegator === '_meta') continue;
+  const summary = {};
+  let transactions = 0;
+  const failedDelegators = new Set();
 
-    if (excluded.has(delegator.toLowerCase())) {
-      if (data && typeof data.balance === 'number' && data.balance >= SBI_CHUNK) {
-        log(`⛔ Excluded from SBI: @${delegator} (balance: ${data.balance})`);
-      }
+  const confirm = (entry, txId) => {
+    const data = balances[entry.delegator];
+    const method = getMethod(entry);
+    confirmSend(balances, entry, txId, today);
+    summary[method] = summary[method] || { count: 0, amount: 0 };
+    summary[method].count++;
+    summary[method].amount += entry.sent;
+    log(`📤 [${METHOD_LABELS[method]}] @${entry.delegator}: sent ${entry.sent} HIVE to @${entry.to}${entry.memo ? ` (${entry.memo})` : ''} | balance: ${data.balance} | total_sent: ${data.total_sent}`);
+  };
+
+  for (let i = 0; i < planned.length; i += batchSize) {
+    const batch = planned.slice(i, i + batchSize).filter(entry => {
+      if (!failedDelegators.has(entry.delegator)) return true;
+      failSend(entry, 'Skipped after earlier failure');
+      return false;
+    });
+    if (batch.length === 0) continue;
+
+    const result = batch.length > 1 ? await broadcastBatch(batch) : { success: false };
+
+    if (result.success) {
+      transactions++;
+      batch.forEach(entry => confirm(entry, result.txId));
+      saveLedger(balances, batch);
       continue;
     }
 
-    while (data.balance >= SBI_CHUNK) {
-      const success = await sendSBI(delegator);
+    // A rejected batch may still have been included: check before resending.
+    // Without the history, resending could pay it twice, so its entries
+    // stay pending for the next run to reconcile. Their delegators' later
+    // chunks wait too: confirming them first would make the pending ones
+    // look deducted (see isDeducted).
+    let transfers = [];
+    if (batch.length > 1 && !IS_DRY_RUN) {
+      try {
+        transfers = await fetchPayoutTransfers(Date.parse(batch[0].created_at) - MATCH_SLACK_MS);
+      } catch (lookupError) {
+        console.error(`⚠️ Could not check account history: ${lookupError.message}`);
+        log(`⏸️ Leaving ${batch.length} payout(s) pending until the next run reconciles them`);
+        batch.forEach(entry => failedDelegators.add(entry.delegator));
+        continue;
+      }
+      log(`🔁 Falling back to single sends for ${batch.length} payout(s)...`);
+    }
+    const claimed = claimTransfers([...sendLog, ...planned], transfers);
 
-      if (success) {
-        data.balance = formatHIVE(data.balance - SBI_CHUNK);
-        data.total_sent = formatHIVE((data.total_sent || 0) + SBI_CHUNK);
-        data.last_updated = today;
-
-        sbiLog.push({
-          date: today,
-          delegator: delegator,
-          sent: SBI_CHUNK
-        });
+    for (const entry of batch) {
+      if (failedDelegators.has(entry.delegator)) {
+        failSend(entry, 'Skipped after earlier failure');
+        continue;
+      }
+
+      const match = findTransferForEntry(entry, transfers, claimed);
+      if (match) claimed.add(match.op_index);
+      const { success, txId } = match
+        ? { success: true, txId: match.trx_id }
+        : await sendPayout(entry, 3, [...sendLog, ...planned]);
 
-        totalSent += SBI_CHUNK;
-        log(`📤 @${delegator}: sent ${SBI_CHUNK} HIVE to SBI | balance: ${data.balance} | total_sent: ${data.total_sent}`);
+      if (success) {
+        if (!match) transactions++;
+        confirm(entry, txId);
+        saveLedger(balances, [entry]);
       } else {
-        log(`⚠️ Skipping further SBI sends for @${delegator} due to failure.`);
-        break;
+        failSend(entry, 'Broadcast failed');
+        failedDelegators.add(entry.delegator);
+        ledger.saveSends(db, [entry]);
+        log(`⚠️ Skipping further payouts for @${entry.delegator} due to failure.`);
       }
     }
   }
 
-  saveJSON('delegator_balances.json', balances);
-  saveJSON('sbi_log.json', sbiLog);
+  saveLedger(balances, planned);
 
-  log(`\n📊 SBI Payout Summary:`);
-  log(`   Total chunks sent: ${totalSent} HIVE`);
-  log(`   Transactions logged: ${totalSent / SBI_CHUNK}`);
+  log(`\n📊 Payout Summary:`);
+  for (const method of Object.keys(METHOD_LABELS)) {
+    if (!summary[method]) continue;
+    log(`   ${METHOD_LABELS[method]}: ${summary[method].count} payout(s), ${formatHIVE(summary[method].amount)} HIVE`);
+  }
+  log(`   Transactions broadcast: ${transactions}`);
 
   if (IS_DRY_RUN) {
     log('🧪 DRY-RUN complete. No actual HIVE was transferred.');
   }
+
+  for (const method of Object.keys(summary)) summary[method].amount = formatHIVE(summary[method].amount);
+  return {
+    dry_run: IS_DRY_RUN,
+    planned: planned.length,
+    sent: summary,
+    transactions,
+    failed: planned.filter(entry => entry.status === SEND_STATUS.FAILED).length,
+  };
 }
 
 // Run if executed directly
 if (require.main === module) {
-  processSBIPayouts().catch((err) => {
-    console.error('Unhandled error in SBI payout:', err);
-    process.exit(1);
-  });
+  processPayouts()
+    .then(() => ledger.exportJSON(ledger.openLedger()))
+    .catch((err) => {
+      console.error('Unhandled error in payouts:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => ledger.closeLedger());
 }
 
-module.exports = { sendSBI, processSBIPayouts };
+module.exports = { SEND_STATUS, sendPayout, broadcastBatch, planPayouts, processPayouts, reconcilePendingSends, fetchPayoutTransfers };
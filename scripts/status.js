@@ -0,0 +1,88 @@
+/**
+ * status.js
+ * Prints where an account's pipeline stands: sync progress, the last
+ * accumulated and latest recorded payout days, balances and sends by
+ * status. Reads only local data (ledger.db, sync.db); never touches the
+ * chain.
+ */
+
+const { DATA_DIR, formatHIVE, log } = require('./utils');
+const { readSyncState } = require('./fetch_real_delegators');
+const ledger = require('./ledger');
+
+const ACCOUNT = process.env.HIVE_USER || 'bayanihive';
+
+/**
+ * Collect the account's status:
+ *   { account, data_dir, sync, last_accumulated_date, payout_days,
+ *     first_payout_date, latest_payout_date, pending_days, delegators,
+ *     total_balance, total_sent, sends, adjustments }
+ */
+function getStatus() {
+  const db = ledger.openLedger();
+  const summary = ledger.getLedgerSummary(db);
+  const lastAccumulatedDate = ledger.getMeta(db, 'last_accumulated_date');
+  const balances = ledger.loadBalances(db);
+
+  let totalBalance = 0;
+  let totalSent = 0;
+  for (const data of Object.values(balances)) {
+    totalBalance += data.balance;
+    totalSent += data.total_sent;
+  }
+
+  const sync = readSyncState();
+
+  return {
+    account: ACCOUNT,
+    data_dir: DATA_DIR,
+    sync: sync && {
+      last_index: sync.last_index,
+      last_curation_end: sync.last_curation_end > 0 ? new Date(sync.last_curation_end).toISOString() : null,
+    },
+    last_accumulated_date: lastAccumulatedDate,
+    ...summary,
+    pending_days: lastAccumulatedDate ? ledger.loadPayouts(db, { after: lastAccumulatedDate }).length : summary.payout_days,
+    delegators: Object.keys(balances).length,
+    total_balance: formatHIVE(totalBalance),
+    total_sent: formatHIVE(totalSent),
+  };
+}
+
+function printStatus(status) {
+  log(`\n${'═'.repeat(60)}`);
+  log(`📊 STATUS: @${status.account}`);
+  log(`${'═'.repeat(60)}`);
+  log(`📁 Data directory: ${status.data_dir}`);
+  log(status.sync
+    ? `🔄 Synced to history index ${status.sync.last_index}, curation windows to ${status.sync.last_curation_end || 'none'}`
+    : '🔄 Not synced yet (no sync.db)');
+  log(`📅 Payout days recorded: ${status.payout_days}${status.payout_days > 0 ? ` (${status.first_payout_date} → ${status.latest_payout_date})` : ''}`);
+  log(`📅 Last accumulated: ${status.last_accumulated_date || 'never'} | pending day(s): ${status.pending_days}`);
+  log(`👥 Delegators with a balance: ${status.delegators}`);
+  log(`💰 Total outstanding balance: ${status.total_balance} HIVE`);
+  log(`📤 Total paid out (all time): ${status.total_sent} HIVE`);
+  if (status.adjustments.count > 0) {
+    log(`🛠️ Adjustments: ${status.adjustments.count} (net ${status.adjustments.total > 0 ? '+' : ''}${status.adjustments.total} HIVE, see adjustments.json)`);
+  }
+
+  const sends = Object.entries(status.sends);
+  log(`📋 Sends: ${sends.length > 0 ? sends.map(([s, n]) => `${s}=${n}`).join(', ') : 'none'}`);
+  if (status.sends.pending) log('⏳ Pending sends are resolved on the next payout run.');
+  if (status.sends.failed) log('⚠️ Failed sends: see sbi_log.json and run reconcile.');
+  log('─'.repeat(60));
+}
+
+// Run if executed directly
+if (require.main === module) {
+  try {
+    printStatus(getStatus());
+  } catch (err) {
+    console.error('❌ Status failed:', err);
+    process.exitCode = 1;
+  } finally {
+    ledger.closeLedger();
+  }
+}
+
+module.exports = { getStatus, printStatus };
@@ -1,7 +1,19 @@
 const fs = require('fs');
 const path = require('path');
+const multiplier = require('./multiplier');
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
+// Root data directory (holds accounts.json). DATA_DIR is the data directory
+// of the account being processed; run_accounts.js sets it per account.
+const ROOT_DATA_DIR = path.join(__dirname, '..', 'data');
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : ROOT_DATA_DIR;
+
+// Exit codes shared by the scripts and the hive-rewarder CLI (see cli.js).
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  DRIFT: 3,
+};
 
 /**
  * Get today's date in YYYY-MM-DD format (UTC).
@@ -10,6 +22,93 @@ function getTodayUTC() {
   return new Date().toISOString().split('T')[0];
 }
 
+// ─── Time Zones ─────────────────────────────────────────────────────
+//
+// Intl-based conversions between UTC timestamps and wall-clock time in an
+// IANA time zone. Unlike parsing toLocaleString() output, these follow DST
+// transitions, so a "08:00 local" boundary stays at 08:00 all year.
+
+/**
+ * Wall-clock parts { year, month, day, hour, minute, second } of a UTC
+ * timestamp (ms) in the given time zone. month is 1-based.
+ */
+function getZonedParts(timestamp, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * Offset (ms) of the time zone from UTC at the given instant.
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const p = getZonedParts(timestamp, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * UTC timestamp (ms) of a wall-clock date/time in the given time zone.
+ * The offset is re-checked at the result so DST changes between the
+ * guess and the answer are accounted for.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const firstGuess = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  return wallClock - getTimeZoneOffset(firstGuess, timeZone);
+}
+
+/**
+ * UTC timestamp of the payout window boundary (payout.window_start in
+ * payout.timezone) on a local date (YYYY-MM-DD).
+ */
+function getWindowBoundary(dateStr, payoutConfig) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hour, minute] = payoutConfig.window_start.split(':').map(Number);
+  return zonedTimeToUtc({ year, month, day, hour, minute }, payoutConfig.timezone);
+}
+
+/**
+ * YYYY-MM-DD calendar date of a UTC timestamp in the given time zone.
+ */
+function getZonedDate(timestamp, timeZone) {
+  const { year, month, day } = getZonedParts(timestamp, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Add (or subtract) whole calendar days to a YYYY-MM-DD date.
+ */
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Check that a string is a time zone the runtime knows about.
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
 /**
  * Load a JSON file from the data directory.
  * Returns parsed object or a fallback default.
@@ -38,35 +137,14 @@ function saveJSON(filename, data) {
 }
 
 /**
- * Determine global multiplier based on total delegation HP.
- * < 10,000 HP → 3.0
- * 10,000–20,000 HP → linearly 3.0 → 2.0
- * 20,000–30,000 HP → linearly 2.0 → 1.0
- * 30,000–40,000 HP → linearly 1.0 → 0.5
- * >= 40,000 HP → 0.5
+ * Determine global multiplier based on total delegation HP, using the
+ * multiplier schedule from config.json that was in effect on `date`
+ * (YYYY-MM-DD, defaults to the latest schedule). See multiplier.js.
  */
-function getMultiplier(totalDelegationHP) {
-  const totalHP = Number(totalDelegationHP) || 0;
-
-  let m;
-  if (totalHP < 10000) {
-    m = 3.0;
-  } else if (totalHP < 20000) {
-    // 3.0 down to 2.0
-    m = 3 - ((totalHP - 10000) / 10000);
-  } else if (totalHP < 30000) {
-    // 2.0 down to 1.0
-    m = 2 - ((totalHP - 20000) / 10000);
-  } else if (totalHP < 40000) {
-    // 1.0 down to 0.5
-    m = 1 - ((totalHP - 30000) / 10000) * 0.5;
-  } else {
-    m = 0.5;
-  }
-
-  // Clamp and round
-  m = Math.max(0.5, m);
-  return parseFloat(m.toFixed(3));
+function getMultiplier(totalDelegationHP, date) {
+  const cfg = loadJSON('config.json', {});
+  const schedules = cfg.multiplier ? cfg.multiplier.schedules : undefined;
+  return multiplier.getMultiplier(totalDelegationHP, date, schedules);
 }
 
 /**
@@ -85,8 +163,17 @@ function log(message) {
 }
 
 module.exports = {
+  ROOT_DATA_DIR,
   DATA_DIR,
+  EXIT_CODES,
   getTodayUTC,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  getWindowBoundary,
+  getZonedDate,
+  addDays,
+  isValidTimeZone,
   loadJSON,
   saveJSON,
   getMultiplier,
@@ -0,0 +1,63 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockNode, readJSON, runCli } = require('./helpers');
+
+describe('manual adjustments', () => {
+  const mock = useMockNode();
+  const now = '2026-10-02T01:00:00Z';
+
+  beforeEach(async () => {
+    for (const args of [['sync'], ['accumulate', '--dry-run']]) {
+      const run = await runCli(args, { ...mock, now });
+      assert.equal(run.code, 0, run.output);
+    }
+  });
+
+  function adjust(delegator, amount, extra = []) {
+    return runCli(['adjust', '--delegator', delegator, '--amount', amount, '--reason', 'missed day', '--operator', 'vinzie1', '--json', ...extra], { ...mock, now });
+  }
+
+  it('journals credits and debits and applies them to balances', async () => {
+    const before = readJSON(mock.dataDir, 'delegator_balances.json').bob.balance;
+
+    let run = await adjust('@Bob', '1.5');
+    assert.equal(run.code, 0, run.output);
+    assert.equal(JSON.parse(run.stdout).result.balance_after, Number((before + 1.5).toFixed(3)));
+
+    run = await adjust('bob', '-0.25');
+    assert.equal(run.code, 0, run.output);
+
+    assert.equal(readJSON(mock.dataDir, 'delegator_balances.json').bob.balance, Number((before + 1.25).toFixed(3)));
+    const journal = readJSON(mock.dataDir, 'adjustments.json');
+    assert.deepEqual(journal.map(a => [a.delegator, a.amount, a.source, a.reason, a.operator]), [
+      ['bob', 1.5, 'manual', 'missed day', 'vinzie1'],
+      ['bob', -0.25, 'manual', 'missed day', 'vinzie1'],
+    ]);
+
+    // Journaled adjustments survive a following accumulator run
+    run = await runCli(['sync'], { ...mock, now: '2026-10-03T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+    run = await runCli(['accumulate', '--dry-run', '--json'], { ...mock, now: '2026-10-03T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+    assert.equal(JSON.parse(run.stdout).result.total_adjusted, 1.25);
+    assert.equal(readJSON(mock.dataDir, 'adjustments.json').length, 2);
+
+    run = await runCli(['status', '--json'], { ...mock, now });
+    assert.deepEqual(JSON.parse(run.stdout).result.adjustments, { count: 2, total: 1.25 });
+  });
+
+  it('rejects incomplete or invalid adjustments without writing', async () => {
+    let run = await runCli(['adjust', '--delegator', 'bob', '--amount', '1', '--json'], { ...mock, now });
+    assert.equal(run.code, 2, run.output);
+    assert.match(JSON.parse(run.stdout).error, /--reason, --operator/);
+
+    for (const amount of ['0', 'abc', '0.0001', '1.2345']) {
+      run = await adjust('bob', amount);
+      assert.equal(run.code, 1, run.output);
+    }
+    run = await adjust('not a name', '1');
+    assert.equal(run.code, 1, run.output);
+
+    assert.deepEqual(readJSON(mock.dataDir, 'adjustments.json'), []);
+  });
+});
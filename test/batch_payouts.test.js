@@ -0,0 +1,200 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./mock_node');
+const { useMockNode, writeConfig, readJSON, writeJSON, runScript } = require('./helpers');
+
+const MEMO = '@vinzie1:@alice';
+
+// @alice's balance covers three identical 5 HIVE chunks, @bob's two.
+const BALANCES = {
+  alice: { balance: 15.5, total_sent: 0, last_updated: '2026-10-01' },
+  bob: { balance: 10, total_sent: 0, last_updated: '2026-10-01' },
+};
+
+function pendingSend(delegator, totalSentBefore, createdAt) {
+  return {
+    date: '2026-10-02',
+    delegator,
+    sent: 5,
+    to: 'steembasicincome',
+    memo: `@vinzie1:@${delegator}`,
+    status: 'pending',
+    tx_id: null,
+    total_sent_before: totalSentBefore,
+    created_at: createdAt,
+  };
+}
+
+function transfer(memo) {
+  return ['transfer', { from: 'bayanihive', to: 'steembasicincome', amount: '5.000 HIVE', memo }];
+}
+
+describe('batched payouts', () => {
+  const mock = useMockNode();
+
+  beforeEach(async () => {
+    writeJSON(mock.dataDir, 'delegator_balances.json', BALANCES);
+  });
+
+  it('confirms every chunk of a batch that timed out after it was included', async () => {
+    mock.node.loseResponses.broadcast_transaction_synchronous = 1;
+
+    const run = await runScript('send_sbi.js', { ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    assert.match(run.output, /Falling back to single sends for 5 payout/);
+    assert.equal(mock.node.broadcasts.length, 1);
+    const sends = readJSON(mock.dataDir, 'sbi_log.json');
+    assert.equal(sends.length, 5);
+    for (const send of sends) {
+      assert.equal(send.status, 'confirmed');
+      assert.equal(send.tx_id, mock.node.broadcasts[0].id);
+    }
+    const balances = readJSON(mock.dataDir, 'delegator_balances.json');
+    assert.deepEqual([balances.alice.balance, balances.alice.total_sent], [0.5, 15]);
+    assert.deepEqual([balances.bob.balance, balances.bob.total_sent], [0, 10]);
+  });
+
+  it('leaves a batch pending when the history cannot be checked after it timed out', async () => {
+    writeConfig(mock.dataDir, { api: { retries: 1 } });
+    mock.node.loseResponses.broadcast_transaction_synchronous = 1;
+    mock.node.failCalls.get_account_history = 1;
+
+    let run = await runScript('send_sbi.js', { ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    assert.match(run.output, /Leaving 5 payout\(s\) pending/);
+    assert.equal(mock.node.broadcasts.length, 1);
+    assert.ok(readJSON(mock.dataDir, 'sbi_log.json').every(s => s.status === 'pending'));
+    let balances = readJSON(mock.dataDir, 'delegator_balances.json');
+    assert.deepEqual([balances.alice.balance, balances.bob.balance], [15.5, 10]);
+
+    // The next run finds the batch on chain instead of paying it again
+    run = await runScript('send_sbi.js', { ...mock, now: '2026-10-02T02:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    assert.equal(mock.node.broadcasts.length, 1);
+    assert.ok(readJSON(mock.dataDir, 'sbi_log.json').every(s => s.status === 'confirmed'));
+    balances = readJSON(mock.dataDir, 'delegator_balances.json');
+    assert.deepEqual([balances.alice.balance, balances.bob.balance], [0.5, 0]);
+  });
+
+  it('reconciles every pending chunk of a batch broadcast before a crash', async () => {
+    mock.node.setTime('2026-10-02T01:00:00Z');
+    mock.node.broadcast({ operations: [transfer(MEMO), transfer(MEMO), transfer(MEMO)] });
+    const createdAt = '2026-10-02T01:00:00.000Z';
+    writeJSON(mock.dataDir, 'sbi_log.json', [0, 5, 10].map(before => pendingSend('alice', before, createdAt)));
+    writeJSON(mock.dataDir, 'delegator_balances.json', { alice: BALANCES.alice });
+
+    const run = await runScript('send_sbi.js', { ...mock, now: '2026-10-02T02:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    assert.equal(mock.node.broadcasts.length, 1);
+    const sends = readJSON(mock.dataDir, 'sbi_log.json');
+    assert.equal(sends.length, 3);
+    for (const send of sends) {
+      assert.equal(send.status, 'confirmed');
+      assert.equal(send.tx_id, mock.node.broadcasts[0].id);
+    }
+    const { alice } = readJSON(mock.dataDir, 'delegator_balances.json');
+    assert.deepEqual([alice.balance, alice.total_sent], [0.5, 15]);
+  });
+
+  it('holds back later chunks of delegators whose batch was left pending', async () => {
+    writeConfig(mock.dataDir, { api: { retries: 1 } });
+    mock.node.loseResponses.broadcast_transaction_synchronous = 1;
+    mock.node.failCalls.get_account_history = 1;
+
+    // Batches of two: [alice, alice] (left pending), [alice, bob], [bob]
+    let run = await runScript('send_sbi.js', { ...mock, now: '2026-10-02T01:00:00Z', env: { SBI_BATCH_SIZE: '2' } });
+    assert.equal(run.code, 0, run.output);
+
+    const alice = () => readJSON(mock.dataDir, 'sbi_log.json').filter(s => s.delegator === 'alice');
+    const aliceOps = () => mock.node.broadcasts.flatMap(b => b.operations).filter(([, data]) => data.memo === MEMO);
+    assert.deepEqual(alice().map(s => s.status), ['pending', 'pending', 'failed']);
+    assert.equal(aliceOps().length, 2);
+    let balances = readJSON(mock.dataDir, 'delegator_balances.json');
+    assert.deepEqual([balances.alice.balance, balances.alice.total_sent], [15.5, 0]);
+    assert.deepEqual([balances.bob.balance, balances.bob.total_sent], [0, 10]);
+
+    // The next run confirms the batch once and pays the rest
+    run = await runScript('send_sbi.js', { ...mock, now: '2026-10-02T02:00:00Z', env: { SBI_BATCH_SIZE: '2' } });
+    assert.equal(run.code, 0, run.output);
+
+    const sent = alice().filter(s => s.status === 'confirmed');
+    assert.equal(sent.length, 3);
+    assert.deepEqual(sent.slice(0, 2).map(s => s.tx_id), [mock.node.broadcasts[0].id, mock.node.broadcasts[0].id]);
+    assert.equal(aliceOps().length, 3);
+    balances = readJSON(mock.dataDir, 'delegator_balances.json');
+    assert.deepEqual([balances.alice.balance, balances.alice.total_sent], [0.5, 15]);
+  });
+
+  it('keeps pending chunks and sends nothing while the history cannot be read', async () => {
+    writeConfig(mock.dataDir, { api: { retries: 1 } });
+    mock.node.setTime('2026-10-02T01:00:00Z');
+    mock.node.broadcast({ operations: [transfer(MEMO), transfer(MEMO)] });
+    const createdAt = '2026-10-02T01:00:00.000Z';
+    const pending = [0, 5].map(before => pendingSend('alice', before, createdAt));
+    writeJSON(mock.dataDir, 'sbi_log.json', pending);
+    mock.node.failCalls.get_account_history = 1;
+
+    let run = await runScript('send_sbi.js', { ...mock, now: '2026-10-02T02:00:00Z' });
+    assert.notEqual(run.code, 0);
+
+    assert.equal(mock.node.broadcasts.length, 1);
+    assert.deepEqual(readJSON(mock.dataDir, 'sbi_log.json'), pending);
+    assert.equal(readJSON(mock.dataDir, 'delegator_balances.json').alice.balance, 15.5);
+
+    run = await runScript('send_sbi.js', { ...mock, now: '2026-10-02T03:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    // Both chunks reconciled; the third goes out in the next batch, with @bob's
+    assert.equal(mock.node.broadcasts.length, 2);
+    const sends = readJSON(mock.dataDir, 'sbi_log.json').filter(s => s.delegator === 'alice');
+    assert.deepEqual(sends.map(s => [s.status, s.tx_id]), [
+      ['confirmed', mock.node.broadcasts[0].id],
+      ['confirmed', mock.node.broadcasts[0].id],
+      ['confirmed', mock.node.broadcasts[1].id],
+    ]);
+    assert.equal(readJSON(mock.dataDir, 'delegator_balances.json').alice.balance, 0.5);
+  });
+
+  it('reconciles pending sends recorded without a recipient', async () => {
+    mock.node.setTime('2026-10-02T01:00:00Z');
+    mock.node.broadcast({ operations: [transfer(MEMO)] });
+    const { to, ...legacy } = pendingSend('alice', 0, '2026-10-02T01:00:00.000Z');
+    writeJSON(mock.dataDir, 'sbi_log.json', [legacy]);
+    writeJSON(mock.dataDir, 'delegator_balances.json', { alice: { ...BALANCES.alice, balance: 5.5 } });
+
+    const run = await runScript('send_sbi.js', { ...mock, now: '2026-10-02T02:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    assert.equal(mock.node.broadcasts.length, 1);
+    assert.equal(readJSON(mock.dataDir, 'sbi_log.json')[0].status, 'confirmed');
+    assert.equal(readJSON(mock.dataDir, 'delegator_balances.json').alice.balance, 0.5);
+  });
+
+  it('refuses a chunk size finer than a transfer can carry', async () => {
+    writeConfig(mock.dataDir, { sbi: { ...loadFixture('config').sbi, chunk: 5.0004 } });
+
+    const run = await runScript('send_sbi.js', { ...mock, now: '2026-10-02T01:00:00Z' });
+
+    assert.notEqual(run.code, 0);
+    assert.match(run.output, /"sbi.chunk" must have at most 3 decimals/);
+    assert.equal(mock.node.broadcasts.length, 0);
+  });
+
+  it('pays again only the chunks a rejected batch did not include', async () => {
+    mock.node.failCalls.broadcast_transaction_synchronous = 1;
+
+    const run = await runScript('send_sbi.js', { ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    // The batch never reached the chain: each chunk is sent on its own, once.
+    assert.equal(mock.node.broadcasts.length, 5);
+    assert.ok(mock.node.broadcasts.every(b => b.operations.length === 1));
+    assert.ok(readJSON(mock.dataDir, 'sbi_log.json').every(s => s.status === 'confirmed'));
+    const balances = readJSON(mock.dataDir, 'delegator_balances.json');
+    assert.deepEqual([balances.alice.balance, balances.bob.balance], [0.5, 0]);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getPayoutWindowEnd, getTenureDays, applyRules } = require('../scripts/rules');
+
+// Manila is UTC+8: the 2026-10-10 window ends at 2026-10-10T16:00Z.
+const payoutConfig = { timezone: 'Asia/Manila', window_start: '00:00' };
+const payout = { date: '2026-10-10', payout_config: payoutConfig };
+const rules = [{ type: 'tenure', tiers: [{ min_days: 9, factor: 1.5 }] }];
+
+const at = iso => new Date(iso).getTime();
+const event = (iso, totalVests) => ({ timestamp: at(iso), totalVests });
+
+describe('bonus rules', () => {
+  it('ends a payout day at its window boundary in the payout time zone', () => {
+    assert.equal(getPayoutWindowEnd(payout, { timezone: 'UTC', window_start: '00:00' }), at('2026-10-10T16:00:00Z'));
+    assert.equal(getPayoutWindowEnd({ date: '2026-10-10' }, payoutConfig), at('2026-10-10T16:00:00Z'));
+    assert.equal(getPayoutWindowEnd({ ...payout, window_end: '2026-10-10T16:00:05.000Z' }), at('2026-10-10T16:00:05Z'));
+  });
+
+  it('counts tenure to the end of the payout window, not of the UTC day', () => {
+    const windowEnd = getPayoutWindowEnd(payout);
+    const started = [event('2026-10-01T20:00:00Z', 1000)];
+    assert.equal(getTenureDays(started, windowEnd), 8);
+
+    const result = applyRules(rules, {
+      delegator: { name: 'alice', hp: 500, base_reward: 1 },
+      windowEnd,
+      globalMultiplier: 2,
+      delegationHistory: { alice: started },
+    });
+    assert.equal(result.multiplier, 2);
+    assert.deepEqual(result.factors, []);
+  });
+
+  it('ignores delegation changes made after the window closed', () => {
+    const events = [event('2026-09-20T00:00:00Z', 1000), event('2026-10-10T18:00:00Z', 0)];
+    assert.equal(getTenureDays(events, getPayoutWindowEnd(payout)), 20);
+  });
+});
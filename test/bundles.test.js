@@ -0,0 +1,81 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useMockNode, readJSON, runScript, runCli } = require('./helpers');
+
+describe('dashboard bundles', () => {
+  const mock = useMockNode({ perSuite: true });
+  const now = '2026-10-05T01:00:00Z';
+
+  before(async () => {
+    // Payout days 2026-10-01 .. 2026-10-04, accumulated and paid out (dry run)
+    for (const args of [['sync', '--date', '2026-10-02'], ['accumulate', '--dry-run'], ['sync'], ['accumulate', '--dry-run'], ['payout', '--dry-run']]) {
+      const run = await runCli(args, { ...mock, now });
+      assert.equal(run.code, 0, run.output);
+    }
+    const run = await runCli(['adjust', '--delegator', 'bob', '--amount', '0.5', '--reason', 'missed day', '--operator', 'vinzie1'], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+  });
+
+  it('indexes every payout day, month and delegator in the manifest', () => {
+    const manifest = readJSON(mock.dataDir, 'bundles/manifest.json');
+    const payouts = readJSON(mock.dataDir, 'payout_history.json');
+    const sbiLog = readJSON(mock.dataDir, 'sbi_log.json');
+
+    assert.deepEqual(manifest.days.map(d => d.date), payouts.map(p => p.date));
+    assert.equal(manifest.latest_date, '2026-10-04');
+    assert.equal(manifest.last_accumulated_date, '2026-10-04');
+
+    const confirmed = sbiLog.filter(s => !s.status || s.status === 'confirmed');
+    assert.ok(confirmed.length > 0);
+    const sent = Object.values(manifest.sbi_sent).reduce((sum, v) => sum + v, 0);
+    assert.equal(Number(sent.toFixed(3)), Number(confirmed.reduce((sum, s) => sum + s.sent, 0).toFixed(3)));
+
+    for (const entry of [...manifest.months, ...manifest.delegators]) {
+      assert.ok(fs.existsSync(path.join(mock.dataDir, 'bundles', entry.file)), entry.file);
+    }
+    assert.deepEqual(manifest.months.map(m => m.month), ['2026-10']);
+    assert.ok(manifest.delegators.some(d => d.name === 'bob'));
+  });
+
+  it('splits history into month shards and a latest snapshot', () => {
+    const shard = readJSON(mock.dataDir, 'bundles/months/2026-10.json');
+    assert.deepEqual(shard.payouts, readJSON(mock.dataDir, 'payout_history.json'));
+    assert.equal(shard.sends.filter(s => s.method === 'sbi').length, readJSON(mock.dataDir, 'sbi_log.json').length);
+    assert.equal(shard.adjustments.length, 1);
+
+    const latest = readJSON(mock.dataDir, 'bundles/latest.json');
+    assert.deepEqual(latest.payout_summary, readJSON(mock.dataDir, 'payout_summary.json'));
+    assert.deepEqual(latest.balances, readJSON(mock.dataDir, 'delegator_balances.json'));
+    assert.equal(latest.accumulation.date, '2026-10-04');
+  });
+
+  it('writes one summary per delegator', () => {
+    const bob = readJSON(mock.dataDir, 'bundles/delegators/bob.json');
+    const balances = readJSON(mock.dataDir, 'delegator_balances.json');
+
+    assert.deepEqual(bob.balance, balances.bob);
+    assert.deepEqual(bob.payouts.map(p => p.date), ['2026-10-01', '2026-10-02', '2026-10-03', '2026-10-04']);
+    assert.ok(bob.payouts.every(p => p.hp > 0 && p.total_delegation_hp >= p.hp));
+    assert.deepEqual(bob.accumulations.map(a => a.date), ['2026-10-01', '2026-10-02', '2026-10-03', '2026-10-04']);
+    assert.deepEqual(bob.delegations, readJSON(mock.dataDir, 'delegation_history.json').bob);
+    assert.deepEqual(bob.adjustments.map(a => a.amount), [0.5]);
+    assert.ok(bob.sends.every(s => s.delegator === 'bob' && s.method));
+  });
+
+  it('leaves the bundles unchanged when an export has no new data', async () => {
+    const readBundles = () => {
+      const dir = path.join(mock.dataDir, 'bundles');
+      return fs.readdirSync(dir, { recursive: true }).sort()
+        .filter(file => file.endsWith('.json'))
+        .map(file => [file, fs.readFileSync(path.join(dir, file), 'utf-8')]);
+    };
+    const exported = readBundles();
+
+    // A later run with nothing new must not produce a data commit
+    const run = await runScript('export_json.js', { ...mock, now: '2026-10-05T02:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+    assert.deepEqual(readBundles(), exported);
+  });
+});
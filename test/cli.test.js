@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockNode, readJSON, runCli } = require('./helpers');
+
+describe('hive-rewarder CLI', () => {
+  const mock = useMockNode();
+
+  const now = '2026-10-05T01:00:00Z';
+
+  it('syncs as of --date and reports the result as JSON', async () => {
+    const run = await runCli(['sync', '--date', '2026-10-03', '--json'], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+
+    const output = JSON.parse(run.stdout);
+    assert.equal(output.command, 'sync');
+    assert.equal(output.ok, true);
+    assert.equal(output.exit_code, 0);
+    assert.equal(output.data_dir, mock.dataDir);
+    assert.deepEqual(output.result.payouts, ['2026-10-02']);
+    assert.deepEqual(readJSON(mock.dataDir, 'payout_history.json').map(p => p.date), ['2026-10-02']);
+  });
+
+  it('accumulates up to --date without broadcasting on --dry-run', async () => {
+    let run = await runCli(['sync', '--date', '2026-10-02'], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+    run = await runCli(['sync'], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+
+    run = await runCli(['accumulate', '--date=2026-10-01', '--dry-run', '--json'], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+
+    const output = JSON.parse(run.stdout);
+    assert.equal(output.dry_run, true);
+    assert.deepEqual(output.result.days.map(d => d.date), ['2026-10-01']);
+    assert.equal(mock.node.broadcasts.length, 0);
+
+    run = await runCli(['status', '--json'], { ...mock, now });
+    const { result: status } = JSON.parse(run.stdout);
+    assert.equal(status.last_accumulated_date, '2026-10-01');
+    assert.equal(status.pending_days, status.payout_days - 1);
+  });
+
+  it('recomputes a recorded day to the same rewards', async () => {
+    let run = await runCli(['sync', '--date', '2026-10-03'], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+
+    run = await runCli(['recompute', '--date', '2026-10-02', '--json'], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+    assert.equal(JSON.parse(run.stdout).result.matches, true);
+  });
+
+  it('exits 2 on usage errors and 1 when the command fails', async () => {
+    let run = await runCli(['status', '--dry-run', '--json'], { ...mock, now });
+    assert.equal(run.code, 2, run.output);
+    assert.match(JSON.parse(run.stdout).error, /does not support --dry-run/);
+
+    run = await runCli(['recompute'], { ...mock, now });
+    assert.equal(run.code, 2, run.output);
+
+    run = await runCli(['recompute', '--date', '2026-10-02', '--json'], { ...mock, now });
+    assert.equal(run.code, 1, run.output);
+    assert.equal(JSON.parse(run.stdout).ok, false);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTimeline, summarizeByMonth, parseRoute } = require('../scripts/delegator_history');
+
+const payoutHistory = [
+  { date: '2026-09-30', total_delegation_hp: 2000, delegators: [{ name: 'alice', hp: 1000, base_reward: 1 }] },
+  { date: '2026-10-01', total_delegation_hp: 2000, delegators: [{ name: 'alice', hp: 1000, base_reward: 2 }, { name: 'bob', hp: 1000, base_reward: 2 }] },
+  { date: '2026-10-02', total_delegation_hp: 2000, delegators: [{ name: 'alice', hp: 1000, base_reward: 1.5 }] },
+];
+
+const data = {
+  name: 'Alice',
+  payoutHistory,
+  accumulationLog: [
+    { date: '2026-10-01', delegators: [{ name: 'alice', base_reward: 2, multiplier: 3, adjusted_reward: 6, factors: [] }] },
+  ],
+  sends: [
+    { date: '2026-10-01', delegator: 'alice', sent: 5, method: 'sbi', status: 'confirmed' },
+    { date: '2026-10-01', delegator: 'alice', sent: 1, method: 'sbi', status: 'failed' },
+    { date: '2026-10-01', delegator: 'bob', sent: 1, method: 'sbi' },
+  ],
+  adjustments: [{ date: '2026-10-01', delegator: 'alice', amount: -0.5, source: 'manual', reason: 'fix', operator: 'op' }],
+  delegationHistory: {
+    alice: [
+      { hp: 600, date: '2026-09-28', timestamp: 1 },
+      { hp: 1000, date: '2026-09-29', timestamp: 2 },
+    ],
+  },
+  balance: { balance: 2.5, total_sent: 5 },
+  lastAccumulatedDate: '2026-10-01',
+  getMultiplier: () => 2,
+};
+
+describe('delegator history', () => {
+  it('merges payouts, rewards, sends, adjustments and delegations per day', () => {
+    const timeline = buildTimeline(data);
+    assert.deepEqual(timeline.map(d => d.date), ['2026-09-28', '2026-09-29', '2026-09-30', '2026-10-01', '2026-10-02']);
+
+    const [first, second, estimated, credited, pending] = timeline;
+    assert.deepEqual(first.delegation.map(e => e.change), [600]);
+    assert.deepEqual(second.delegation.map(e => e.change), [400]);
+
+    assert.equal(estimated.multiplier, 2);
+    assert.equal(estimated.reward, 2);
+    assert.equal(estimated.estimated, true);
+
+    assert.equal(credited.multiplier, 3);
+    assert.equal(credited.reward, 6);
+    assert.equal(credited.sends.length, 2);
+    assert.equal(credited.adjustments.length, 1);
+
+    assert.equal(pending.pending, true);
+    assert.equal(pending.reward, 3);
+  });
+
+  it('walks the cumulative balance back from the current balance', () => {
+    const timeline = buildTimeline(data);
+    // 2026-10-02 is pending, so the current balance is the 2026-10-01 closing balance;
+    // that day added 6, took 0.5 and sent 5 (the failed send does not count)
+    assert.deepEqual(timeline.map(d => d.balance), [0, 0, 2, 2.5, 2.5]);
+  });
+
+  it('totals each month', () => {
+    const [october, september] = summarizeByMonth(buildTimeline(data));
+    assert.deepEqual(october, { month: '2026-10', days: 2, base_reward: 3.5, reward: 9, sent: 5, adjusted: -0.5 });
+    assert.deepEqual(september, { month: '2026-09', days: 1, base_reward: 1, reward: 2, sent: 0, adjusted: 0 });
+  });
+
+  it('parses #/@name routes', () => {
+    assert.equal(parseRoute('#/@Alice'), 'alice');
+    assert.equal(parseRoute('#/@bob.test/'), 'bob.test');
+    assert.equal(parseRoute('#/'), null);
+    assert.equal(parseRoute(''), null);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useMockNode, writeConfig, readJSON, writeJSON, runScript, runPipeline } = require('./helpers');
+
+describe('double-run guards', () => {
+  const mock = useMockNode();
+
+  it('does not pay or accumulate a day twice when the pipeline reruns', async () => {
+    let run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+    const balances = readJSON(mock.dataDir, 'delegator_balances.json');
+    const sends = readJSON(mock.dataDir, 'sbi_log.json');
+    const broadcasts = mock.node.broadcasts.length;
+    assert.ok(broadcasts > 0);
+
+    run = await runPipeline({ ...mock, now: '2026-10-02T01:30:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    assert.match(run.output, /Already accumulated rewards up to 2026-10-01/);
+    assert.equal(readJSON(mock.dataDir, 'payout_history.json').length, 1);
+    assert.equal(readJSON(mock.dataDir, 'accumulation_log.json').length, 1);
+    assert.deepEqual(readJSON(mock.dataDir, 'delegator_balances.json'), balances);
+    assert.deepEqual(readJSON(mock.dataDir, 'sbi_log.json'), sends);
+    assert.equal(mock.node.broadcasts.length, broadcasts);
+  });
+
+  it('does not reopen a processed window when new operations arrive the same day', async () => {
+    let run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    // The 2026-10-02 claim (12:00) is new, but its window closes tomorrow.
+    run = await runPipeline({ ...mock, now: '2026-10-02T13:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    assert.match(run.output, /Curation window already processed/);
+    assert.deepEqual(readJSON(mock.dataDir, 'payout_history.json').map(p => p.date), ['2026-10-01']);
+  });
+
+  it('does not resend when send_sbi.js runs again after the accumulator', async () => {
+    const run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+    const sends = readJSON(mock.dataDir, 'sbi_log.json');
+    const broadcasts = mock.node.broadcasts.length;
+
+    const send = await runScript('send_sbi.js', { ...mock, now: '2026-10-02T02:00:00Z' });
+    assert.equal(send.code, 0, send.output);
+
+    assert.match(send.output, /No delegator balances have reached their payout threshold/);
+    assert.equal(mock.node.broadcasts.length, broadcasts);
+    assert.deepEqual(readJSON(mock.dataDir, 'sbi_log.json'), sends);
+  });
+
+  it('continues from the committed JSON on a fresh checkout', async () => {
+    let run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+    const sends = readJSON(mock.dataDir, 'sbi_log.json');
+
+    // Workflow runs start without ledger.db and sync.db
+    for (const file of ['ledger.db', 'sync.db']) fs.rmSync(path.join(mock.dataDir, file));
+    run = await runPipeline({ ...mock, now: '2026-10-02T01:30:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    assert.match(run.output, /Imported JSON data into ledger.db/);
+    assert.match(run.output, /Already accumulated rewards up to 2026-10-01/);
+    assert.deepEqual(readJSON(mock.dataDir, 'sbi_log.json'), sends);
+  });
+
+  it('exports the accumulated days when payouts fail', async () => {
+    let run = await runScript('fetch_real_delegators.js', { ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    // A pending send the history cannot be read for makes the payout step throw
+    writeConfig(mock.dataDir, { api: { retries: 1 } });
+    writeJSON(mock.dataDir, 'sbi_log.json', [{
+      date: '2026-09-30',
+      delegator: 'alice',
+      sent: 1,
+      to: 'steembasicincome',
+      memo: '@vinzie1:@alice',
+      status: 'pending',
+      tx_id: null,
+      total_sent_before: 0,
+      created_at: '2026-10-01T01:00:00.000Z',
+    }]);
+    mock.node.failCalls.get_account_history = 1;
+    run = await runScript('accumulator.js', { ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.notEqual(run.code, 0);
+
+    assert.equal(readJSON(mock.dataDir, 'delegator_balances.json')._meta.last_accumulated_date, '2026-10-01');
+    const balances = readJSON(mock.dataDir, 'delegator_balances.json');
+
+    // The next workflow run starts from the exported JSON
+    for (const file of ['ledger.db', 'sync.db']) fs.rmSync(path.join(mock.dataDir, file));
+    run = await runPipeline({ ...mock, now: '2026-10-02T01:30:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    assert.match(run.output, /Already accumulated rewards up to 2026-10-01/);
+    assert.equal(readJSON(mock.dataDir, 'accumulation_log.json').length, 1);
+    const { alice } = readJSON(mock.dataDir, 'delegator_balances.json');
+    assert.equal(alice.balance + alice.total_sent, balances.alice.balance + balances.alice.total_sent);
+  });
+
+  it('rebuilds a local ledger whose JSON export changed on disk', async () => {
+    let run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    // e.g. a git pull bringing a manual correction
+    const balances = readJSON(mock.dataDir, 'delegator_balances.json');
+    balances.alice.balance = 42;
+    fs.writeFileSync(path.join(mock.dataDir, 'delegator_balances.json'), JSON.stringify(balances, null, 2));
+
+    run = await runScript('export_json.js', { ...mock, now: '2026-10-02T01:30:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    assert.match(run.output, /JSON export changed/);
+    assert.equal(readJSON(mock.dataDir, 'delegator_balances.json').alice.balance, 42);
+  });
+
+  it('logs every broadcast send as confirmed with its transaction ID', async () => {
+    const run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    const txIds = new Set(mock.node.broadcasts.map(b => b.id));
+    const sends = readJSON(mock.dataDir, 'sbi_log.json');
+    const transfers = mock.node.broadcasts.flatMap(b => b.operations);
+    assert.equal(sends.length, transfers.length);
+    for (const send of sends) {
+      assert.equal(send.status, 'confirmed');
+      assert.ok(txIds.has(send.tx_id));
+    }
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockNode, writeConfig, readJSON, runPipeline } = require('./helpers');
+
+const NOW = '2026-10-02T01:00:00Z';
+
+/** Broadcast operations as { type, to, memo, beneficiary }. */
+function sentOperations(node) {
+  return node.broadcasts.flatMap(b => b.operations).map(([type, data]) => ({
+    type,
+    to: data.to,
+    memo: data.memo,
+    beneficiary: type === 'transfer' && data.to === 'steembasicincome' ? data.memo.split(':@')[1] : data.to,
+  }));
+}
+
+describe('exclusions', () => {
+  const mock = useMockNode();
+
+  it('skips delegators excluded in config.json and SBI_EXCLUDE but keeps their balance', async () => {
+    writeConfig(mock.dataDir, { excluded_from_sbi: ['carol'] });
+    const run = await runPipeline({ ...mock, now: NOW, env: { SBI_EXCLUDE: 'Bob' } });
+    assert.equal(run.code, 0, run.output);
+
+    const beneficiaries = new Set(sentOperations(mock.node).map(op => op.beneficiary));
+    assert.deepEqual([...beneficiaries], ['alice']);
+
+    const balances = readJSON(mock.dataDir, 'delegator_balances.json');
+    for (const name of ['bob', 'carol']) {
+      assert.equal(balances[name].total_sent, 0);
+      assert.ok(balances[name].balance > 0);
+    }
+    assert.match(run.output, /Excluded from SBI: @carol/);
+  });
+
+  it('pays excluded delegators with a payout preference by their method', async () => {
+    writeConfig(mock.dataDir, {
+      excluded_from_sbi: ['carol'],
+      payout_preferences: { carol: { method: 'hive', threshold: 1 }, bob: { method: 'none' } },
+    });
+    const run = await runPipeline({ ...mock, now: NOW });
+    assert.equal(run.code, 0, run.output);
+
+    const ops = sentOperations(mock.node);
+    assert.ok(ops.every(op => op.beneficiary !== 'bob'));
+    const carol = ops.filter(op => op.beneficiary === 'carol');
+    assert.equal(carol.length, 1);
+    assert.equal(carol[0].type, 'transfer');
+    assert.equal(carol[0].to, 'carol');
+
+    const balances = readJSON(mock.dataDir, 'delegator_balances.json');
+    assert.equal(balances.bob.total_sent, 0);
+    assert.ok(balances.carol.balance < 0.001);
+    assert.match(run.output, /Opted out of payouts: @bob/);
+  });
+
+  it('sends nothing in dry-run mode', async () => {
+    const run = await runPipeline({ ...mock, now: NOW, env: { DRY_RUN: 'true' } });
+    assert.equal(run.code, 0, run.output);
+
+    assert.equal(mock.node.broadcasts.length, 0);
+    assert.ok(readJSON(mock.dataDir, 'sbi_log.json').every(send => send.dry_run));
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useMockNode, readJSON, runCli } = require('./helpers');
+const { buildTimeline } = require('../scripts/delegator_history');
+const { COLUMNS, buildRows, summarize, toCSV } = require('../scripts/reward_export');
+
+describe('reward export rows', () => {
+  const timeline = buildTimeline({
+    name: 'alice',
+    payoutHistory: [
+      { date: '2026-10-01', total_delegation_hp: 2000, delegators: [{ name: 'alice', hp: 1000, base_reward: 2 }] },
+      { date: '2026-10-02', total_delegation_hp: 2000, delegators: [{ name: 'alice', hp: 1000, base_reward: 1 }] },
+    ],
+    accumulationLog: [{ date: '2026-10-01', delegators: [{ name: 'alice', base_reward: 2, multiplier: 3, adjusted_reward: 6, factors: [] }] }],
+    sends: [
+      { date: '2026-10-01', delegator: 'alice', sent: 5, method: 'sbi', status: 'confirmed', tx_id: 'abc' },
+      { date: '2026-10-01', delegator: 'alice', sent: 1, method: 'sbi', status: 'failed', error: 'rejected' },
+    ],
+    adjustments: [{ date: '2026-10-01', delegator: 'alice', amount: -0.5, source: 'manual', reason: '=fix, "double"', operator: 'op' }],
+    balance: { balance: 2.5, total_sent: 5 },
+    lastAccumulatedDate: '2026-10-01',
+    getMultiplier: () => 2,
+  });
+
+  it('lists each step with the balance after it', () => {
+    const rows = buildRows('alice', timeline);
+    assert.deepEqual(rows.map(r => [r.date, r.type, r.status, r.balance_hive]), [
+      // The day opens at 2 (current balance 2.5 less its +6 -0.5 -5)
+      ['2026-10-01', 'reward', 'credited', 8],
+      ['2026-10-01', 'adjustment', null, 7.5],
+      ['2026-10-01', 'send', 'confirmed', 2.5],
+      ['2026-10-01', 'send', 'failed', 2.5],
+      ['2026-10-02', 'reward', 'pending', 2.5],
+    ]);
+    assert.deepEqual(buildRows('alice', timeline, { from: '2026-10-02' }).map(r => r.date), ['2026-10-02']);
+
+    assert.deepEqual(summarize(rows), { rows: 5, base_reward_hive: 3, reward_hive: 6, pending_reward_hive: 2, adjustment_hive: -0.5, sent_hive: 5 });
+  });
+
+  it('writes CSV with quoting and formula-safe text', () => {
+    const lines = toCSV(buildRows('alice', timeline)).trim().split('\n');
+    assert.equal(lines[0], COLUMNS.join(','));
+    assert.equal(lines.length, 6);
+    assert.match(lines[2], /,"'=fix, ""double"" \(by @op\)"$/);
+    assert.match(lines[3], /,5,2\.5,sbi,confirmed,abc,$/);
+  });
+});
+
+describe('hive-rewarder export', () => {
+  const mock = useMockNode({ perSuite: true });
+  const now = '2026-10-05T01:00:00Z';
+
+  before(async () => {
+    for (const args of [['sync', '--date', '2026-10-02'], ['accumulate', '--dry-run'], ['sync'], ['accumulate', '--dry-run'], ['payout', '--dry-run']]) {
+      const run = await runCli(args, { ...mock, now });
+      assert.equal(run.code, 0, run.output);
+    }
+  });
+
+  it('writes a delegator\'s CSV ending at their current balance', async () => {
+    const output = path.join(mock.dataDir, 'bob.csv');
+    const run = await runCli(['export', '--delegator', '@bob', '--output', output], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+
+    const lines = fs.readFileSync(output, 'utf-8').trim().split('\n');
+    assert.equal(lines[0], COLUMNS.join(','));
+    const rows = lines.slice(1).map(line => Object.fromEntries(line.split(',').map((v, i) => [COLUMNS[i], v])));
+    assert.deepEqual([...new Set(rows.filter(r => r.type === 'reward').map(r => r.date))], ['2026-10-01', '2026-10-02', '2026-10-03', '2026-10-04']);
+    assert.ok(rows.every(r => r.delegator === 'bob'));
+    assert.equal(Number(rows[rows.length - 1].balance_hive), readJSON(mock.dataDir, 'delegator_balances.json').bob.balance);
+  });
+
+  it('returns every delegator\'s rows for a date range as JSON', async () => {
+    const run = await runCli(['export', '--from', '2026-10-02', '--to', '2026-10-03', '--format', 'json', '--json'], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+
+    const { result } = JSON.parse(run.stdout);
+    assert.deepEqual([...new Set(result.rows.map(r => r.date))], ['2026-10-02', '2026-10-03']);
+    assert.ok(new Set(result.rows.map(r => r.delegator)).size > 1);
+    assert.equal(result.totals.rows, result.rows.length);
+
+    const bad = await runCli(['export', '--delegator', 'nobody1'], { ...mock, now });
+    assert.equal(bad.code, 1);
+  });
+});
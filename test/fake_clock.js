@@ -0,0 +1,23 @@
+/**
+ * fake_clock.js
+ * Preloaded (node -r) into scripts run by the tests: pins the clock to
+ * MOCK_NOW so payout windows and dates are deterministic.
+ */
+
+if (process.env.MOCK_NOW) {
+  const now = Date.parse(process.env.MOCK_NOW);
+  const RealDate = Date;
+
+  class MockDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(now);
+      else super(...args);
+    }
+
+    static now() {
+      return now;
+    }
+  }
+
+  global.Date = MockDate;
+}
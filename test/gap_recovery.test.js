@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockNode, readJSON, runScript, runPipeline } = require('./helpers');
+
+const payoutDates = dataDir => readJSON(dataDir, 'payout_history.json').map(p => p.date);
+const accumulatedDates = dataDir => readJSON(dataDir, 'accumulation_log.json').map(e => e.date);
+
+/**
+ * Every HIVE credited to a delegator is either still in their balance or
+ * was sent.
+ */
+function assertBalancesAddUp(dataDir) {
+  const credited = {};
+  for (const day of readJSON(dataDir, 'accumulation_log.json')) {
+    for (const d of day.delegators) credited[d.name] = (credited[d.name] || 0) + d.adjusted_reward;
+  }
+  const { _meta, ...balances } = readJSON(dataDir, 'delegator_balances.json');
+  for (const [name, data] of Object.entries(balances)) {
+    assert.ok(Math.abs(data.balance + data.total_sent - credited[name]) < 0.001, `@${name} balance does not add up`);
+  }
+}
+
+describe('gap recovery', () => {
+  const mock = useMockNode();
+
+  it('pays out the previous day on the first run', async () => {
+    const run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    assert.deepEqual(payoutDates(mock.dataDir), ['2026-10-01']);
+    assert.deepEqual(accumulatedDates(mock.dataDir), ['2026-10-01']);
+    assert.equal(readJSON(mock.dataDir, 'payout_history.json')[0].total_curation_hive, 20);
+  });
+
+  it('catches up every missed day after the workflow did not run', async () => {
+    let run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    run = await runPipeline({ ...mock, now: '2026-10-05T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    const expected = ['2026-10-01', '2026-10-02', '2026-10-03', '2026-10-04'];
+    assert.deepEqual(payoutDates(mock.dataDir), expected);
+    assert.deepEqual(accumulatedDates(mock.dataDir), expected);
+    assert.equal(readJSON(mock.dataDir, 'delegator_balances.json')._meta.last_accumulated_date, '2026-10-04');
+    assertBalancesAddUp(mock.dataDir);
+  });
+
+  it('accumulates payouts left behind when only the fetch step ran', async () => {
+    let run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    run = await runScript('fetch_real_delegators.js', { ...mock, now: '2026-10-03T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+    assert.deepEqual(accumulatedDates(mock.dataDir), ['2026-10-01']);
+
+    run = await runPipeline({ ...mock, now: '2026-10-04T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    assert.deepEqual(accumulatedDates(mock.dataDir), ['2026-10-01', '2026-10-02', '2026-10-03']);
+    assertBalancesAddUp(mock.dataDir);
+  });
+});
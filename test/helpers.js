@@ -0,0 +1,137 @@
+/**
+ * helpers.js
+ * Shared setup for the end-to-end tests: a MockHiveNode (see mock_node.js)
+ * and a temporary data directory per test, and running the pipeline
+ * scripts and the CLI against them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { before, after, beforeEach, afterEach } = require('node:test');
+const hive = require('@hiveio/hive-js');
+const { MockHiveNode, loadFixture } = require('./mock_node');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
+const FAKE_CLOCK = path.join(__dirname, 'fake_clock.js');
+const CLI_BIN = path.join(__dirname, '..', 'bin', 'hive-rewarder.js');
+
+// Any valid WIF works: the mock node does not verify signatures.
+const TEST_KEY = hive.auth.toWif('bayanihive', 'mock-node-password', 'active');
+
+/**
+ * Create a temporary data directory holding test/fixtures/config.json,
+ * with top-level sections replaced by overrides.
+ */
+function createDataDir(overrides = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hive-rewarder-test-'));
+  writeConfig(dataDir, overrides);
+  return dataDir;
+}
+
+/**
+ * Write test/fixtures/config.json to dataDir, with top-level sections
+ * replaced by overrides.
+ */
+function writeConfig(dataDir, overrides = {}) {
+  writeJSON(dataDir, 'config.json', { ...loadFixture('config'), ...overrides });
+}
+
+function removeDataDir(dataDir) {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+function readJSON(dataDir, filename) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, filename), 'utf-8'));
+}
+
+function writeJSON(dataDir, filename, data) {
+  fs.writeFileSync(path.join(dataDir, filename), JSON.stringify(data, null, 2));
+}
+
+/**
+ * Give every test of the enclosing describe a started MockHiveNode
+ * (fixture) and a fresh data directory, stopped and removed after it.
+ * Returns the object both are set on, { node, dataDir }, so a test runs
+ * scripts with runScript(script, { ...mock, now }). With perSuite the
+ * describe's tests share one node and directory.
+ */
+function useMockNode({ fixture = 'bayanihive', perSuite = false } = {}) {
+  const mock = { node: null, dataDir: null };
+
+  (perSuite ? before : beforeEach)(async () => {
+    mock.node = new MockHiveNode(fixture);
+    await mock.node.start();
+    mock.dataDir = createDataDir();
+  });
+
+  (perSuite ? after : afterEach)(async () => {
+    await mock.node.stop();
+    removeDataDir(mock.dataDir);
+  });
+
+  return mock;
+}
+
+/**
+ * Run scripts/<script> at time `now` (ISO string) against node, with
+ * the account's data in dataDir. Moves the node's clock to `now` too.
+ * Resolves to { code, output }.
+ */
+function runScript(script, options) {
+  return runFile(path.join(SCRIPTS_DIR, script), [], options);
+}
+
+/**
+ * Run the hive-rewarder CLI with args, like runScript. Resolves to
+ * { code, stdout, output }.
+ */
+function runCli(args, options) {
+  return runFile(CLI_BIN, args, options);
+}
+
+function runFile(file, args, { node, dataDir, now, env = {} }) {
+  node.setTime(now);
+  const childEnv = {
+    ...process.env,
+    DATA_DIR: dataDir,
+    HIVE_USER: 'bayanihive',
+    HIVE_KEY: TEST_KEY,
+    HIVE_NODES: node.url,
+    MOCK_NOW: now,
+    DRY_RUN: 'false',
+    SBI_EXCLUDE: '',
+    ...env,
+  };
+
+  return new Promise(resolve => {
+    execFile(process.execPath, ['-r', FAKE_CLOCK, file, ...args], { env: childEnv }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, output: stdout + stderr });
+    });
+  });
+}
+
+/**
+ * The daily pipeline: fetch_real_delegators.js then accumulator.js
+ * (which runs the payout dispatcher).
+ */
+async function runPipeline(options) {
+  const fetch = await runScript('fetch_real_delegators.js', options);
+  if (fetch.code !== 0) return fetch;
+  const accumulate = await runScript('accumulator.js', options);
+  return { code: accumulate.code, output: fetch.output + accumulate.output };
+}
+
+module.exports = {
+  TEST_KEY,
+  useMockNode,
+  createDataDir,
+  removeDataDir,
+  writeConfig,
+  readJSON,
+  writeJSON,
+  runScript,
+  runCli,
+  runPipeline,
+};
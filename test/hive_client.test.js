@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockHiveNode, loadFixture } = require('./mock_node');
+const { TEST_KEY } = require('./helpers');
+
+/** A node whose head block is `behind` blocks older than the fixture's. */
+function laggingNode(behind) {
+  const fixture = loadFixture('bayanihive');
+  const props = fixture.dynamic_global_properties;
+  fixture.dynamic_global_properties = { ...props, head_block_number: props.head_block_number - behind };
+  return new MockHiveNode(fixture);
+}
+
+describe('hive_client', () => {
+  const healthy = new MockHiveNode('bayanihive');
+  const backup = new MockHiveNode('bayanihive');
+  const lagging = laggingNode(100);
+  let client;
+
+  before(async () => {
+    for (const node of [healthy, backup, lagging]) await node.start();
+    // Mock nodes report the current time, so wall-clock lag is zero.
+    process.env.HIVE_NODES = [lagging.url, 'http://127.0.0.1:1', healthy.url, backup.url].join(',');
+    client = require('../scripts/hive_client');
+  });
+
+  after(async () => {
+    for (const node of [healthy, backup, lagging]) await node.stop();
+  });
+
+  it('ranks nodes by latency and head block, dropping lagging and dead ones', () => {
+    const now = Date.parse('2026-10-02T00:00:00Z');
+    const ranked = client.rankNodes([
+      { url: 'slow', ok: true, latency: 1500, head: 1000, time: now },
+      { url: 'fast', ok: true, latency: 100, head: 999, time: now - 3000 },
+      { url: 'stale', ok: true, latency: 50, head: 900, time: now - 300000 },
+      { url: 'stopped', ok: true, latency: 50, head: 1000, time: now - 300000 },
+      { url: 'down', ok: false, latency: 10000, error: 'timeout' },
+    ], now, 60);
+
+    assert.deepEqual(ranked.map(r => r.url), ['fast', 'slow']);
+    assert.equal(ranked[0].score, 1100);
+  });
+
+  it('selects the best healthy node', async () => {
+    assert.ok([healthy.url, backup.url].includes(await client.selectNode()));
+  });
+
+  it('retries a failed call on the next node', async () => {
+    await client.selectNode();
+    healthy.failCalls.get_accounts = 1;
+    backup.failCalls.get_accounts = 1;
+
+    const accounts = await client.getAccounts(['bayanihive']);
+
+    assert.equal(accounts[0].name, 'bayanihive');
+    assert.equal(healthy.failCalls.get_accounts, 0);
+    assert.equal(backup.failCalls.get_accounts, 0);
+  });
+
+  it('does not retry broadcasts', async () => {
+    await client.selectNode();
+    healthy.failCalls.broadcast_transaction_synchronous = 1;
+    backup.failCalls.broadcast_transaction_synchronous = 1;
+    const op = ['transfer', { from: 'bayanihive', to: 'alice', amount: '1.000 HIVE', memo: '' }];
+
+    await assert.rejects(client.broadcast([op], TEST_KEY));
+
+    const attempts = 2 - healthy.failCalls.broadcast_transaction_synchronous - backup.failCalls.broadcast_transaction_synchronous;
+    assert.equal(attempts, 1);
+    assert.equal(healthy.broadcasts.length + backup.broadcasts.length, 0);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * mock_node.js
+ * Offline stand-in for a Hive API node, for end-to-end tests.
+ *
+ * Serves JSON-RPC requests (both the "call" form hive-js uses and
+ * "condenser_api.method") from a fixture file in test/fixtures:
+ *
+ *   {
+ *     "dynamic_global_properties": { ... },
+ *     "accounts": [{ "name": "bayanihive", ... }],
+ *     "account_history": {
+ *       "bayanihive": [{ "trx_id", "block", "timestamp", "op": [type, data] }]
+ *     }
+ *   }
+ *
+ * The node has a clock (setTime): only history operations at or before it
+ * are served, so a test can move time forward between runs and new
+ * operations "arrive". History indexes follow time order. Broadcast
+ * transactions are recorded in `broadcasts` and their operations added to
+ * the history of every account they touch, as the chain would. Set
+ * failCalls[method] = n to make the next n calls of a method fail, or
+ * loseResponses[method] = n to make them take effect but answer with an
+ * error (a broadcast that timed out after it was included).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf-8'));
+}
+
+function toChainTime(time) {
+  return new Date(time).toISOString().slice(0, 19);
+}
+
+class MockHiveNode {
+  constructor(fixture) {
+    this.fixture = typeof fixture === 'string' ? loadFixture(fixture) : fixture;
+    this.time = toChainTime(Date.now());
+    this.broadcasts = [];
+    this.calls = [];
+    this.failCalls = {};
+    this.loseResponses = {};
+    this.server = null;
+    this.url = null;
+  }
+
+  /** Set the chain clock (ISO string or timestamp). */
+  setTime(time) {
+    this.time = toChainTime(time);
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = JSON.parse(body);
+        let response;
+        try {
+          response = { jsonrpc: '2.0', id: request.id, result: this.dispatch(request) };
+        } catch (err) {
+          response = { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: err.message } };
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  dispatch({ method, params }) {
+    // hive-js sends { method: "call", params: [api, method, args] }
+    const [name, args] = method === 'call'
+      ? [params[1], params[2]]
+      : [method.split('.').pop(), params];
+    this.calls.push({ method: name, params: args });
+
+    if (this.failCalls[name] > 0) {
+      this.failCalls[name]--;
+      throw new Error(`mock node: ${name} failed`);
+    }
+
+    const result = this.call(name, args);
+    if (this.loseResponses[name] > 0) {
+      this.loseResponses[name]--;
+      throw new Error(`mock node: ${name} timed out`);
+    }
+    return result;
+  }
+
+  call(name, args) {
+    switch (name) {
+      case 'get_dynamic_global_properties':
+        return this.getDynamicGlobalProperties();
+      case 'get_accounts':
+        return (this.fixture.accounts || []).filter(a => args[0].includes(a.name));
+      case 'get_account_history':
+        return this.getAccountHistory(...args);
+      case 'get_block_header':
+        return { previous: '0'.repeat(40), timestamp: this.time };
+      case 'broadcast_transaction':
+      case 'broadcast_transaction_synchronous':
+        return this.broadcast(args[0]);
+      default:
+        throw new Error(`mock node: unsupported method ${name}`);
+    }
+  }
+
+  getDynamicGlobalProperties() {
+    return { ...this.fixture.dynamic_global_properties, time: this.time };
+  }
+
+  /** Visible history of account, oldest first, as [index, op] pairs. */
+  history(account) {
+    const fromFixture = (this.fixture.account_history || {})[account] || [];
+    const fromBroadcasts = this.broadcasts
+      .filter(b => b.accounts.includes(account))
+      .flatMap(b => b.ops);
+
+    return [...fromFixture, ...fromBroadcasts]
+      .filter(op => op.timestamp <= this.time)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .map((op, index) => [index, op]);
+  }
+
+  getAccountHistory(account, start, limit) {
+    const history = this.history(account);
+    const from = start < 0 ? history.length - 1 : start;
+    return history.filter(([index]) => index <= from && index > from - limit);
+  }
+
+  broadcast(tx) {
+    const id = crypto.createHash('sha256').update(JSON.stringify(tx)).digest('hex').slice(0, 40);
+    const block = this.fixture.dynamic_global_properties.head_block_number + this.broadcasts.length + 1;
+    const ops = tx.operations.map(op => ({ trx_id: id, block, timestamp: this.time, op }));
+    const accounts = [...new Set(tx.operations.flatMap(([, data]) => [data.from, data.to].filter(Boolean)))];
+
+    this.broadcasts.push({ id, operations: tx.operations, accounts, ops });
+    return { id, block_num: block, trx_num: 0, expired: false };
+  }
+}
+
+module.exports = { MockHiveNode, loadFixture };
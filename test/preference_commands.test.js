@@ -0,0 +1,84 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useMockNode, readJSON, runPipeline } = require('./helpers');
+
+function customJson(signer, payload) {
+  return ['custom_json', {
+    required_auths: [],
+    required_posting_auths: [signer],
+    id: 'hive_rewarder',
+    json: JSON.stringify({ account: 'bayanihive', ...payload }),
+  }];
+}
+
+describe('preference commands', () => {
+  const mock = useMockNode();
+
+  beforeEach(async () => {
+    // Two commands from @alice in one transaction: both take effect, in order
+    mock.node.fixture.account_history.alice = [
+      { trx_id: 'a100000000000000000000000000000000000000', block: 80000100, timestamp: '2026-01-01T00:00:00', op: ['account_create', { new_account_name: 'alice' }] },
+      { trx_id: 'c100000000000000000000000000000000000000', block: 90020000, timestamp: '2026-10-01T12:00:00', op: customJson('alice', { command: 'payout', method: 'hp', threshold: 2 }) },
+      { trx_id: 'c100000000000000000000000000000000000000', block: 90020000, timestamp: '2026-10-01T12:00:00', op: customJson('alice', { command: 'payout', method: 'hive', threshold: 5 }) },
+    ];
+  });
+
+  it('applies every command of a transaction', async () => {
+    const run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    const audit = readJSON(mock.dataDir, 'preference_audit.json');
+    assert.deepEqual(audit.map(a => [a.op_index, a.status, a.after]), [
+      [1, 'applied', { method: 'hp', threshold: 2 }],
+      [2, 'applied', { method: 'hive', threshold: 5 }],
+    ]);
+    assert.deepEqual(readJSON(mock.dataDir, 'config.json').payout_preferences.alice, { method: 'hive', threshold: 5 });
+  });
+
+  it('rejects a threshold finer than a transfer can carry without stopping the sync', async () => {
+    mock.node.fixture.account_history.bayanihive.push({
+      trx_id: 'c300000000000000000000000000000000000000',
+      block: 90021000,
+      timestamp: '2026-10-01T13:00:00',
+      op: ['transfer', { from: 'bob', to: 'bayanihive', amount: '0.001 HIVE', memo: '!rewarder payout hive 1.2345' }],
+    });
+
+    let run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    const memo = readJSON(mock.dataDir, 'preference_audit.json').find(a => a.source === 'memo');
+    assert.equal(memo.status, 'rejected');
+    assert.match(memo.reason, /threshold must have at most 3 decimals/);
+    const preferences = readJSON(mock.dataDir, 'config.json').payout_preferences;
+    assert.equal(preferences.bob, undefined);
+    assert.deepEqual(preferences.alice, { method: 'hive', threshold: 5 });
+
+    // Recorded once: the next run does not trip over it again
+    run = await runPipeline({ ...mock, now: '2026-10-03T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+    assert.equal(readJSON(mock.dataDir, 'preference_audit.json').filter(a => a.source === 'memo').length, 1);
+  });
+
+  it('resumes the command scan from the committed cursor', async () => {
+    let run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+    assert.equal(readJSON(mock.dataDir, 'command_scan.json').alice, 2);
+
+    // A new workflow run: neither sync.db nor ledger.db is kept
+    for (const file of ['sync.db', 'ledger.db']) fs.rmSync(path.join(mock.dataDir, file));
+    mock.node.fixture.account_history.alice.push(
+      { trx_id: 'c200000000000000000000000000000000000000', block: 90040000, timestamp: '2026-10-02T12:00:00', op: customJson('alice', { command: 'optout' }) }
+    );
+    run = await runPipeline({ ...mock, now: '2026-10-03T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    // Only the operations after the cursor are fetched
+    assert.match(run.output, /Last processed index: 2\n.*new operation\(s\) to fetch \(index 3 →/);
+    assert.equal(readJSON(mock.dataDir, 'command_scan.json').alice, mock.node.history('alice').length - 1);
+    const audit = readJSON(mock.dataDir, 'preference_audit.json');
+    assert.deepEqual(audit.map(a => a.trx_id.slice(0, 2)), ['c1', 'c1', 'c2']);
+    assert.equal(readJSON(mock.dataDir, 'config.json').payout_preferences.alice.method, 'none');
+  });
+});
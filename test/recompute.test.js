@@ -0,0 +1,86 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useMockNode, readJSON, runCli } = require('./helpers');
+
+describe('recompute', () => {
+  const mock = useMockNode();
+  const now = '2026-10-05T01:00:00Z';
+
+  beforeEach(async () => {
+    // Accumulate 2026-10-01 .. 2026-10-04 (a first run only takes the latest day)
+    for (const args of [['sync', '--date', '2026-10-02'], ['accumulate', '--dry-run'], ['sync'], ['accumulate', '--dry-run']]) {
+      const run = await runCli(args, { ...mock, now });
+      assert.equal(run.code, 0, run.output);
+    }
+  });
+
+  function setBonusRules(rules) {
+    const file = path.join(mock.dataDir, 'config.json');
+    const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    fs.writeFileSync(file, JSON.stringify({ ...config, bonus_rules: rules }, null, 2));
+  }
+
+  it('matches what was paid when nothing changed', async () => {
+    const run = await runCli(['recompute', '--from', '2026-10-01', '--to', '2026-10-04', '--json'], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+
+    const { result } = JSON.parse(run.stdout);
+    assert.deepEqual(result.days.map(d => d.date), ['2026-10-01', '2026-10-02', '2026-10-03', '2026-10-04']);
+    assert.equal(result.matches, true);
+    assert.deepEqual(result.corrections, []);
+  });
+
+  it('reports per-delegator differences and applies corrections once', async () => {
+    // bob and carol delegate 500 HP each; a 600 HP minimum zeroes their rewards
+    setBonusRules([{ type: 'min_hp', hp: 600 }]);
+    const before = readJSON(mock.dataDir, 'delegator_balances.json');
+
+    let run = await runCli(['recompute', '--from', '2026-10-01', '--to', '2026-10-04', '--apply', '--json'], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+    const { result } = JSON.parse(run.stdout);
+
+    assert.equal(result.matches, false);
+    assert.equal(result.applied, true);
+    assert.deepEqual(Object.keys(result.totals), ['bob', 'carol']);
+    for (const day of result.days) {
+      assert.deepEqual(day.delegators.map(d => d.name), ['bob', 'carol']);
+      for (const d of day.delegators) assert.equal(d.diff, parseFloat((-d.paid).toFixed(3)));
+    }
+    // Journaled at the balances' 3 decimals
+    for (const c of result.corrections) assert.equal(c.amount, parseFloat(c.amount.toFixed(3)));
+
+    const after = readJSON(mock.dataDir, 'delegator_balances.json');
+    assert.equal(after.alice.balance, before.alice.balance);
+    for (const name of ['bob', 'carol']) {
+      assert.ok(Math.abs(after[name].balance - (before[name].balance + result.totals[name])) < 0.002);
+    }
+    assert.equal(readJSON(mock.dataDir, 'adjustments.json').length, result.corrections.length);
+
+    run = await runCli(['recompute', '--from', '2026-10-01', '--to', '2026-10-04', '--apply', '--json'], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+    const rerun = JSON.parse(run.stdout).result;
+    assert.equal(rerun.matches, true);
+    assert.equal(rerun.applied, false);
+    assert.deepEqual(readJSON(mock.dataDir, 'delegator_balances.json'), after);
+  });
+
+  it('refuses to apply corrections to days recorded without a vesting ratio', async () => {
+    // A day recorded before ratios were stored with payouts
+    const history = readJSON(mock.dataDir, 'payout_history.json');
+    delete history.find(p => p.date === '2026-10-02').hive_per_vest;
+    fs.writeFileSync(path.join(mock.dataDir, 'payout_history.json'), JSON.stringify(history, null, 2));
+    setBonusRules([{ type: 'min_hp', hp: 600 }]);
+
+    let run = await runCli(['recompute', '--from', '2026-10-01', '--to', '2026-10-04', '--apply'], { ...mock, now });
+    assert.equal(run.code, 1, run.output);
+    assert.match(run.output, /No vesting ratio recorded for 2026-10-02: corrections cannot be applied/);
+    assert.deepEqual(readJSON(mock.dataDir, 'adjustments.json'), []);
+
+    run = await runCli(['recompute', '--from', '2026-10-01', '--to', '2026-10-04', '--json'], { ...mock, now });
+    assert.equal(run.code, 0, run.output);
+    assert.match(run.output, /using sync.db's snapshots, the report is an estimate/);
+    assert.equal(JSON.parse(run.stdout).result.days.length, 4);
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { filterEntries, paginate, totalsByDelegator, statusOf } = require('../dashboard/sbi_browser');
+
+const entries = [
+  { type: 'send', order: 0, date: '2026-09-30', delegator: 'alice', sent: 1 },
+  { type: 'send', order: 1, date: '2026-10-01', delegator: 'alice', sent: 2, status: 'confirmed', tx_id: 'abc' },
+  { type: 'send', order: 2, date: '2026-10-01', delegator: 'bob', sent: 1, status: 'failed', error: 'rejected' },
+  { type: 'adjustment', order: 3, date: '2026-10-01', delegator: 'bob', amount: -0.5, source: 'manual' },
+  { type: 'send', order: 4, date: '2026-10-02', delegator: 'bob', sent: 1, status: 'pending' },
+  { type: 'send', order: 5, date: '2026-10-02', delegator: 'carol', sent: 3, status: 'confirmed', dry_run: true },
+];
+
+describe('SBI log browser', () => {
+  it('treats sends without a status as confirmed', () => {
+    assert.equal(statusOf(entries[0]), 'confirmed');
+    assert.equal(statusOf(entries[2]), 'failed');
+  });
+
+  it('filters by delegator, date range and status, newest first', () => {
+    assert.deepEqual(filterEntries(entries).map(e => e.order), [5, 4, 3, 2, 1, 0]);
+    assert.deepEqual(filterEntries(entries, { delegator: '@Bo' }).map(e => e.order), [4, 3, 2]);
+    assert.deepEqual(filterEntries(entries, { from: '2026-10-01', to: '2026-10-01' }).map(e => e.order), [3, 2, 1]);
+    assert.deepEqual(filterEntries(entries, { status: 'confirmed' }).map(e => e.order), [5, 1, 0]);
+    assert.deepEqual(filterEntries(entries, { status: 'adjustment' }).map(e => e.order), [3]);
+    assert.deepEqual(filterEntries(entries, { delegator: 'alice', status: 'failed' }), []);
+  });
+
+  it('paginates and clamps the page', () => {
+    const list = Array.from({ length: 60 }, (_, i) => i);
+    assert.deepEqual(paginate(list, 1), { page: 1, pages: 3, total: 60, rows: list.slice(0, 25) });
+    assert.deepEqual(paginate(list, 3).rows, list.slice(50));
+    assert.equal(paginate(list, 9).page, 3);
+    assert.equal(paginate(list, 0).page, 1);
+    assert.deepEqual(paginate([], 2), { page: 1, pages: 1, total: 0, rows: [] });
+  });
+
+  it('totals sends and adjustments per delegator', () => {
+    assert.deepEqual(totalsByDelegator(entries), [
+      { delegator: 'alice', sends: 2, confirmed: 3, pending: 0, failed: 0, adjusted: 0 },
+      { delegator: 'carol', sends: 1, confirmed: 3, pending: 0, failed: 0, adjusted: 0 },
+      { delegator: 'bob', sends: 2, confirmed: 0, pending: 1, failed: 1, adjusted: -0.5 },
+    ]);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSeries, selectRange, niceTicks } = require('../dashboard/charts');
+
+const payoutHistory = [
+  { date: '2026-10-02', total_delegation_hp: 3000, total_curation_hive: 1.5, delegators: [] },
+  { date: '2026-09-30', total_delegation_hp: 1000, delegators: [] },
+  { date: '2026-10-01', total_delegation_hp: 2000, total_curation_hive: 1.25, delegators: [] },
+];
+
+const sbiLog = [
+  { date: '2026-10-01', delegator: 'alice', sent: 2, status: 'confirmed' },
+  { date: '2026-10-01', delegator: 'bob', sent: 1 },
+  { date: '2026-10-01', delegator: 'carol', sent: 4, status: 'failed' },
+  { date: '2026-10-02', delegator: 'alice', sent: 1, status: 'pending' },
+];
+
+const getMultiplier = totalHP => (totalHP >= 2000 ? 3 : 2);
+
+describe('trend charts', () => {
+  it('builds one point per payout day, oldest first', () => {
+    const series = buildSeries(payoutHistory, sbiLog, getMultiplier);
+    assert.deepEqual(series, [
+      { date: '2026-09-30', delegation_hp: 1000, curation_hive: null, multiplier: 2, sbi_units: 0 },
+      { date: '2026-10-01', delegation_hp: 2000, curation_hive: 1.25, multiplier: 3, sbi_units: 3 },
+      { date: '2026-10-02', delegation_hp: 3000, curation_hive: 1.5, multiplier: 3, sbi_units: 0 },
+    ]);
+  });
+
+  it('selects preset and custom ranges', () => {
+    const series = buildSeries(payoutHistory, sbiLog, getMultiplier);
+    assert.deepEqual(selectRange(series, { preset: '30d' }).map(p => p.date), ['2026-09-30', '2026-10-01', '2026-10-02']);
+    assert.deepEqual(selectRange(series, { preset: 'all' }).length, 3);
+    assert.deepEqual(selectRange(series, { from: '2026-10-01' }).map(p => p.date), ['2026-10-01', '2026-10-02']);
+    assert.deepEqual(selectRange(series, { from: '2026-09-30', to: '2026-09-30' }).map(p => p.date), ['2026-09-30']);
+    assert.deepEqual(selectRange([], { preset: '30d' }), []);
+
+    const long = Array.from({ length: 40 }, (_, i) => ({ date: new Date(Date.UTC(2026, 8, 1 + i)).toISOString().slice(0, 10) }));
+    const last30 = selectRange(long, { preset: '30d' });
+    assert.equal(last30.length, 30);
+    assert.equal(last30[0].date, '2026-09-11');
+  });
+
+  it('picks round axis ticks covering the values', () => {
+    assert.deepEqual(niceTicks(0, 9), [0, 2.5, 5, 7.5, 10]);
+    assert.deepEqual(niceTicks(1020, 1480), [1000, 1200, 1400, 1600]);
+    const flat = niceTicks(3, 3);
+    assert.ok(flat[0] < 3 && flat[flat.length - 1] > 3);
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useMockNode, readJSON, runPipeline } = require('./helpers');
+
+describe('vesting ratios', () => {
+  const mock = useMockNode();
+
+  /** Move the chain's ratio to hivePerVest. */
+  function setRatio(hivePerVest) {
+    const props = mock.node.fixture.dynamic_global_properties;
+    props.total_vesting_fund_hive = `${(hivePerVest * 1e12).toFixed(3)} HIVE`;
+    props.total_vesting_shares = '1000000000000.000000 VESTS';
+  }
+
+  it('records the ratio used with each payout day', async () => {
+    const run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    const [payout] = readJSON(mock.dataDir, 'payout_history.json');
+    assert.equal(payout.hive_per_vest, 0.0005);
+    assert.equal(payout.window_end, '2026-10-02T00:00:00.000Z');
+  });
+
+  it('converts past operations with recorded ratios when sync.db is rebuilt', async () => {
+    let run = await runPipeline({ ...mock, now: '2026-10-02T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    // A new workflow run: sync.db is gone and the chain's ratio has moved.
+    fs.rmSync(path.join(mock.dataDir, 'sync.db'));
+    setRatio(0.0006);
+    run = await runPipeline({ ...mock, now: '2026-10-03T01:00:00Z' });
+    assert.equal(run.code, 0, run.output);
+
+    // @alice delegated 2,000,000 VESTS before the first recorded day.
+    assert.equal(readJSON(mock.dataDir, 'delegation_history.json').alice[0].hp, 1000);
+    const payouts = readJSON(mock.dataDir, 'payout_history.json');
+    assert.equal(payouts[0].hive_per_vest, 0.0005);
+    assert.ok(payouts[1].hive_per_vest > 0.0005 && payouts[1].hive_per_vest < 0.0006);
+  });
+});